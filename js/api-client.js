@@ -3,32 +3,116 @@
  * AEM Cloud Asset HTTP API 클라이언트
  */
 
+// Sent to the local server APIs: the server refuses changes without it (cross-site forms and
+// simple requests cannot set it) and never uses its own credentials for them
+const APP_REQUEST_HEADERS = { 'X-Requested-With': 'aem-asset-demo' };
+
 class AEMAssetAPI {
     constructor(config = {}) {
         this.config = configManager.getConfig();
         this.baseUrl = config.host || this.config.server.host;
         this.deliveryUrl = config.deliveryUrl || this.config.server.deliveryUrl;
         this.timeout = config.timeout || this.config.api.timeout;
+        // Fetch for the local server APIs (the app passes one that adds the admin password)
+        this.serverFetch = config.serverFetch || ((url, options) => fetch(url, options));
+    }
+
+    /**
+     * Check if the server injects credentials (server-credentials mode)
+     */
+    usesServerCredentials() {
+        return configManager.get('auth.serverCredentials') === true;
     }
 
     /**
      * Get headers for API requests
+     * In server-credentials mode Authorization/x-api-key are left to the proxy
      */
     getHeaders(additionalHeaders = {}) {
         const config = configManager.getConfig();
-        return {
+        const headers = {
             'Authorization': `Bearer ${config.auth.accessToken}`,
             'x-api-key': config.auth.apiKey,
             'x-gw-ims-org-id': config.auth.imsOrg,
             'Content-Type': 'application/json',
             ...additionalHeaders
         };
+        if (this.usesServerCredentials()) {
+            delete headers['Authorization'];
+            delete headers['x-api-key'];
+        }
+        return headers;
+    }
+
+    /**
+     * GET an AEM URL, through the proxy in server-credentials mode
+     * (the browser has no token to call AEM directly)
+     */
+    fetchAEM(url) {
+        if (this.usesServerCredentials()) {
+            return fetch('/proxy/aem/api', {
+                method: 'GET',
+                headers: { ...APP_REQUEST_HEADERS, 'X-Target-URL': url }
+            });
+        }
+        return fetch(url, {
+            method: 'GET',
+            headers: this.getHeaders()
+        });
+    }
+
+    /**
+     * Get server-side credential status (GET /api/auth/status)
+     */
+    async getServerAuthStatus() {
+        const response = await fetch('/api/auth/status');
+        if (!response.ok) {
+            throw new APIError(`Failed to get server auth status: ${response.status}`, response.status);
+        }
+        return response.json();
+    }
+
+    /**
+     * Send a request with a fresh token, retrying once with a new token after a 401
+     * @param {function} send - Sends the request (reads the token from configManager)
+     */
+    async withTokenRefresh(send) {
+        await tokenManager.ensureFreshToken();
+
+        try {
+            return await send();
+        } catch (error) {
+            if (error.status !== 401 || !tokenManager.canRefresh()) throw error;
+
+            console.warn('[API] 401 Unauthorized, refreshing access token and retrying');
+            await tokenManager.refresh();
+            return send();
+        }
     }
 
     /**
      * Make API request
      */
     async request(endpoint, options = {}) {
+        return this.withTokenRefresh(() => this.sendRequest(endpoint, options));
+    }
+
+    /**
+     * Send a single API request
+     */
+    async sendRequest(endpoint, options = {}) {
+        // No token in the browser: go through the proxy, which adds the credentials
+        if (this.usesServerCredentials()) {
+            const { 'Content-Type': contentType, ...headers } = options.headers || {};
+            return this.sendProxyRequest(endpoint, {
+                method: options.method,
+                contentType: contentType || (options.body ? 'application/json' : undefined),
+                headers,
+                body: options.body,
+                timeout: this.timeout
+            });
+        }
+
         const config = configManager.getConfig();
         const url = `${config.server.host}${endpoint}`;
 
@@ -68,6 +152,87 @@ class AEMAssetAPI {
         }
     }
 
+    /**
+     * Make API request through the local proxy
+     * For AEM endpoints that CORS blocks from the browser (e.g., initiateUpload, completeUpload)
+     * @param {string} endpoint - AEM endpoint path (e.g., /content/dam/folder.initiateUpload.json)
+     * @param {object} options - method, contentType, headers (the proxy forwards X-Destination,
+     *                           X-Depth and X-Overwrite), body, signal, timeout (ms)
+     */
+    async proxyRequest(endpoint, options = {}) {
+        return this.withTokenRefresh(() => this.sendProxyRequest(endpoint, options));
+    }
+
+    /**
+     * Send a single request through the local proxy
+     */
+    async sendProxyRequest(endpoint, options = {}) {
+        const config = configManager.getConfig();
+        const headers = this.getHeaders();
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timeoutId = options.timeout ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, options.timeout) : null;
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+
+        let response;
+        let responseText;
+        try {
+            response = await fetch('/proxy/aem/api', {
+                method: 'POST',
+                headers: {
+                    ...APP_REQUEST_HEADERS,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    aemHost: config.server.host,
+                    endpoint: endpoint,
+                    method: options.method || 'GET',
+                    authorization: headers['Authorization'],
+                    apiKey: headers['x-api-key'],
+                    contentType: options.contentType,
+                    headers: options.headers,
+                    body: options.body
+                }),
+                signal: controller.signal
+            });
+            responseText = await response.text();
+        } catch (error) {
+            if (timedOut && error.name === 'AbortError') {
+                throw new APIError('Request timeout', 408);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        if (!response.ok) {
+            throw new APIError(
+                `API request failed: ${response.status} ${response.statusText}`,
+                response.status,
+                responseText
+            );
+        }
+
+        return Utils.parseJson(responseText, responseText);
+    }
+
+    /**
+     * Convert API path to DAM path
+     * /folder -> /content/dam/folder
+     */
+    convertToDamPath(path) {
+        if (!path) return '/content/dam';
+        if (path.startsWith('/content/dam')) return path;
+        return `/content/dam${path.startsWith('/') ? '' : '/'}${path}`;
+    }
+
     /**
      * Convert DAM path to API path
      * /content/dam/folder -> /folder
@@ -109,14 +274,37 @@ class AEMAssetAPI {
             const result = await this.request(endpoint, { method: 'GET' });
             return this.normalizeListResponse(result);
         } catch (error) {
-            // Demo mode: return mock data
+            // Demo mode: return mock data (a folder of 100 assets, paged)
             if (this.isDemoMode()) {
-                return this.getMockAssets(path, limit);
+                const result = this.getMockAssets(path, Math.max(0, Math.min(limit, 100 - offset)), offset);
+                return { ...result, total: 100, paging: { total: 100, offset, limit } };
             }
             throw error;
         }
     }
 
+    /**
+     * List assets by following a Siren paging link (next/prev)
+     * @param {string} href - Link href from a previous list response
+     */
+    async listAssetsFromLink(href) {
+        const config = configManager.getConfig();
+        const url = new URL(href, config.server.host || window.location.origin);
+        const result = await this.request(`${url.pathname}${url.search}`, { method: 'GET' });
+        return this.normalizeListResponse(result);
+    }
+
+    /**
+     * Extract Siren paging links (next/prev) from a response
+     */
+    getPagingLinks(links = []) {
+        const find = rel => links.find(l => l.rel?.includes(rel))?.href || null;
+        return {
+            next: find('next'),
+            prev: find('prev')
+        };
+    }
+
     /**
      * Normalize list response to consistent format
      */
@@ -135,6 +323,8 @@ class AEMAssetAPI {
                 assets: assets,
                 properties: response.properties,
                 total: response.properties?.['srn:paging']?.total || response.entities.length,
+                paging: response.properties?.['srn:paging'] || null,
+                links: this.getPagingLinks(response.links),
                 raw: response
             };
         }
@@ -215,6 +405,7 @@ class AEMAssetAPI {
             id: props.fmUuid || props.name,
             name: props.name || '',
             path: path,
+            isFolder: (entity.class || []).includes('assets/folder'),
             title: metadata['dc:title'] || props.name || '',
             description: metadata['dc:description'] || '',
             mimeType: metadata['dc:format'] || '',
@@ -255,20 +446,14 @@ class AEMAssetAPI {
         const config = configManager.getConfig();
 
         // Build the path to jcr:content/metadata with infinity depth
-        let damPath = path;
-        if (!damPath.startsWith('/content/dam')) {
-            damPath = `/content/dam${damPath.startsWith('/') ? '' : '/'}${damPath}`;
-        }
+        const damPath = this.convertToDamPath(path);
 
         // Use infinity.json to get ALL metadata properties
         const endpoint = `${damPath}/jcr:content/metadata.infinity.json`;
         const url = `${config.server.host}${endpoint}`;
 
         try {
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: this.getHeaders()
-            });
+            const response = await this.fetchAEM(url);
 
             if (!response.ok) {
                 throw new APIError(`Failed to get metadata schema: ${response.status}`, response.status);
@@ -391,14 +576,15 @@ class AEMAssetAPI {
     async updateMetadata(path, metadata) {
         const apiPath = this.convertToApiPath(path);
         const config = configManager.getConfig();
+        const headers = this.getHeaders();
 
         // Use dedicated metadata update proxy endpoint
         // PUT /api/assets/myfolder/myAsset.png -H"Content-Type: application/json" -d '{"class":"asset", "properties":{"dc:title":"My Asset"}}'
         const requestBody = {
             aemHost: config.server.host,
             assetPath: apiPath,
-            authorization: `Bearer ${config.auth.accessToken}`,
-            apiKey: config.auth.apiKey,
+            authorization: headers['Authorization'],
+            apiKey: headers['x-api-key'],
             metadata: metadata
         };
 
@@ -406,6 +592,7 @@ class AEMAssetAPI {
             const response = await fetch('/api/update-metadata', {
                 method: 'PUT',
                 headers: {
+                    ...APP_REQUEST_HEADERS,
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify(requestBody)
@@ -428,16 +615,16 @@ class AEMAssetAPI {
 
     /**
      * Upload asset
+     * Files at or above api.directUploadThreshold use AEM direct binary upload
+     * (initiateUpload -> chunked PUTs -> completeUpload); smaller files fall back
+     * to a single PUT through the local proxy.
      * @param {File} file - File to upload
      * @param {string} destinationPath - Destination folder path
-     * @param {function} onProgress - Progress callback
-     */
-    /**
-     * Upload asset using PUT method with binary data
-     * Uses local proxy to bypass CORS restrictions
-     * PUT /api/assets/{folder}/{filename}
+     * @param {function} onProgress - Progress callback (percent, detail)
+     * @param {object} options - Upload options (createVersion, versionLabel, replace,
+     *                           resumeState, onCheckpoint, signal)
      */
-    async uploadAsset(file, destinationPath, onProgress = null) {
+    async uploadAsset(file, destinationPath, onProgress = null, options = {}) {
         const config = configManager.getConfig();
 
         // Demo mode simulation
@@ -454,39 +641,295 @@ class AEMAssetAPI {
             });
         }
 
+        const maxUploadSize = config.api.maxUploadSize;
+        if (maxUploadSize && file.size > maxUploadSize) {
+            throw new APIError(
+                `File exceeds max upload size: ${Utils.formatFileSize(file.size)} > ${Utils.formatFileSize(maxUploadSize)}`,
+                413
+            );
+        }
+
+        // Replacing or versioning an existing asset is only supported by completeUpload
+        if (options.resumeState || options.replace || options.createVersion || this.shouldUseDirectUpload(file)) {
+            return this.uploadAssetDirect(file, destinationPath, onProgress, options);
+        }
+
+        return this.uploadAssetLegacy(file, destinationPath, onProgress, options);
+    }
+
+    /**
+     * Check if a file should use direct binary upload
+     */
+    shouldUseDirectUpload(file) {
+        const config = configManager.getConfig();
+        if (!config.api.directBinaryUpload) return false;
+        return file.size >= (config.api.directUploadThreshold || 0);
+    }
+
+    /**
+     * Upload asset using PUT method with binary data
+     * Uses local proxy to bypass CORS restrictions
+     * PUT /api/assets/{folder}/{filename}
+     */
+    async uploadAssetLegacy(file, destinationPath, onProgress = null, options = {}) {
+        const config = configManager.getConfig();
         const apiPath = this.convertToApiPath(destinationPath);
         const endpoint = `/api/assets${apiPath}/${encodeURIComponent(file.name)}`;
         const targetUrl = `${config.server.host}${endpoint}`;
 
+        // Set auth headers
+        const headers = this.getHeaders();
+        const proxyHeaders = {
+            ...APP_REQUEST_HEADERS,
+            'X-Target-URL': targetUrl,
+            'Content-Type': file.type || 'application/octet-stream'
+        };
+        if (headers['Authorization']) {
+            proxyHeaders['Authorization'] = headers['Authorization'];
+        }
+        if (headers['x-api-key']) {
+            proxyHeaders['x-api-key'] = headers['x-api-key'];
+        }
+
         // Use proxy for upload to bypass CORS
-        const proxyUrl = '/proxy/aem/upload';
+        const xhr = await this.sendBinary('/proxy/aem/upload', file, proxyHeaders, (loaded, total) => {
+            if (onProgress) {
+                onProgress(Math.round((loaded / total) * 100), { loaded, total });
+            }
+        }, options.signal);
+
+        console.log('[Upload] Success:', xhr.status);
+        try {
+            const response = JSON.parse(xhr.responseText);
+            return {
+                success: true,
+                path: `${destinationPath}/${file.name}`,
+                response: response
+            };
+        } catch {
+            return {
+                success: true,
+                path: `${destinationPath}/${file.name}`
+            };
+        }
+    }
+
+    /**
+     * Upload asset using AEM direct binary upload
+     * 1. POST {folder}.initiateUpload.json -> upload URIs + token
+     * 2. PUT each part to its upload URI (streamed through /proxy/aem/upload-chunk)
+     * 3. POST {completeURI} to let AEM create the asset
+     *
+     * Pass options.resumeState (from a previous onCheckpoint call) to skip
+     * initiateUpload and the parts that were already confirmed.
+     */
+    async uploadAssetDirect(file, destinationPath, onProgress = null, options = {}) {
+        const { resumeState, onCheckpoint, signal, ...completeOptions } = options;
+        let state = resumeState;
+
+        if (!state) {
+            const initResult = await this.initiateUpload(destinationPath, file, signal);
+            const fileInfo = initResult.files.find(f => f.fileName === file.name) || initResult.files[0];
+
+            if (!fileInfo || !fileInfo.uploadURIs || fileInfo.uploadURIs.length === 0) {
+                throw new APIError('initiateUpload returned no upload URIs', 500, initResult);
+            }
+
+            state = {
+                completeURI: initResult.completeURI,
+                folderPath: initResult.folderPath || destinationPath,
+                fileName: fileInfo.fileName,
+                mimeType: fileInfo.mimeType || file.type || 'application/octet-stream',
+                uploadToken: fileInfo.uploadToken,
+                parts: this.getUploadParts(file.size, fileInfo),
+                completedParts: []
+            };
+
+            if (onCheckpoint) await onCheckpoint(state);
+        }
+
+        const parts = state.parts;
+        let confirmedBytes = 0;
+
+        console.log(`[Upload] Direct binary upload: ${file.name} in ${parts.length} part(s)` +
+            (state.completedParts.length ? `, resuming after ${state.completedParts.length}` : ''));
+
+        for (let i = 0; i < parts.length; i++) {
+            const part = parts[i];
+
+            if (state.completedParts.includes(i)) {
+                confirmedBytes += part.end - part.start;
+                continue;
+            }
+
+            if (signal && signal.aborted) {
+                throw new APIError('Upload cancelled', 0);
+            }
+
+            const chunk = file.slice(part.start, part.end);
+
+            await this.uploadChunk(part.uri, chunk, (loaded) => {
+                if (onProgress) {
+                    const totalLoaded = confirmedBytes + loaded;
+                    onProgress(Math.round((totalLoaded / file.size) * 100), {
+                        chunk: i + 1,
+                        totalChunks: parts.length,
+                        loaded: totalLoaded,
+                        total: file.size
+                    });
+                }
+            }, signal);
+
+            confirmedBytes += chunk.size;
+            state.completedParts.push(i);
+
+            if (onCheckpoint) await onCheckpoint(state);
+        }
+
+        const completeResult = await this.completeUpload(state.completeURI, {
+            fileName: state.fileName,
+            mimeType: state.mimeType,
+            uploadToken: state.uploadToken,
+            fileSize: file.size,
+            ...completeOptions
+        }, signal);
+
+        if (onProgress) {
+            onProgress(100, { chunk: parts.length, totalChunks: parts.length, loaded: file.size, total: file.size });
+        }
+
+        return {
+            success: true,
+            path: `${state.folderPath}/${state.fileName}`,
+            direct: true,
+            parts: parts.length,
+            response: completeResult
+        };
+    }
+
+    /**
+     * Initiate direct binary upload
+     * POST /content/dam/{folder}.initiateUpload.json
+     * @param {string} folderPath - Destination folder path
+     * @param {File} file - File to upload
+     * @param {AbortSignal} signal - Optional abort signal
+     */
+    async initiateUpload(folderPath, file, signal = null) {
+        const damPath = this.convertToDamPath(folderPath).replace(/\/+$/, '');
+        const body = new URLSearchParams({
+            fileName: file.name,
+            fileSize: file.size.toString()
+        });
+
+        return this.proxyRequest(`${damPath}.initiateUpload.json`, {
+            method: 'POST',
+            contentType: 'application/x-www-form-urlencoded; charset=UTF-8',
+            body: body.toString(),
+            signal
+        });
+    }
+
+    /**
+     * Split a file into parts according to initiateUpload limits
+     * Part size is fileSize / uploadURIs, clamped to [minPartSize, maxPartSize]
+     * @param {number} fileSize - File size in bytes
+     * @param {object} fileInfo - File entry from initiateUpload response
+     */
+    getUploadParts(fileSize, fileInfo) {
+        const uris = fileInfo.uploadURIs;
+        const minPartSize = fileInfo.minPartSize || 1;
+        const maxPartSize = fileInfo.maxPartSize || Infinity;
+
+        const partSize = Math.max(Math.ceil(fileSize / uris.length), minPartSize);
+        if (partSize > maxPartSize) {
+            throw new APIError(
+                `File too large for ${uris.length} upload URIs (part size ${partSize} > ${maxPartSize})`,
+                413
+            );
+        }
+        const partCount = Math.max(1, Math.ceil(fileSize / partSize));
+        const parts = [];
+        for (let i = 0; i < partCount; i++) {
+            parts.push({
+                uri: uris[i],
+                start: i * partSize,
+                end: Math.min((i + 1) * partSize, fileSize)
+            });
+        }
+        return parts;
+    }
 
+    /**
+     * Upload a single binary part
+     * Streams through the local proxy so the browser is not blocked by blob storage CORS
+     * @param {string} uploadUri - Pre-signed upload URI from initiateUpload
+     * @param {Blob} chunk - Binary part
+     * @param {function} onProgress - Progress callback (loadedBytes)
+     * @param {AbortSignal} signal - Optional abort signal
+     */
+    async uploadChunk(uploadUri, chunk, onProgress = null, signal = null) {
+        return this.sendBinary('/proxy/aem/upload-chunk', chunk, {
+            'X-Target-URL': uploadUri,
+            'Content-Type': 'application/octet-stream'
+        }, (loaded) => {
+            if (onProgress) onProgress(loaded);
+        }, signal);
+    }
+
+    /**
+     * Complete direct binary upload
+     * POST {completeURI} with fileName, mimeType and uploadToken
+     * @param {string} completeURI - completeURI from initiateUpload response
+     * @param {object} params - Completion parameters
+     * @param {AbortSignal} signal - Optional abort signal
+     */
+    async completeUpload(completeURI, params, signal = null) {
+        const body = new URLSearchParams();
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== undefined && value !== null && value !== '') {
+                body.append(key, String(value));
+            }
+        }
+
+        return this.proxyRequest(completeURI, {
+            method: 'POST',
+            contentType: 'application/x-www-form-urlencoded; charset=UTF-8',
+            body: body.toString(),
+            signal
+        });
+    }
+
+    /**
+     * Send binary data with XHR (for upload progress events)
+     * @param {string} url - Request URL
+     * @param {Blob} body - Binary body
+     * @param {object} headers - Request headers
+     * @param {function} onProgress - Progress callback (loaded, total)
+     * @param {AbortSignal} signal - Aborts the underlying XHR when triggered
+     * @returns {Promise<XMLHttpRequest>}
+     */
+    sendBinary(url, body, headers = {}, onProgress = null, signal = null) {
         return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new APIError('Upload cancelled', 0));
+                return;
+            }
+
             const xhr = new XMLHttpRequest();
 
+            if (signal) {
+                signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
+
             xhr.upload.addEventListener('progress', (e) => {
                 if (e.lengthComputable && onProgress) {
-                    const progress = Math.round((e.loaded / e.total) * 100);
-                    onProgress(progress);
+                    onProgress(e.loaded, e.total);
                 }
             });
 
             xhr.addEventListener('load', () => {
                 if (xhr.status >= 200 && xhr.status < 300) {
-                    console.log('[Upload] Success:', xhr.status);
-                    try {
-                        const response = JSON.parse(xhr.responseText);
-                        resolve({
-                            success: true,
-                            path: `${destinationPath}/${file.name}`,
-                            response: response
-                        });
-                    } catch {
-                        resolve({
-                            success: true,
-                            path: `${destinationPath}/${file.name}`
-                        });
-                    }
+                    resolve(xhr);
                 } else {
                     console.error('[Upload] Failed:', xhr.status, xhr.responseText);
                     reject(new APIError(`Upload failed: ${xhr.status}`, xhr.status, xhr.responseText));
@@ -502,23 +945,12 @@ class AEMAssetAPI {
                 reject(new APIError('Upload cancelled', 0));
             });
 
-            xhr.open('PUT', proxyUrl);
-
-            // Set proxy headers
-            xhr.setRequestHeader('X-Target-URL', targetUrl);
-            xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
-
-            // Set auth headers
-            const headers = this.getHeaders();
-            if (headers['Authorization']) {
-                xhr.setRequestHeader('Authorization', headers['Authorization']);
-            }
-            if (headers['x-api-key']) {
-                xhr.setRequestHeader('x-api-key', headers['x-api-key']);
+            xhr.open('PUT', url);
+            for (const [name, value] of Object.entries(headers)) {
+                xhr.setRequestHeader(name, value);
             }
 
-            // Send binary data
-            xhr.send(file);
+            xhr.send(body);
         });
     }
 
@@ -546,10 +978,7 @@ class AEMAssetAPI {
         const url = `${config.server.host}${endpoint}`;
 
         try {
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: this.getHeaders()
-            });
+            const response = await this.fetchAEM(url);
 
             if (!response.ok) {
                 throw new APIError(`Download failed: ${response.status}`, response.status);
@@ -574,13 +1003,14 @@ class AEMAssetAPI {
      */
     async downloadToServer(assetPath, rendition = 'original') {
         const config = configManager.getConfig();
+        const headers = this.getHeaders();
 
         const requestBody = {
             assetPath: assetPath,
             downloadPath: config.paths.downloadPath,
             aemHost: config.server.host,
-            authorization: `Bearer ${config.auth.accessToken}`,
-            apiKey: config.auth.apiKey,
+            authorization: headers['Authorization'],
+            apiKey: headers['x-api-key'],
             rendition: rendition
         };
 
@@ -588,6 +1018,7 @@ class AEMAssetAPI {
             const response = await fetch('/api/download-to-server', {
                 method: 'POST',
                 headers: {
+                    ...APP_REQUEST_HEADERS,
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify(requestBody)
@@ -608,6 +1039,143 @@ class AEMAssetAPI {
         }
     }
 
+    /**
+     * Download assets as one ZIP archive streamed by the server (POST /api/download-zip)
+     * The stream is collected into a Blob (kept on disk by the browser when large)
+     * @param {object} options - assetPaths, renditions (original | web | thumbnail), includeManifest, filename
+     * @returns {Promise<Blob>} The archive; rejects with the server's error (400/403/...) before any data
+     */
+    async downloadAssetsAsZip(options = {}) {
+        const config = configManager.getConfig();
+        const headers = this.getHeaders();
+
+        const response = await fetch('/api/download-zip', {
+            method: 'POST',
+            headers: {
+                ...APP_REQUEST_HEADERS,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                assetPaths: options.assetPaths || [],
+                renditions: options.renditions || ['original'],
+                includeManifest: !!options.includeManifest,
+                filename: options.filename,
+                aemHost: config.server.host,
+                authorization: headers['Authorization'],
+                apiKey: headers['x-api-key']
+            })
+        });
+
+        if (!response.ok) {
+            const result = Utils.parseJson(await response.text(), {});
+            throw new APIError(result.error || `ZIP download failed: ${response.status}`, response.status);
+        }
+        return response.blob();
+    }
+
+    /**
+     * Download several assets and/or a DAM folder to the server, mirroring the DAM folders
+     * @param {object} options - assetPaths, folderPath, recursive, rendition, conflict (skip | overwrite | rename)
+     * @returns {Promise<object>} - { success, downloadPath, summary, files: [{ assetPath, status, path, size, error }] }
+     */
+    async downloadBatchToServer(options = {}) {
+        const config = configManager.getConfig();
+        const headers = this.getHeaders();
+
+        const response = await fetch('/api/download-to-server/batch', {
+            method: 'POST',
+            headers: {
+                ...APP_REQUEST_HEADERS,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                assetPaths: options.assetPaths || [],
+                folderPath: options.folderPath || undefined,
+                recursive: options.recursive !== false,
+                rendition: options.rendition || 'original',
+                conflict: options.conflict || 'skip',
+                downloadPath: config.paths.downloadPath,
+                aemHost: config.server.host,
+                authorization: headers['Authorization'],
+                apiKey: headers['x-api-key']
+            })
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new APIError(result.error || 'Batch download to server failed', response.status);
+        }
+        return result;
+    }
+
+    /**
+     * Queue a background job on the server
+     * @param {string} type - download (same options as downloadBatchToServer plus downloadPath)
+     *                        or metadata ({ assetPaths, metadata } or { items: [{ assetPath, metadata }] })
+     * @returns {Promise<object>} - { success, job }
+     */
+    async createJob(type, params = {}) {
+        const config = configManager.getConfig();
+        const headers = this.getHeaders();
+
+        return this.jobRequest('/api/jobs', 'POST', {
+            ...params,
+            type,
+            aemHost: config.server.host,
+            authorization: headers['Authorization'],
+            apiKey: headers['x-api-key']
+        });
+    }
+
+    /**
+     * Get a background job with its log
+     */
+    async getJob(id) {
+        return this.jobRequest(`/api/jobs/${encodeURIComponent(id)}`, 'GET');
+    }
+
+    /**
+     * Cancel a queued or running background job
+     */
+    async cancelJob(id) {
+        return this.jobRequest(`/api/jobs/${encodeURIComponent(id)}/cancel`, 'POST');
+    }
+
+    /**
+     * Remove a finished background job
+     */
+    async deleteJob(id) {
+        return this.jobRequest(`/api/jobs/${encodeURIComponent(id)}`, 'DELETE');
+    }
+
+    /**
+     * Get a ticket for the job event stream (EventSource cannot send headers)
+     */
+    async getJobStreamTicket() {
+        const { ticket } = await this.jobRequest('/api/jobs/stream-ticket', 'POST');
+        return ticket;
+    }
+
+    /**
+     * Call the local jobs API
+     */
+    async jobRequest(endpoint, method, body) {
+        const headers = { ...APP_REQUEST_HEADERS };
+        if (body) headers['Content-Type'] = 'application/json';
+
+        const response = await this.serverFetch(endpoint, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new APIError(result.error || `Job request failed: ${response.status}`, response.status);
+        }
+        return result;
+    }
+
     /**
      * Delete asset
      * @param {string} path - Asset path
@@ -677,6 +1245,60 @@ class AEMAssetAPI {
         }
     }
 
+    /**
+     * Check whether an asset or folder exists
+     * GET /api/assets/{path}.json (404 = missing)
+     * @param {string} path - Asset or folder path
+     */
+    async pathExists(path) {
+        const apiPath = this.convertToApiPath(path);
+        const endpoint = `/api/assets${apiPath}.json`;
+
+        try {
+            await this.request(endpoint, { method: 'GET' });
+            return true;
+        } catch (error) {
+            if (error.status === 404) {
+                return false;
+            }
+            if (this.isDemoMode()) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether an asset with the given name already exists in a folder
+     * @param {string} folderPath - Destination folder path
+     * @param {string} fileName - Asset name
+     */
+    async assetExists(folderPath, fileName) {
+        return this.pathExists(Utils.joinPaths(folderPath, fileName));
+    }
+
+    /**
+     * Find a free asset name by appending a numeric suffix (photo-1.jpg, photo-2.jpg, ...)
+     * @param {string} folderPath - Destination folder path
+     * @param {string} fileName - Desired asset name
+     * @param {string[]} reserved - Names already claimed by other files in the same batch
+     */
+    async findAvailableName(folderPath, fileName, reserved = [], maxAttempts = 100) {
+        const dotIndex = fileName.lastIndexOf('.');
+        const base = dotIndex > 0 ? fileName.substring(0, dotIndex) : fileName;
+        const ext = dotIndex > 0 ? fileName.substring(dotIndex) : '';
+
+        for (let i = 1; i <= maxAttempts; i++) {
+            const candidate = `${base}-${i}${ext}`;
+            if (reserved.includes(candidate)) continue;
+            if (!await this.assetExists(folderPath, candidate)) {
+                return candidate;
+            }
+        }
+
+        throw new APIError(`No free name found for ${fileName} after ${maxAttempts} attempts`, 409);
+    }
+
     /**
      * Create folder
      * @param {string} path - Folder path to create
@@ -707,31 +1329,181 @@ class AEMAssetAPI {
     }
 
     /**
-     * Search assets
+     * Search assets with AEM QueryBuilder
+     * GET /bin/querybuilder.json (through the local proxy)
      * @param {object} query - Search query
+     *   text          - fulltext search
+     *   path          - root path (default /content/dam)
+     *   type          - node type (default dam:Asset)
+     *   mimeType      - MIME type or list of them ("image/*" wildcards allowed)
+     *   properties    - [{ property, value | values, operation }] (relative to the asset node)
+     *   dateRange     - { property, from, to } or a list of them (default property: jcr:content/jcr:lastModified)
+     *   sizeRange     - { min, max } in bytes
+     *   tags          - tag IDs (e.g. "properties:orientation/landscape"), tagsMatch: any | all
+     *   orderBy       - name | modified | created | size, or a raw property; orderDirection: asc | desc
+     *   limit, offset - paging
      */
-    async searchAssets(query) {
-        const config = configManager.getConfig();
-        const queryParams = new URLSearchParams();
-
-        if (query.text) queryParams.append('fulltext', query.text);
-        if (query.path) queryParams.append('path', query.path);
-        if (query.type) queryParams.append('type', query.type);
-        if (query.mimeType) queryParams.append('p.guessTotal', 'true');
-
-        const endpoint = `/api/assets.json?${queryParams}`;
+    async searchAssets(query = {}) {
+        const limit = query.limit || 20;
+        const offset = query.offset || 0;
+        const params = this.buildQueryBuilderParams({ ...query, limit, offset });
+        const endpoint = `/bin/querybuilder.json?${params}`;
 
         try {
-            const result = await this.request(endpoint, { method: 'GET' });
-            return this.normalizeListResponse(result);
+            const result = await this.proxyRequest(endpoint, { method: 'GET' });
+            return this.normalizeQueryBuilderResponse(result, { limit, offset });
         } catch (error) {
             if (this.isDemoMode()) {
-                return this.getMockAssets(query.path || '/content/dam', 10);
+                const result = this.getMockAssets(query.path || '/content/dam', Math.max(0, Math.min(limit, 50 - offset)), offset);
+                return { ...result, total: 50, paging: { total: 50, offset, limit }, links: { next: null, prev: null } };
             }
             throw error;
         }
     }
 
+    /**
+     * Build QueryBuilder parameters from a search query
+     * Predicates of the same type are numbered (1_property, 2_property, ...)
+     * so they combine with AND.
+     */
+    buildQueryBuilderParams(query) {
+        const params = new URLSearchParams();
+        let predicateIndex = 0;
+        const addPredicate = (name, values) => {
+            const prefix = `${++predicateIndex}_${name}`;
+            for (const [key, value] of Object.entries(values)) {
+                if (value === undefined || value === null || value === '') continue;
+                params.append(key ? `${prefix}.${key}` : prefix, String(value));
+            }
+        };
+
+        params.append('path', this.convertToDamPath(query.path));
+        params.append('type', query.type || 'dam:Asset');
+
+        if (query.text) {
+            params.append('fulltext', query.text);
+        }
+
+        // MIME types: one property predicate, values combined with OR
+        const mimeTypes = [].concat(query.mimeType || []).filter(Boolean);
+        if (mimeTypes.length > 0) {
+            const entries = { '': 'jcr:content/metadata/dc:format' };
+            // "like" without % matches exactly, so wildcards and plain types can be mixed
+            if (mimeTypes.some(mimeType => mimeType.endsWith('/*'))) {
+                entries.operation = 'like';
+            }
+            mimeTypes.forEach((mimeType, i) => {
+                entries[`${i + 1}_value`] = mimeType.endsWith('/*') ? `${mimeType.slice(0, -1)}%` : mimeType;
+            });
+            addPredicate('property', entries);
+        }
+
+        (query.properties || []).forEach(predicate => {
+            const values = predicate.values || [predicate.value];
+            const entries = { '': predicate.property, operation: predicate.operation };
+            values.forEach((value, i) => {
+                entries[values.length > 1 ? `${i + 1}_value` : 'value'] = value;
+            });
+            addPredicate('property', entries);
+        });
+
+        [].concat(query.dateRange || []).forEach(range => {
+            addPredicate('daterange', {
+                property: range.property || 'jcr:content/jcr:lastModified',
+                lowerBound: range.from,
+                lowerOperation: range.from ? '>=' : undefined,
+                upperBound: range.to,
+                upperOperation: range.to ? '<=' : undefined
+            });
+        });
+
+        if (query.sizeRange && (query.sizeRange.min !== undefined || query.sizeRange.max !== undefined)) {
+            addPredicate('rangeproperty', {
+                property: 'jcr:content/metadata/dam:size',
+                lowerBound: query.sizeRange.min,
+                lowerOperation: query.sizeRange.min !== undefined ? '>=' : undefined,
+                upperBound: query.sizeRange.max,
+                upperOperation: query.sizeRange.max !== undefined ? '<=' : undefined
+            });
+        }
+
+        const tags = [].concat(query.tags || []).filter(Boolean);
+        if (tags.length > 0) {
+            if (query.tagsMatch === 'all') {
+                tags.forEach(tag => addPredicate('tagid', { '': tag, property: 'jcr:content/metadata/cq:tags' }));
+            } else {
+                const entries = { property: 'jcr:content/metadata/cq:tags' };
+                tags.forEach((tag, i) => {
+                    entries[`${i + 1}_value`] = tag;
+                });
+                addPredicate('tagid', entries);
+            }
+        }
+
+        const orderFields = {
+            name: 'nodename',
+            modified: '@jcr:content/jcr:lastModified',
+            created: '@jcr:created',
+            size: '@jcr:content/metadata/dam:size'
+        };
+        if (query.orderBy) {
+            params.append('orderby', orderFields[query.orderBy] || query.orderBy);
+            params.append('orderby.sort', query.orderDirection || 'asc');
+        }
+
+        params.append('p.limit', String(query.limit));
+        params.append('p.offset', String(query.offset));
+        params.append('p.guessTotal', 'true');
+        // Asset node + jcr:content + metadata
+        params.append('p.hits', 'full');
+        params.append('p.nodedepth', '2');
+
+        return params.toString();
+    }
+
+    /**
+     * Normalize QueryBuilder response to the list response format
+     */
+    normalizeQueryBuilderResponse(response, paging = {}) {
+        const hits = (response && response.hits) || [];
+        const total = response.total !== undefined ? response.total : hits.length;
+
+        return {
+            assets: hits.map(hit => this.normalizeQueryBuilderHit(hit)),
+            properties: { more: !!response.more },
+            total,
+            paging: { total, offset: paging.offset || 0, limit: paging.limit },
+            links: { next: null, prev: null },
+            raw: response
+        };
+    }
+
+    /**
+     * Normalize a QueryBuilder hit (p.hits=full) to the asset shape used by normalizeAsset
+     */
+    normalizeQueryBuilderHit(hit) {
+        const path = hit['jcr:path'] || '';
+        const content = hit['jcr:content'] || {};
+        const metadata = content.metadata || {};
+        const name = path.split('/').pop();
+
+        return {
+            id: hit['jcr:uuid'] || path,
+            name,
+            path,
+            isFolder: false,
+            title: metadata['dc:title'] || name,
+            description: metadata['dc:description'] || '',
+            mimeType: metadata['dc:format'] || '',
+            size: metadata['dam:size'] || 0,
+            created: hit['jcr:created'],
+            modified: content['jcr:lastModified'],
+            thumbnail: undefined,
+            contentUrl: '',
+            metadata: hit
+        };
+    }
+
     /**
      * Test connection
      */
@@ -749,13 +1521,13 @@ class AEMAssetAPI {
      */
     isDemoMode() {
         const config = configManager.getConfig();
-        return !config.server.host || !config.auth.accessToken;
+        return !config.server.host || (!config.auth.accessToken && !this.usesServerCredentials());
     }
 
     /**
      * Get mock assets for demo mode
      */
-    getMockAssets(path, limit) {
+    getMockAssets(path, limit, offset = 0) {
         const mockAssets = [];
         const types = ['image', 'video', 'document', 'audio'];
         const extensions = {
@@ -765,7 +1537,7 @@ class AEMAssetAPI {
             audio: ['mp3', 'wav']
         };
 
-        for (let i = 1; i <= limit; i++) {
+        for (let i = offset + 1; i <= offset + limit; i++) {
             const type = types[Math.floor(Math.random() * types.length)];
             const ext = extensions[type][Math.floor(Math.random() * extensions[type].length)];
             mockAssets.push({
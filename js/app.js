@@ -12,6 +12,15 @@
         assetSelector: null,
         api: null,
         uploadFiles: [],
+        uploadJournal: null,
+        uploadManager: null,
+        folderUploader: null,
+        listPaginator: null,
+        listObserver: null,
+        folderTree: null,
+        jobMonitor: null,
+        expandedJobs: new Set(),
+        activeFilters: {},
         tokenGenerator: null
     };
 
@@ -23,12 +32,28 @@
         Toast.init();
         Modal.init();
 
-        // Initialize API client
-        app.api = new AEMAssetAPI();
+        // Stored settings that failed the config schema were reset
+        if (configManager.loadErrors.length > 0) {
+            const fields = configManager.loadErrors.map(error => error.field).join(', ');
+            Toast.warning(`Invalid stored settings were reset to defaults: ${fields}`);
+        }
+
+        // Initialize API client (local jobs API calls go through the .env API gate)
+        app.api = new AEMAssetAPI({ serverFetch: envApiFetch });
 
         // Initialize Token Generator
         app.tokenGenerator = new AdobeTokenGenerator();
 
+        // Initialize Upload Journal (resumable uploads) and Upload Manager
+        app.uploadJournal = new UploadJournal();
+        app.uploadManager = new UploadManager(app.api, { journal: app.uploadJournal });
+        app.uploadManager.onChange(renderUploadQueue);
+        app.folderUploader = new FolderUploader(app.api, app.uploadManager);
+
+        // Initialize Job Monitor (background jobs drawer, live over Server-Sent Events)
+        app.jobMonitor = new JobMonitor(app.api);
+        app.jobMonitor.onChange(renderJobs);
+
         // Initialize Asset Selector (only if available)
         if (typeof AEMAssetSelector !== 'undefined') {
             app.assetSelector = new AEMAssetSelector();
@@ -42,9 +67,28 @@
         setupSelectorPage();
         setupApiPage();
         setupSettingsPage();
+        setupJobsDrawer();
+
+        // Load saved settings, then the folder tree (needs the server config)
+        app.folderTree = new FolderTree(app.api, document.getElementById('folder-tree'), {
+            rootPath: configManager.get('paths.browsePath') || '/content/dam',
+            onSelect: selectFolder
+        });
+        setupProfiles();
+        setupEncryption();
+        activateServerProfile(configManager.getActiveProfile())
+            .then(() => unlockCredentials())
+            .then(() => loadSettings())
+            .then(() => {
+                tokenManager.start();
+                app.folderTree.init();
+            });
+
+        // Keep the Settings token field in sync with automatic refreshes
+        tokenManager.onChange(handleTokenRefreshed);
 
-        // Load saved settings
-        loadSettings();
+        // Offer to resume uploads interrupted by a page reload
+        renderInterruptedUploads(true);
 
         console.log('AEM Asset Demo initialized');
     }
@@ -111,11 +155,6 @@
             });
         }
 
-        // Filter panel (if elements exist)
-        if (document.getElementById('apply-filters')) {
-            setupFilters();
-        }
-
         // Selection actions (if elements exist)
         const saveSelectedBtn = document.getElementById('save-selected');
         const clearSelectionBtn = document.getElementById('clear-selection');
@@ -196,6 +235,15 @@
             });
         }
 
+        // Download All as ZIP button
+        const zipSelectedBtn = document.getElementById('zip-selected-assets');
+        if (zipSelectedBtn) {
+            zipSelectedBtn.addEventListener('click', () => {
+                const assets = window.assetSelector ? window.assetSelector.getSelectedAssets() : [];
+                downloadAssetsAsZip(assets.map(asset => asset.path).filter(Boolean), 'selected-assets.zip');
+            });
+        }
+
         // Clear Selected Assets button
         const clearSelectedBtn = document.getElementById('clear-selected-assets');
         if (clearSelectedBtn) {
@@ -243,22 +291,76 @@
     function setupFilters() {
         // Apply filters button
         document.getElementById('apply-filters').addEventListener('click', () => {
-            collectFilters();
-            app.assetSelector.applyFilters();
+            app.activeFilters = collectFilters();
+            listAssets();
         });
 
         // Reset filters button
         document.getElementById('reset-filters').addEventListener('click', () => {
-            app.assetSelector.resetFilters();
+            Object.keys(app.activeFilters).forEach(key => clearFilterInput(key));
+            app.activeFilters = {};
+            listAssets();
+        });
+
+        // Removable filter chips
+        document.getElementById('filter-chips').addEventListener('click', (e) => {
+            if (e.target.closest('.clear-all')) {
+                document.getElementById('reset-filters').click();
+                return;
+            }
+            const chip = e.target.closest('.remove');
+            if (!chip) return;
+
+            const key = chip.dataset.filter;
+            if (key === 'format') {
+                const formats = app.activeFilters.format.filter(format => format !== chip.dataset.value);
+                document.querySelector(`#filter-format input[value="${chip.dataset.value}"]`).checked = false;
+                if (formats.length > 0) {
+                    app.activeFilters.format = formats;
+                } else {
+                    delete app.activeFilters.format;
+                }
+            } else {
+                clearFilterInput(key);
+                delete app.activeFilters[key];
+            }
+            listAssets();
         });
     }
 
+    /**
+     * Clear the input behind a filter key
+     */
+    function clearFilterInput(key) {
+        const inputIds = {
+            text: 'filter-text',
+            assetType: 'filter-type',
+            sizeMin: 'filter-size-min',
+            sizeMax: 'filter-size-max',
+            dateFrom: 'filter-date-from',
+            dateTo: 'filter-date-to',
+            path: 'filter-path'
+        };
+
+        if (key === 'format') {
+            document.querySelectorAll('#filter-format input').forEach(cb => {
+                cb.checked = false;
+            });
+        } else if (inputIds[key]) {
+            document.getElementById(inputIds[key]).value = '';
+        }
+    }
+
     /**
      * Collect filter values
      */
     function collectFilters() {
         const filters = {};
 
+        // Keyword
+        const text = document.getElementById('filter-text').value.trim();
+        if (text) filters.text = text;
+
         // Asset type
         const typeValue = document.getElementById('filter-type').value;
         if (typeValue) {
@@ -271,11 +373,11 @@
             filters.format = Array.from(formatChecks).map(cb => cb.value);
         }
 
-        // Size range
+        // Size range (MB)
         const sizeMin = document.getElementById('filter-size-min').value;
         const sizeMax = document.getElementById('filter-size-max').value;
-        if (sizeMin) filters.sizeMin = parseInt(sizeMin);
-        if (sizeMax) filters.sizeMax = parseInt(sizeMax);
+        if (sizeMin) filters.sizeMin = parseFloat(sizeMin);
+        if (sizeMax) filters.sizeMax = parseFloat(sizeMax);
 
         // Date range
         const dateFrom = document.getElementById('filter-date-from').value;
@@ -284,10 +386,102 @@
         if (dateTo) filters.dateTo = dateTo;
 
         // Path
-        const path = document.getElementById('filter-path').value;
+        const path = document.getElementById('filter-path').value.trim();
         if (path) filters.path = path;
 
-        app.assetSelector.setFilters(filters);
+        return filters;
+    }
+
+    /**
+     * Translate filter panel values into a searchAssets (QueryBuilder) query
+     * @returns {object|null} Query, or null when no filter is active
+     */
+    function filtersToQuery(filters) {
+        if (Object.keys(filters).length === 0) return null;
+
+        const typeMimeTypes = {
+            image: ['image/*'],
+            video: ['video/*'],
+            audio: ['audio/*'],
+            document: ['application/*', 'text/*']
+        };
+        const formatMimeTypes = {
+            jpg: 'image/jpeg',
+            png: 'image/png',
+            gif: 'image/gif',
+            webp: 'image/webp',
+            svg: 'image/svg+xml',
+            mp4: 'video/mp4',
+            mov: 'video/quicktime',
+            pdf: 'application/pdf'
+        };
+
+        const query = {
+            text: filters.text,
+            path: filters.path,
+            mimeType: filters.assetType ? typeMimeTypes[filters.assetType] : undefined,
+            properties: []
+        };
+
+        if (filters.format) {
+            query.properties.push({
+                property: 'jcr:content/metadata/dc:format',
+                values: filters.format.map(format => formatMimeTypes[format] || format)
+            });
+        }
+
+        if (filters.sizeMin !== undefined || filters.sizeMax !== undefined) {
+            query.sizeRange = {
+                min: filters.sizeMin !== undefined ? Math.round(filters.sizeMin * 1048576) : undefined,
+                max: filters.sizeMax !== undefined ? Math.round(filters.sizeMax * 1048576) : undefined
+            };
+        }
+
+        if (filters.dateFrom || filters.dateTo) {
+            query.dateRange = {
+                from: filters.dateFrom,
+                // Include the whole "to" day
+                to: filters.dateTo ? `${filters.dateTo}T23:59:59.999` : undefined
+            };
+        }
+
+        return query;
+    }
+
+    /**
+     * Render active filters as removable chips
+     */
+    function renderFilterChips() {
+        const filters = app.activeFilters;
+        const labels = {
+            text: value => `Keyword: ${value}`,
+            assetType: value => `Type: ${value}`,
+            sizeMin: value => `Size ≥ ${value} MB`,
+            sizeMax: value => `Size ≤ ${value} MB`,
+            dateFrom: value => `Modified from ${value}`,
+            dateTo: value => `Modified to ${value}`,
+            path: value => `Path: ${value}`
+        };
+
+        const chip = (label, key, value = '') => `
+            <span class="filter-chip">
+                ${Utils.escapeHtml(label)}
+                <span class="remove" data-filter="${key}" data-value="${Utils.escapeHtml(value)}" title="Remove filter">&times;</span>
+            </span>
+        `;
+
+        const chips = [];
+        Object.keys(filters).forEach(key => {
+            if (key === 'format') {
+                filters.format.forEach(format => chips.push(chip(`Format: ${format.toUpperCase()}`, 'format', format)));
+            } else {
+                chips.push(chip(labels[key](filters[key]), key));
+            }
+        });
+
+        document.getElementById('filter-chips').innerHTML = chips.length > 0 ?
+            chips.join('') + '<span class="clear-all">Clear all</span>' :
+            '';
     }
 
     /**
@@ -415,21 +609,97 @@
             listAssets();
         });
 
+        // Re-list from the first page when the sort order changes
+        ['list-sort', 'list-sort-direction'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                if (app.listPaginator) listAssets();
+            });
+        });
+
+        document.getElementById('list-result').addEventListener('click', (e) => {
+            if (e.target.closest('#list-load-more')) {
+                loadMoreAssets();
+            }
+            if (e.target.closest('#list-download-zip')) {
+                const folder = document.getElementById('list-path').value.replace(/\/+$/, '').split('/').pop();
+                const assets = app.listPaginator.assets.filter(asset => !asset.isFolder);
+                downloadAssetsAsZip(assets.map(asset => asset.path), `${folder || 'assets'}.zip`);
+            }
+            const folderCard = e.target.closest('.asset-list-card.folder');
+            if (folderCard) {
+                selectFolder(folderCard.dataset.path);
+            }
+        });
+
+        // Filter panel (QueryBuilder search into the asset list)
+        setupFilters();
+
+        // Folder tree & breadcrumb
+        document.getElementById('folder-tree-refresh').addEventListener('click', () => {
+            app.folderTree.rootPath = configManager.get('paths.browsePath') || '/content/dam';
+            app.folderTree.init();
+        });
+
+        document.getElementById('list-breadcrumb').addEventListener('click', (e) => {
+            const crumb = e.target.closest('[data-path]');
+            if (crumb) {
+                selectFolder(crumb.dataset.path);
+            }
+        });
+
         // Upload
         const uploadFile = document.getElementById('upload-file');
         uploadFile.addEventListener('change', (e) => {
             handleFileSelect(e.target.files);
         });
 
+        // Folder upload (webkitdirectory picker + drag & drop)
+        const uploadFolder = document.getElementById('upload-folder');
+        uploadFolder.addEventListener('change', (e) => {
+            handleFileSelect(e.target.files);
+        });
+
+        const dropzone = document.getElementById('upload-dropzone');
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragover');
+        });
+        dropzone.addEventListener('dragleave', () => {
+            dropzone.classList.remove('dragover');
+        });
+        dropzone.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('dragover');
+            const files = await FolderUploader.collectFromDataTransfer(e.dataTransfer);
+            handleFileSelect(files);
+        });
+
         document.getElementById('upload-btn').addEventListener('click', () => {
             uploadAssets();
         });
 
+        // Upload queue actions (pause/resume/cancel/retry)
+        document.getElementById('upload-queue').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-upload-action]');
+            if (!btn) return;
+            const id = btn.closest('[data-upload-id]').dataset.uploadId;
+            app.uploadManager[btn.dataset.uploadAction](id);
+        });
+
+        document.getElementById('upload-queue-clear').addEventListener('click', () => {
+            app.uploadManager.clearFinished();
+            renderInterruptedUploads();
+        });
+
         // Download
         document.getElementById('download-btn').addEventListener('click', () => {
             downloadAsset();
         });
 
+        document.getElementById('batch-download-btn').addEventListener('click', () => {
+            downloadBatchToServer();
+        });
+
         // Download destination change handler
         const downloadDestination = document.getElementById('download-destination');
         if (downloadDestination) {
@@ -455,33 +725,153 @@
         document.getElementById('update-meta-btn').addEventListener('click', () => {
             updateMetadata();
         });
+
+        document.getElementById('bulk-meta-btn').addEventListener('click', () => {
+            startBulkMetadataJob();
+        });
     }
 
     /**
      * List assets API call
+     * Loads the first page through an AssetPaginator; further pages are added
+     * with "Load more" or, if enabled, when the end of the list scrolls into view.
      */
     async function listAssets() {
         const path = document.getElementById('list-path').value || '/content/dam';
         const limit = parseInt(document.getElementById('list-limit').value) || 20;
         const resultEl = document.getElementById('list-result');
 
+        if (app.listObserver) {
+            app.listObserver.disconnect();
+            app.listObserver = null;
+        }
+
+        renderBreadcrumb(app.activeFilters.path || path);
+        renderFilterChips();
+
+        app.listPaginator = new AssetPaginator(app.api, path, {
+            search: filtersToQuery(app.activeFilters),
+            pageSize: limit,
+            sortBy: document.getElementById('list-sort').value,
+            sortDirection: document.getElementById('list-sort-direction').value
+        });
+
         try {
             resultEl.classList.add('show');
             resultEl.innerHTML = '<div class="loading-spinner">Loading...</div>';
 
-            const result = await app.api.listAssets(path, { limit });
-            console.log('List result:', result);
-            console.log('Assets:', result.assets);
+            const assets = await app.listPaginator.loadNext();
 
             // Render asset cards instead of JSON
-            resultEl.innerHTML = renderAssetList(result.assets, path);
-            Toast.success(`Loaded ${result.assets.length} assets`);
+            resultEl.innerHTML = renderAssetList(assets, path);
+            if (assets.length > 0) {
+                resultEl.insertAdjacentHTML('beforeend', '<div class="asset-list-footer" id="list-footer"></div>');
+                updateListFooter();
+                setupInfiniteScroll();
+            }
+            Toast.success(`Loaded ${assets.length} assets`);
         } catch (error) {
-            resultEl.innerHTML = `<div class="error-message">${error.message}</div>`;
+            resultEl.innerHTML = `<div class="error-message">${Utils.escapeHtml(error.message)}</div>`;
             Toast.error('Failed to list assets');
         }
     }
 
+    /**
+     * Navigate to a DAM folder: fill the list/upload/download path fields,
+     * highlight it in the tree and list its contents
+     */
+    function selectFolder(path) {
+        // The folder replaces a path filter (other filters stay active)
+        if (app.activeFilters.path) {
+            clearFilterInput('path');
+            delete app.activeFilters.path;
+        }
+
+        document.getElementById('list-path').value = path;
+        document.getElementById('upload-path').value = path;
+        document.getElementById('download-path').value = `${path}/`;
+        app.folderTree.select(path);
+        listAssets();
+    }
+
+    /**
+     * Render the breadcrumb bar for a folder path
+     */
+    function renderBreadcrumb(path) {
+        const parts = path.split('/').filter(Boolean);
+        const crumbs = parts.map((part, index) => {
+            const crumbPath = '/' + parts.slice(0, index + 1).join('/');
+            // /content and / are not browsable through the Assets HTTP API
+            if (index < 1) {
+                return `<span class="breadcrumb-item">${Utils.escapeHtml(part)}</span>`;
+            }
+            return index === parts.length - 1 ?
+                `<span class="breadcrumb-item current">${Utils.escapeHtml(part)}</span>` :
+                `<a class="breadcrumb-item" data-path="${Utils.escapeHtml(crumbPath)}">${Utils.escapeHtml(part)}</a>`;
+        });
+
+        document.getElementById('list-breadcrumb').innerHTML = crumbs.join('<span class="breadcrumb-separator">/</span>');
+    }
+
+    /**
+     * Load the next page of the current asset list
+     */
+    async function loadMoreAssets() {
+        const paginator = app.listPaginator;
+        if (!paginator || !paginator.hasMore() || paginator.pending) return;
+
+        const footer = document.getElementById('list-footer');
+        footer.innerHTML = '<div class="loading-spinner">Loading...</div>';
+
+        try {
+            const assets = await paginator.loadNext();
+            // Ignore pages of a list that was replaced meanwhile
+            if (paginator !== app.listPaginator) return;
+
+            document.querySelector('#list-result .asset-list-container')
+                .insertAdjacentHTML('beforeend', renderAssetCards(assets));
+            updateListFooter();
+        } catch (error) {
+            footer.innerHTML = `<div class="error-message">${Utils.escapeHtml(error.message)}</div>`;
+            Toast.error('Failed to load more assets');
+        }
+    }
+
+    /**
+     * Update "Showing X of Y" and the load more button
+     */
+    function updateListFooter() {
+        const paginator = app.listPaginator;
+        const footer = document.getElementById('list-footer');
+        if (!footer) return;
+
+        const total = paginator.total !== null ? paginator.total : '?';
+        footer.innerHTML = `
+            <span class="asset-list-count">Showing ${paginator.assets.length} of ${paginator.hasMore() ? total : paginator.assets.length}</span>
+            ${paginator.hasMore() ? '<button class="btn btn-secondary" id="list-load-more">Load more</button>' : ''}
+            ${paginator.assets.some(asset => !asset.isFolder) ? '<button class="btn btn-secondary" id="list-download-zip">Download all as ZIP</button>' : ''}
+        `;
+
+        if (!paginator.hasMore() && app.listObserver) {
+            app.listObserver.disconnect();
+            app.listObserver = null;
+        }
+    }
+
+    /**
+     * Load the next page when the list footer scrolls into view
+     */
+    function setupInfiniteScroll() {
+        if (!document.getElementById('list-infinite').checked || !('IntersectionObserver' in window)) return;
+
+        app.listObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                loadMoreAssets();
+            }
+        }, { rootMargin: '200px' });
+        app.listObserver.observe(document.getElementById('list-footer'));
+    }
+
     /**
      * Render asset list as cards
      */
@@ -490,7 +880,26 @@
             return '<div class="empty-message">No assets found</div>';
         }
 
-        const cards = assets.map(asset => {
+        return `<div class="asset-list-container">${renderAssetCards(assets)}</div>`;
+    }
+
+    /**
+     * Render asset cards (without the list container)
+     */
+    function renderAssetCards(assets) {
+        return assets.map(asset => {
+            if (asset.isFolder) {
+                return `
+                    <div class="asset-list-card folder" data-path="${Utils.escapeHtml(asset.path)}" title="Open folder">
+                        <div class="asset-list-thumb"><span class="asset-icon">📁</span></div>
+                        <div class="asset-list-info">
+                            <div class="asset-list-name">${Utils.escapeHtml(asset.title || asset.name)}</div>
+                            <div class="asset-list-path">${Utils.escapeHtml(asset.path)}</div>
+                        </div>
+                    </div>
+                `;
+            }
+
             const fileType = Utils.getFileType(asset.mimeType);
             const icon = Utils.getFileIcon(fileType);
             const isImage = fileType === 'image';
@@ -520,8 +929,6 @@
                 </div>
             `;
         }).join('');
-
-        return `<div class="asset-list-container">${cards}</div>`;
     }
 
     // Global functions for button clicks
@@ -556,20 +963,114 @@
         }
     };
 
+    /**
+     * Ask for renditions and the manifest option, then download assets as one ZIP
+     */
+    function downloadAssetsAsZip(assetPaths, filename) {
+        if (assetPaths.length === 0) {
+            Toast.warning('No assets to download');
+            return;
+        }
+
+        Modal.open({
+            title: `Download ${assetPaths.length} Assets as ZIP`,
+            body: `
+                <div class="form-group">
+                    <label>Renditions</label>
+                    <div class="checkbox-group" id="zip-renditions">
+                        <label><input type="checkbox" value="original" checked> Original</label>
+                        <label><input type="checkbox" value="web"> Web Optimized</label>
+                        <label><input type="checkbox" value="thumbnail"> Thumbnail</label>
+                    </div>
+                </div>
+                <div class="form-group checkbox-inline">
+                    <label>
+                        <input type="checkbox" id="zip-include-manifest" checked>
+                        Include manifest.json (asset metadata)
+                    </label>
+                </div>
+            `,
+            buttons: [
+                { text: 'Cancel', class: 'btn-secondary' },
+                {
+                    text: 'Download ZIP',
+                    class: 'btn-primary',
+                    onClick: async () => {
+                        const renditions = Array.from(document.querySelectorAll('#zip-renditions input:checked'))
+                            .map(input => input.value);
+                        if (renditions.length === 0) {
+                            Toast.warning('Select at least one rendition');
+                            return;
+                        }
+
+                        const includeManifest = document.getElementById('zip-include-manifest').checked;
+                        Modal.close();
+                        Toast.info(`Preparing ZIP of ${assetPaths.length} assets...`);
+
+                        try {
+                            const blob = await app.api.downloadAssetsAsZip({ assetPaths, renditions, includeManifest, filename });
+                            Utils.downloadFile(blob, filename, 'application/zip');
+                            Toast.success(`Downloaded: ${filename}`);
+                        } catch (error) {
+                            Toast.error(`ZIP download failed: ${error.message}`);
+                        }
+                    },
+                    closeOnClick: false
+                }
+            ]
+        });
+    }
+
     /**
      * Handle file selection for upload
+     * Each file is checked against the upload rules (size, type, DAM-safe name);
+     * violations are shown inline and block the upload until resolved.
      */
     function handleFileSelect(files) {
         app.uploadFiles = Array.from(files);
+
+        if (configManager.get('upload.autoRename')) {
+            app.uploadFiles = app.uploadFiles.map(file => {
+                const { suggestedName } = configManager.validateUploadFile(file);
+                return suggestedName ? renameUploadFile(file, suggestedName) : file;
+            });
+        }
+
         const preview = document.getElementById('upload-preview');
         preview.innerHTML = '';
 
+        const validations = app.uploadFiles.map(file => configManager.validateUploadFile(file));
+        const renamable = validations.filter(v => v.suggestedName).length;
+
+        if (renamable > 0) {
+            const bar = document.createElement('div');
+            bar.className = 'upload-preview-actions';
+            bar.innerHTML = `
+                <span>${renamable} file(s) have names that are not DAM-safe</span>
+                <button class="btn btn-sm btn-secondary" id="upload-rename-all">Auto-rename all</button>
+            `;
+            bar.querySelector('#upload-rename-all').addEventListener('click', () => {
+                app.uploadFiles = app.uploadFiles.map((file, idx) =>
+                    validations[idx].suggestedName ? renameUploadFile(file, validations[idx].suggestedName) : file
+                );
+                handleFileSelect(app.uploadFiles);
+            });
+            preview.appendChild(bar);
+        }
+
         app.uploadFiles.forEach((file, index) => {
+            const validation = validations[index];
             const item = document.createElement('div');
-            item.className = 'upload-preview-item';
+            item.className = `upload-preview-item${validation.isValid ? '' : ' invalid'}`;
             item.innerHTML = `
-                <span>${Utils.escapeHtml(file.name)} (${Utils.formatFileSize(file.size)})</span>
+                <span>${Utils.escapeHtml(FolderUploader.getRelativePath(file) || file.name)} (${Utils.formatFileSize(file.size)})</span>
+                ${validation.suggestedName ? `<button class="btn btn-sm btn-secondary rename" data-index="${index}">Rename</button>` : ''}
                 <span class="remove" data-index="${index}">&times;</span>
+                ${validation.errors.length > 0 ? `
+                    <ul class="upload-preview-errors">
+                        ${validation.errors.map(error => `<li>${Utils.escapeHtml(error)}</li>`).join('')}
+                    </ul>
+                ` : ''}
             `;
 
             item.querySelector('.remove').addEventListener('click', (e) => {
@@ -578,12 +1079,38 @@
                 handleFileSelect(app.uploadFiles);
             });
 
+            const renameBtn = item.querySelector('.rename');
+            if (renameBtn) {
+                renameBtn.addEventListener('click', () => {
+                    app.uploadFiles[index] = renameUploadFile(file, validation.suggestedName);
+                    handleFileSelect(app.uploadFiles);
+                });
+            }
+
             preview.appendChild(item);
         });
     }
 
+    /**
+     * Create a renamed copy of a file (keeps its folder-relative location)
+     */
+    function renameUploadFile(file, newName) {
+        const renamed = new File([file], newName, {
+            type: file.type,
+            lastModified: file.lastModified
+        });
+
+        const relativeDir = FolderUploader.getRelativeDir(file);
+        if (relativeDir) {
+            FolderUploader.setRelativePath(renamed, `${relativeDir}/${newName}`);
+        }
+        return renamed;
+    }
+
     /**
      * Upload assets
+     * Files are handed to the upload manager, which runs them concurrently and
+     * reports per-file status in the upload queue list.
      */
     async function uploadAssets() {
         if (app.uploadFiles.length === 0) {
@@ -591,111 +1118,623 @@
             return;
         }
 
+        const invalidCount = app.uploadFiles.filter(file => !configManager.validateUploadFile(file).isValid).length;
+        if (invalidCount > 0) {
+            Toast.error(`${invalidCount} file(s) violate upload rules. Rename or remove them first.`);
+            return;
+        }
+
         const path = document.getElementById('upload-path').value ||
             configManager.get('paths.uploadPath') ||
             '/content/dam/uploads';
-        const progressBar = document.getElementById('upload-progress');
-        const progressFill = progressBar.querySelector('.progress-fill');
-        const progressText = progressBar.querySelector('.progress-text');
         const resultEl = document.getElementById('upload-result');
 
-        progressBar.style.display = 'block';
         resultEl.classList.add('show');
         resultEl.innerHTML = '<pre>Uploading...</pre>';
 
-        const results = [];
-        let completedCount = 0;
-
-        for (const file of app.uploadFiles) {
-            try {
-                const result = await app.api.uploadAsset(file, path, (progress) => {
-                    const totalProgress = ((completedCount + progress / 100) / app.uploadFiles.length) * 100;
-                    progressFill.style.width = `${totalProgress}%`;
-                    progressText.textContent = `${Math.round(totalProgress)}%`;
-                });
-
-                results.push({
-                    file: file.name,
-                    success: true,
-                    result
-                });
-                completedCount++;
-            } catch (error) {
-                results.push({
-                    file: file.name,
-                    success: false,
-                    error: error.message
-                });
-                completedCount++;
-            }
-        }
-
-        progressFill.style.width = '100%';
-        progressText.textContent = '100%';
-
-        resultEl.innerHTML = `<pre>${Utils.syntaxHighlight(results)}</pre>`;
-
-        const successCount = results.filter(r => r.success).length;
-        if (successCount === results.length) {
-            Toast.success(`${successCount} files uploaded successfully`);
-        } else {
-            Toast.warning(`${successCount}/${results.length} files uploaded`);
-        }
+        const files = app.uploadFiles;
 
         // Clear upload files
         app.uploadFiles = [];
         document.getElementById('upload-preview').innerHTML = '';
         document.getElementById('upload-file').value = '';
+        document.getElementById('upload-folder').value = '';
+
+        // Folder upload: recreate the directory tree in DAM first
+        if (FolderUploader.hasFolderStructure(files)) {
+            resultEl.innerHTML = '<pre>Creating folders...</pre>';
+            const report = await app.folderUploader.upload(files, path, {
+                onFoldersReady: (folderReport) => {
+                    resultEl.innerHTML = `<pre>Created ${folderReport.createdFolders.length} folder(s). Checking for existing assets...</pre>`;
+                },
+                resolveConflicts: resolveUploadConflicts
+            });
+            showFolderUploadReport(report);
+            renderInterruptedUploads();
+            app.folderTree.refresh(path);
+            return;
+        }
+
+        resultEl.innerHTML = '<pre>Checking for existing assets...</pre>';
+        const resolution = await resolveUploadConflicts(files.map(file => ({ file, path, uploadOptions: {} })));
+        if (!resolution) {
+            resultEl.innerHTML = '<pre>Upload cancelled</pre>';
+            return;
+        }
+
+        resultEl.innerHTML = '<pre>Uploading...</pre>';
+        const items = resolution.entries.map(entry =>
+            app.uploadManager.add(entry.file, entry.path, { uploadOptions: entry.uploadOptions })
+        );
 
-        setTimeout(() => {
-            progressBar.style.display = 'none';
-        }, 2000);
+        await app.uploadManager.whenSettled(items);
+        showUploadSummary(items, resolution.skipped);
+        renderInterruptedUploads();
     }
 
     /**
-     * Download asset
+     * Check upload entries for assets that already exist in their target folder
+     * and apply the duplicate policy (upload.duplicatePolicy setting, or ask the user).
+     * @param {Array} entries - [{file, path, uploadOptions}]
+     * @returns {Promise<object|null>} { entries, skipped } or null if cancelled
      */
-    async function downloadAsset(path) {
-        const assetPath = path || document.getElementById('download-path').value;
-        const rendition = document.getElementById('download-rendition')?.value || 'original';
-        const destination = document.getElementById('download-destination')?.value || 'browser';
-        const resultEl = document.getElementById('download-result');
+    async function resolveUploadConflicts(entries) {
+        const duplicates = [];
+        for (const entry of entries) {
+            try {
+                if (await app.api.assetExists(entry.path, entry.file.name)) {
+                    duplicates.push(entry);
+                }
+            } catch (error) {
+                // Let the upload itself surface auth/network errors
+                console.warn('[Upload] Duplicate check failed:', entry.file.name, error.message);
+            }
+        }
 
-        if (!assetPath) {
-            Toast.warning('Please enter asset path');
-            return;
+        if (duplicates.length === 0) {
+            return { entries, skipped: [] };
         }
 
-        try {
-            if (resultEl) {
-                resultEl.classList.add('show');
-                resultEl.innerHTML = '<pre>Downloading...</pre>';
+        const policy = configManager.get('upload.duplicatePolicy') || 'ask';
+        const policies = policy === 'ask' ?
+            await promptDuplicatePolicies(duplicates) :
+            duplicates.map(() => policy);
+
+        if (!policies) return null;
+
+        const resolved = [];
+        const skipped = [];
+        const reservedNames = {};
+
+        for (const entry of entries) {
+            const index = duplicates.indexOf(entry);
+            const choice = index >= 0 ? policies[index] : null;
+
+            if (choice === 'skip') {
+                skipped.push(entry);
+            } else if (choice === 'overwrite') {
+                resolved.push({ ...entry, uploadOptions: { ...entry.uploadOptions, replace: true } });
+            } else if (choice === 'version') {
+                resolved.push({ ...entry, uploadOptions: { ...entry.uploadOptions, createVersion: true } });
+            } else if (choice === 'rename') {
+                const reserved = reservedNames[entry.path] = reservedNames[entry.path] || [];
+                try {
+                    const newName = await app.api.findAvailableName(entry.path, entry.file.name, reserved);
+                    reserved.push(newName);
+                    resolved.push({ ...entry, file: renameUploadFile(entry.file, newName) });
+                } catch (error) {
+                    Toast.error(error.message);
+                    skipped.push(entry);
+                }
+            } else {
+                resolved.push(entry);
             }
+        }
 
-            if (destination === 'server') {
-                // Download to server
-                const result = await app.api.downloadToServer(assetPath, rendition);
+        return { entries: resolved, skipped };
+    }
 
-                if (resultEl) {
-                    resultEl.innerHTML = `<pre>${Utils.syntaxHighlight({
-                        success: true,
-                        filename: result.filename,
-                        path: result.path,
-                        size: Utils.formatFileSize(result.size),
-                        contentType: result.contentType
-                    })}</pre>`;
-                }
+    /**
+     * Ask the user what to do with each duplicate (or the whole batch)
+     * @returns {Promise<string[]|null>} Policy per duplicate, or null if cancelled
+     */
+    function promptDuplicatePolicies(duplicates) {
+        const options = `
+            <option value="skip">Skip</option>
+            <option value="overwrite">Overwrite</option>
+            <option value="version">Create New Version</option>
+            <option value="rename">Auto-rename with Suffix</option>
+        `;
 
-                Toast.success(`Saved to server: ${result.path}`);
-            } else {
-                // Download to browser
-                const blob = await app.api.downloadAsset(assetPath, rendition);
-                const filename = assetPath.split('/').pop();
+        return new Promise((resolve) => {
+            let result = null;
 
-                // Trigger browser download
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
+            Modal.open({
+                title: `${duplicates.length} Asset(s) Already Exist`,
+                body: `
+                    <div class="duplicate-batch">
+                        <label>Apply to all:</label>
+                        <select id="duplicate-apply-all">
+                            <option value="">-- choose --</option>
+                            ${options}
+                        </select>
+                    </div>
+                    <table class="duplicate-table">
+                        <thead><tr><th>File</th><th>Folder</th><th>Action</th></tr></thead>
+                        <tbody>
+                            ${duplicates.map((entry, index) => `
+                                <tr>
+                                    <td>${Utils.escapeHtml(entry.file.name)}</td>
+                                    <td>${Utils.escapeHtml(entry.path)}</td>
+                                    <td><select class="duplicate-policy" data-index="${index}">${options}</select></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `,
+                buttons: [
+                    { text: 'Cancel Upload', class: 'btn-secondary' },
+                    {
+                        text: 'Continue',
+                        class: 'btn-primary',
+                        onClick: () => {
+                            result = Array.from(document.querySelectorAll('.duplicate-policy')).map(select => select.value);
+                        }
+                    }
+                ],
+                onClose: () => resolve(result)
+            });
+
+            document.getElementById('duplicate-apply-all').addEventListener('change', (e) => {
+                if (!e.target.value) return;
+                document.querySelectorAll('.duplicate-policy').forEach(select => {
+                    select.value = e.target.value;
+                });
+            });
+        });
+    }
+
+    /**
+     * Show folder upload summary report
+     */
+    function showFolderUploadReport(report) {
+        const resultEl = document.getElementById('upload-result');
+
+        const failures = report.failed.map(failure => `
+            <li>${Utils.escapeHtml(failure.folder || failure.file)}: ${Utils.escapeHtml(failure.error || failure.status || 'failed')}</li>
+        `).join('');
+
+        resultEl.classList.add('show');
+        resultEl.innerHTML = `
+            <div class="upload-report">
+                <div class="metadata-summary">
+                    <strong>Folders created:</strong> ${report.createdFolders.length}
+                    <strong style="margin-left: 20px;">Existing:</strong> ${report.existingFolders.length}
+                    <strong style="margin-left: 20px;">Files uploaded:</strong> ${report.uploaded.length}
+                    <strong style="margin-left: 20px;">Skipped:</strong> ${report.skipped.length}
+                    <strong style="margin-left: 20px;">Paused:</strong> ${report.paused.length}
+                    <strong style="margin-left: 20px;">Failures:</strong> ${report.failed.length}
+                </div>
+                ${failures ? `<ul class="upload-report-failures">${failures}</ul>` : ''}
+                <details class="raw-json-details">
+                    <summary>View Full Report</summary>
+                    <pre>${Utils.syntaxHighlight(report)}</pre>
+                </details>
+            </div>
+        `;
+
+        const pausedNote = report.paused.length > 0 ? ` (${report.paused.length} paused, resume them in the queue)` : '';
+        if (report.failed.length === 0 && report.paused.length === 0) {
+            Toast.success(`${report.uploaded.length} files uploaded into ${report.createdFolders.length} new folder(s)`);
+        } else {
+            Toast.warning(`${report.uploaded.length} files uploaded, ${report.failed.length} failed${pausedNote}`);
+        }
+    }
+
+    /**
+     * Show upload results for a batch of queue items
+     */
+    function showUploadSummary(items, skipped = []) {
+        const resultEl = document.getElementById('upload-result');
+        const results = items.map(item => item.status === 'done' ?
+            { file: item.file.name, success: true, result: item.result } :
+            { file: item.file.name, success: false, status: item.status, error: item.error });
+        skipped.forEach(entry => results.push({ file: entry.file.name, success: false, status: 'skipped' }));
+
+        resultEl.classList.add('show');
+        resultEl.innerHTML = `<pre>${Utils.syntaxHighlight(results)}</pre>`;
+
+        const successCount = results.filter(r => r.success).length;
+        const pausedCount = items.filter(item => item.status === 'paused').length;
+        const notes = [];
+        if (skipped.length > 0) notes.push(`${skipped.length} skipped`);
+        if (pausedCount > 0) notes.push(`${pausedCount} paused, resume them in the queue`);
+        const note = notes.length > 0 ? ` (${notes.join(', ')})` : '';
+        if (successCount === items.length) {
+            Toast.success(`${successCount} files uploaded successfully${note}`);
+        } else {
+            Toast.warning(`${successCount}/${items.length} files uploaded${note}`);
+        }
+    }
+
+    /**
+     * Render the per-file upload queue
+     * Rows are updated in place so action buttons stay clickable during progress events
+     */
+    function renderUploadQueue(changedItem, items) {
+        const container = document.getElementById('upload-queue');
+        if (!container) return;
+
+        container.style.display = items.length > 0 ? 'block' : 'none';
+        document.getElementById('upload-queue-count').textContent = items.length;
+
+        const list = container.querySelector('.upload-queue-list');
+
+        // Full re-render when items were removed
+        if (!changedItem) {
+            list.innerHTML = '';
+        }
+
+        const targets = changedItem ? [changedItem] : items;
+        targets.forEach(item => {
+            let row = list.querySelector(`[data-upload-id="${item.id}"]`);
+            if (!row) {
+                row = document.createElement('div');
+                row.className = 'upload-queue-item';
+                row.dataset.uploadId = item.id;
+                row.innerHTML = `
+                    <div class="upload-queue-info">
+                        <div class="upload-queue-name">${Utils.escapeHtml(item.file.name)} (${Utils.formatFileSize(item.file.size)})</div>
+                        <div class="progress-bar progress-bar-sm"><div class="progress-fill"></div></div>
+                        <div class="upload-queue-meta"></div>
+                    </div>
+                    <div class="upload-queue-actions"></div>
+                `;
+                list.appendChild(row);
+            }
+            updateUploadQueueRow(row, item);
+        });
+    }
+
+    /**
+     * Update a single upload queue row
+     */
+    function updateUploadQueueRow(row, item) {
+        row.querySelector('.progress-fill').style.width = `${item.progress}%`;
+
+        let meta = `${item.status} • ${item.progress}%`;
+        if (item.detail.totalChunks) {
+            meta += ` • part ${item.detail.chunk}/${item.detail.totalChunks}`;
+        }
+        if (item.attempts > 1) {
+            meta += ` • attempt ${item.attempts}`;
+        }
+        if (item.error && item.status !== 'done') {
+            meta += ` • ${item.error}`;
+        }
+        row.querySelector('.upload-queue-meta').textContent = meta;
+
+        // Only rebuild buttons when the status changes
+        if (row.dataset.status === item.status) return;
+        row.dataset.status = item.status;
+        row.className = `upload-queue-item status-${item.status}`;
+
+        const actions = {
+            queued: ['pause', 'cancel'],
+            uploading: ['pause', 'cancel'],
+            retrying: ['pause', 'cancel'],
+            paused: ['resume', 'cancel'],
+            failed: ['retry'],
+            cancelled: ['retry'],
+            done: []
+        }[item.status] || [];
+
+        row.querySelector('.upload-queue-actions').innerHTML = actions.map(action => `
+            <button class="btn-sm ${action === 'cancel' ? 'btn-secondary' : 'btn-primary'}" data-upload-action="${action}">${action.charAt(0).toUpperCase() + action.slice(1)}</button>
+        `).join('');
+    }
+
+    /**
+     * Setup the background jobs drawer
+     */
+    function setupJobsDrawer() {
+        document.getElementById('jobs-toggle').addEventListener('click', () => toggleJobsDrawer());
+        document.getElementById('jobs-drawer-close').addEventListener('click', () => toggleJobsDrawer(false));
+
+        document.getElementById('jobs-clear').addEventListener('click', async () => {
+            try {
+                const count = await app.jobMonitor.clearFinished();
+                Toast.info(`Removed ${count} finished job${count === 1 ? '' : 's'}`);
+            } catch (error) {
+                Toast.error(`Failed to remove jobs: ${error.message}`);
+            }
+        });
+
+        document.getElementById('jobs-list').addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-job-action]');
+            if (!button) return;
+
+            const id = button.closest('.job-item').dataset.jobId;
+            const action = button.dataset.jobAction;
+
+            try {
+                if (action === 'log') {
+                    toggleJobLog(id);
+                } else if (action === 'cancel') {
+                    await app.jobMonitor.cancel(id);
+                } else if (action === 'remove') {
+                    await app.jobMonitor.remove(id);
+                }
+            } catch (error) {
+                Toast.error(error.message);
+            }
+        });
+
+        renderJobs(null, []);
+        app.jobMonitor.connect();
+    }
+
+    /**
+     * Open or close the Jobs drawer
+     */
+    function toggleJobsDrawer(open) {
+        const drawer = document.getElementById('jobs-drawer');
+        const show = open !== undefined ? open : !drawer.classList.contains('open');
+        drawer.classList.toggle('open', show);
+        drawer.setAttribute('aria-hidden', String(!show));
+    }
+
+    /**
+     * Show or hide a job's log (loaded from the server the first time)
+     */
+    async function toggleJobLog(id) {
+        if (app.expandedJobs.has(id)) {
+            app.expandedJobs.delete(id);
+        } else {
+            app.expandedJobs.add(id);
+        }
+
+        const row = document.querySelector(`#jobs-list [data-job-id="${id}"]`);
+        if (row) updateJobRow(row, app.jobMonitor.jobs.get(id));
+
+        if (app.expandedJobs.has(id) && !app.jobMonitor.getLog(id)) {
+            await app.jobMonitor.loadLog(id);
+        }
+    }
+
+    /**
+     * Render the Jobs drawer and the header badge
+     * @param {object|null} changedJob - Only this row is updated (null re-renders the list)
+     */
+    function renderJobs(changedJob, jobs, previous) {
+        const active = jobs.filter(job => !JobMonitor.isFinished(job)).length;
+        const badge = document.getElementById('jobs-badge');
+        badge.textContent = active;
+        badge.hidden = active === 0;
+
+        document.getElementById('jobs-connection').textContent = app.jobMonitor.connected ? '' : 'Offline';
+
+        // Announce jobs that finished while the page was open
+        if (changedJob && previous && !JobMonitor.isFinished(previous) && JobMonitor.isFinished(changedJob)) {
+            const message = `${changedJob.title}: ${changedJob.status}`;
+            if (changedJob.status === 'completed') {
+                Toast.success(message);
+            } else {
+                Toast.warning(message);
+            }
+        }
+
+        const list = document.getElementById('jobs-list');
+        let row = changedJob ? list.querySelector(`[data-job-id="${changedJob.id}"]`) : null;
+
+        if (!row) {
+            list.innerHTML = jobs.length === 0 ? '<p class="jobs-empty">No background jobs</p>' : '';
+            jobs.forEach(job => {
+                row = document.createElement('div');
+                row.className = 'job-item';
+                row.dataset.jobId = job.id;
+                row.innerHTML = `
+                    <div class="job-header">
+                        <div class="job-info">
+                            <div class="job-title"></div>
+                            <div class="job-meta"></div>
+                        </div>
+                        <div class="job-actions"></div>
+                    </div>
+                    <div class="progress-bar progress-bar-sm"><div class="progress-fill"></div></div>
+                    <pre class="job-log" hidden></pre>
+                `;
+                list.appendChild(row);
+                updateJobRow(row, job);
+            });
+            return;
+        }
+
+        updateJobRow(row, changedJob);
+    }
+
+    /**
+     * Update a single job row
+     */
+    function updateJobRow(row, job) {
+        const { done, total } = job.progress;
+        const percent = total > 0 ? Math.round(done / total * 100) : (job.status === 'completed' ? 100 : 0);
+
+        row.className = `job-item status-${job.status}`;
+        row.querySelector('.job-title').textContent = job.title;
+        row.querySelector('.progress-fill').style.width = `${percent}%`;
+
+        let meta = `${job.status} • ${done}/${total}`;
+        if (job.result && job.result.summary) {
+            meta += ' • ' + Object.entries(job.result.summary)
+                .filter(([key, value]) => key !== 'total' && value > 0)
+                .map(([key, value]) => `${key} ${value}`)
+                .join(', ');
+        }
+        if (job.error) {
+            meta += ` • ${job.error}`;
+        }
+        meta += ` • ${new Date(job.createdAt).toLocaleString()}`;
+        row.querySelector('.job-meta').textContent = meta;
+
+        const expanded = app.expandedJobs.has(job.id);
+        const buttons = [`<button class="btn-sm btn-secondary" data-job-action="log">${expanded ? 'Hide log' : 'Log'}</button>`];
+        buttons.push(JobMonitor.isFinished(job)
+            ? '<button class="btn-sm btn-secondary" data-job-action="remove">Remove</button>'
+            : '<button class="btn-sm btn-secondary" data-job-action="cancel">Cancel</button>');
+        row.querySelector('.job-actions').innerHTML = buttons.join('');
+
+        const logEl = row.querySelector('.job-log');
+        logEl.hidden = !expanded;
+        if (!expanded) return;
+
+        const log = app.jobMonitor.getLog(job.id);
+        // Keep following the log unless the user scrolled up
+        const atBottom = logEl.scrollTop + logEl.clientHeight >= logEl.scrollHeight - 4;
+        logEl.innerHTML = log
+            ? log.map(entry => `<span class="job-log-${entry.level}">${new Date(entry.time).toLocaleTimeString()} ${Utils.escapeHtml(entry.message)}</span>`).join('\n')
+            : 'Loading...';
+        if (atBottom) logEl.scrollTop = logEl.scrollHeight;
+    }
+
+    /**
+     * Render uploads that did not finish (failed or interrupted by a reload)
+     * @param {boolean} notify - Show a toast when interrupted uploads exist
+     */
+    async function renderInterruptedUploads(notify = false) {
+        const container = document.getElementById('upload-resume');
+        if (!container) return;
+
+        // Entries still shown in the upload queue are handled there
+        const entries = (await app.uploadJournal.list())
+            .filter(entry => !app.uploadManager.isTracking(entry.id));
+
+        if (entries.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const items = entries.map(entry => {
+            const confirmed = UploadJournal.getConfirmedBytes(entry);
+            const percent = entry.fileSize ? Math.round((confirmed / entry.fileSize) * 100) : 0;
+            const statusText = entry.state ?
+                `${percent}% confirmed (${entry.state.completedParts.length}/${entry.state.parts.length} parts)` :
+                'Not started';
+
+            return `
+                <div class="upload-resume-item">
+                    <div class="upload-resume-info">
+                        <div class="upload-resume-name">${Utils.escapeHtml(entry.fileName)} (${Utils.formatFileSize(entry.fileSize)})</div>
+                        <div class="upload-resume-meta">
+                            → ${Utils.escapeHtml(entry.destinationPath)} • ${statusText}
+                            ${entry.error ? ` • <span class="upload-resume-error">${Utils.escapeHtml(entry.error)}</span>` : ''}
+                        </div>
+                    </div>
+                    <button class="btn-sm btn-primary" data-resume-id="${Utils.escapeHtml(entry.id)}">Resume</button>
+                    <button class="btn-sm btn-secondary" data-discard-id="${Utils.escapeHtml(entry.id)}">Discard</button>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="upload-resume-header">Interrupted uploads (${entries.length})</div>
+            ${items}
+        `;
+        container.style.display = 'block';
+
+        container.querySelectorAll('[data-resume-id]').forEach(btn => {
+            btn.addEventListener('click', () => resumeInterruptedUpload(btn.dataset.resumeId));
+        });
+        container.querySelectorAll('[data-discard-id]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                await app.uploadJournal.remove(btn.dataset.discardId);
+                renderInterruptedUploads();
+            });
+        });
+
+        if (notify) {
+            Toast.info(`${entries.length} interrupted upload(s) can be resumed from the Upload tab`);
+        }
+    }
+
+    /**
+     * Resume an interrupted upload
+     * The browser cannot reopen local files after a reload, so the user re-selects
+     * the same file and it is matched by name, size and modification time.
+     */
+    async function resumeInterruptedUpload(id) {
+        const entry = await app.uploadJournal.get(id);
+        if (!entry) {
+            renderInterruptedUploads();
+            return;
+        }
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            if (!UploadJournal.matchesFile(entry, file)) {
+                Toast.error(`Selected file does not match ${entry.fileName}`);
+                return;
+            }
+
+            const item = app.uploadManager.add(file, entry.destinationPath, { entry });
+            renderInterruptedUploads();
+
+            await app.uploadManager.whenSettled([item]);
+            showUploadSummary([item]);
+            renderInterruptedUploads();
+        });
+        input.click();
+    }
+
+    /**
+     * Download asset
+     */
+    async function downloadAsset(path) {
+        const assetPath = path || document.getElementById('download-path').value;
+        const rendition = document.getElementById('download-rendition')?.value || 'original';
+        const destination = document.getElementById('download-destination')?.value || 'browser';
+        const resultEl = document.getElementById('download-result');
+
+        if (!assetPath) {
+            Toast.warning('Please enter asset path');
+            return;
+        }
+
+        try {
+            if (resultEl) {
+                resultEl.classList.add('show');
+                resultEl.innerHTML = '<pre>Downloading...</pre>';
+            }
+
+            if (destination === 'server') {
+                // Download to server
+                const result = await app.api.downloadToServer(assetPath, rendition);
+
+                if (resultEl) {
+                    resultEl.innerHTML = `<pre>${Utils.syntaxHighlight({
+                        success: true,
+                        filename: result.filename,
+                        path: result.path,
+                        size: Utils.formatFileSize(result.size),
+                        contentType: result.contentType
+                    })}</pre>`;
+                }
+
+                Toast.success(`Saved to server: ${result.path}`);
+            } else {
+                // Download to browser
+                const blob = await app.api.downloadAsset(assetPath, rendition);
+                const filename = assetPath.split('/').pop();
+
+                // Trigger browser download
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
                 a.download = filename;
                 document.body.appendChild(a);
                 a.click();
@@ -721,6 +1760,67 @@
         }
     }
 
+    /**
+     * Download an asset list and/or a DAM folder to the server (mirrored folders, per-file manifest)
+     */
+    async function downloadBatchToServer() {
+        const assetPaths = document.getElementById('batch-download-paths').value
+            .split('\n').map(line => line.trim()).filter(Boolean);
+        const folderPath = document.getElementById('batch-download-folder').value.trim().replace(/\/+$/, '');
+        const resultEl = document.getElementById('batch-download-result');
+
+        if (assetPaths.length === 0 && !folderPath) {
+            Toast.warning('Please enter asset paths or a folder path');
+            return;
+        }
+
+        const options = {
+            assetPaths,
+            folderPath,
+            recursive: document.getElementById('batch-download-recursive').checked,
+            rendition: document.getElementById('batch-download-rendition').value,
+            conflict: document.getElementById('batch-download-conflict').value
+        };
+
+        resultEl.classList.add('show');
+
+        if (document.getElementById('batch-download-job').checked) {
+            resultEl.innerHTML = '<pre>Queueing job...</pre>';
+            await startJob(resultEl, 'download', {
+                ...options,
+                folderPath: folderPath || undefined,
+                downloadPath: configManager.get('paths.downloadPath')
+            });
+            return;
+        }
+
+        resultEl.innerHTML = '<pre>Downloading...</pre>';
+
+        try {
+            const result = await app.api.downloadBatchToServer(options);
+
+            resultEl.innerHTML = `<pre>${Utils.syntaxHighlight({
+                downloadPath: result.downloadPath,
+                summary: result.summary,
+                files: result.files.map(file => ({
+                    ...file,
+                    size: file.size !== undefined ? Utils.formatFileSize(file.size) : undefined
+                }))
+            })}</pre>`;
+
+            const { downloaded, skipped, failed } = result.summary;
+            const message = `Saved ${downloaded}, skipped ${skipped}, failed ${failed}`;
+            if (failed > 0) {
+                Toast.warning(message);
+            } else {
+                Toast.success(message);
+            }
+        } catch (error) {
+            resultEl.innerHTML = `<pre class="error">${Utils.escapeHtml(error.message)}</pre>`;
+            Toast.error('Batch download failed');
+        }
+    }
+
     /**
      * Get metadata schema from /jcr:content/metadata
      */
@@ -833,6 +1933,47 @@
         }
     }
 
+    /**
+     * Queue a bulk metadata update job (same properties on every asset)
+     */
+    async function startBulkMetadataJob() {
+        const assetPaths = document.getElementById('bulk-meta-paths').value
+            .split('\n').map(line => line.trim()).filter(Boolean);
+        const resultEl = document.getElementById('bulk-meta-result');
+
+        if (assetPaths.length === 0) {
+            Toast.warning('Please enter asset paths');
+            return;
+        }
+
+        let metadata;
+        try {
+            metadata = JSON.parse(document.getElementById('bulk-meta-json').value);
+        } catch (e) {
+            Toast.error('Invalid JSON format');
+            return;
+        }
+
+        resultEl.classList.add('show');
+        resultEl.innerHTML = '<pre>Queueing job...</pre>';
+        await startJob(resultEl, 'metadata', { assetPaths, metadata });
+    }
+
+    /**
+     * Queue a background job and open the Jobs drawer
+     */
+    async function startJob(resultEl, type, params) {
+        try {
+            const job = await app.jobMonitor.create(type, params);
+            resultEl.innerHTML = `<pre>${Utils.syntaxHighlight({ id: job.id, title: job.title, status: job.status })}</pre>`;
+            Toast.info(`Job queued: ${job.title}`);
+            toggleJobsDrawer(true);
+        } catch (error) {
+            resultEl.innerHTML = `<pre class="error">${Utils.escapeHtml(error.message)}</pre>`;
+            Toast.error('Failed to start job');
+        }
+    }
+
     /**
      * Setup Settings page
      */
@@ -874,6 +2015,158 @@
         document.getElementById('generate-token-btn').addEventListener('click', () => {
             generateAccessToken();
         });
+
+        // Show the unmasked .env secrets (the server masks them by default)
+        document.getElementById('reveal-env-secrets').addEventListener('click', () => {
+            revealEnvSecrets();
+        });
+
+        // Import Developer Console credential files (JSON, private.key, config.zip)
+        const credentialDropzone = document.getElementById('credential-dropzone');
+        credentialDropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            credentialDropzone.classList.add('dragover');
+        });
+        credentialDropzone.addEventListener('dragleave', () => {
+            credentialDropzone.classList.remove('dragover');
+        });
+        credentialDropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            credentialDropzone.classList.remove('dragover');
+            importCredentialFiles(Array.from(e.dataTransfer.files));
+        });
+        document.getElementById('credential-file').addEventListener('change', (e) => {
+            importCredentialFiles(Array.from(e.target.files));
+            e.target.value = '';
+        });
+
+        // Re-inspect the token when it is pasted/edited or the expected org/client changes
+        ['settings-token', 'settings-ims-org', 'settings-api-key'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                updateTokenExpiryDisplay(document.getElementById('settings-token').value.trim());
+            });
+        });
+
+        // Token expiry countdown
+        setInterval(() => {
+            updateTokenExpiryDisplay(document.getElementById('settings-token').value.trim());
+        }, 30000);
+
+        // Credential type toggle (OAuth Server-to-Server / JWT)
+        document.getElementById('settings-credential-type').addEventListener('change', () => {
+            updateCredentialTypeFields();
+        });
+    }
+
+    /**
+     * Show only the fields of the selected credential type
+     */
+    function updateCredentialTypeFields() {
+        const type = document.getElementById('settings-credential-type').value;
+        document.querySelectorAll('.credential-oauth').forEach(el => {
+            el.style.display = type === 'oauth' ? '' : 'none';
+        });
+        document.querySelectorAll('.credential-jwt').forEach(el => {
+            el.style.display = type === 'jwt' ? '' : 'none';
+        });
+    }
+
+    // Settings form field for each imported credential
+    const CREDENTIAL_FORM_FIELDS = {
+        credentialType: 'settings-credential-type',
+        imsOrg: 'settings-ims-org',
+        apiKey: 'settings-api-key',
+        clientSecret: 'settings-client-secret',
+        scopes: 'settings-scopes',
+        technicalAccountId: 'settings-tech-account',
+        technicalAccountEmail: 'settings-tech-email',
+        privateKey: 'settings-private-key',
+        imsEndpoint: 'settings-ims-endpoint',
+        metascopes: 'settings-metascopes'
+    };
+
+    /**
+     * Read Developer Console credential files and show what will be imported
+     */
+    async function importCredentialFiles(files) {
+        if (files.length === 0) return;
+
+        let result;
+        try {
+            result = await CredentialImporter.importFiles(files);
+        } catch (error) {
+            Toast.error('Failed to read credential files: ' + error.message);
+            return;
+        }
+
+        if (Object.keys(result.credentials).length === 0) {
+            Toast.error('No credentials found in the selected files');
+            showCredentialImportSummary(result, null);
+            return;
+        }
+
+        // Fields not in the files keep their current Settings value
+        const merged = {};
+        Object.entries(CREDENTIAL_FORM_FIELDS).forEach(([field, id]) => {
+            merged[field] = result.credentials[field] || document.getElementById(id).value.trim();
+        });
+        merged.credentialType = result.credentials.credentialType || CredentialImporter.validate(result.credentials).credentialType;
+
+        showCredentialImportSummary(result, merged);
+    }
+
+    /**
+     * Show the import validation summary; "Import & Save" fills the form and saves
+     * @param {object} result - CredentialImporter.importFiles() result
+     * @param {object|null} merged - Imported fields merged with the current form (null = nothing to import)
+     */
+    function showCredentialImportSummary(result, merged) {
+        const validation = merged ? CredentialImporter.validate(merged) : null;
+        const warnings = [...result.warnings];
+
+        const sources = result.sources.map(source => `
+            <li><code>${Utils.escapeHtml(source.name)}</code>: ${source.fields.map(field => CREDENTIAL_FIELD_LABELS[field]).join(', ') || 'nothing new'}</li>
+        `).join('');
+        const missing = validation ? validation.missing.map(field => `<li>${CREDENTIAL_FIELD_LABELS[field]}</li>`).join('') : '';
+
+        Modal.open({
+            title: 'Import Developer Console Credentials',
+            body: `
+                ${validation ? `<p><strong>Credential Type:</strong> ${validation.credentialType === 'jwt' ? 'Service Account (JWT)' : 'OAuth Server-to-Server'}</p>` : ''}
+                ${sources ? `<p><strong>Imported</strong></p><ul class="credential-import-list">${sources}</ul>` : ''}
+                ${missing ? `<p><strong>Missing (fill in manually)</strong></p><ul class="credential-import-list missing">${missing}</ul>` : ''}
+                ${validation && !missing ? '<p>All required fields are present.</p>' : ''}
+                ${warnings.length ? `<p><strong>Warnings</strong></p><ul class="credential-import-list warnings">${warnings.map(w => `<li>${Utils.escapeHtml(w)}</li>`).join('')}</ul>` : ''}
+            `,
+            buttons: merged ? [
+                { text: 'Cancel', class: 'btn-secondary' },
+                { text: 'Import & Save', class: 'btn-primary', onClick: () => applyImportedCredentials(merged) }
+            ] : [
+                { text: 'Close', class: 'btn-secondary' }
+            ]
+        });
+    }
+
+    /**
+     * Fill the Settings form with imported credentials and save (.env + ConfigManager)
+     */
+    async function applyImportedCredentials(credentials) {
+        Object.entries(CREDENTIAL_FORM_FIELDS).forEach(([field, id]) => {
+            if (credentials[field]) {
+                document.getElementById(id).value = credentials[field];
+            }
+        });
+        updateCredentialTypeFields();
+
+        await saveSettings();
+    }
+
+    /**
+     * Credential type from .env (older files without CREDENTIAL_TYPE used JWT)
+     */
+    function getEnvCredentialType(env) {
+        if (env.CREDENTIAL_TYPE) return env.CREDENTIAL_TYPE;
+        return env.TECHNICAL_ACCOUNT_ID ? 'jwt' : 'oauth';
     }
 
     /**
@@ -881,31 +2174,41 @@
      */
     async function loadSettings() {
         try {
-            const response = await fetch('/api/env');
+            const response = await envApiFetch(getEnvApiUrl());
             const data = await response.json();
 
             if (data.exists && data.config) {
                 const env = data.config;
                 console.log('[loadSettings] Loaded from .env:', env);
 
+                // Secrets come masked (or empty while the .env is locked): keep the ones this browser has
+                const secrets = [['CLIENT_SECRET', 'auth.clientSecret'], ['PRIVATE_KEY', 'auth.privateKey'], ['ACCESS_TOKEN', 'auth.accessToken']];
+                secrets.forEach(([key, configPath]) => {
+                    if (data.locked || isMaskedSecret(env[key])) {
+                        env[key] = configManager.get(configPath) || env[key];
+                    }
+                });
+
                 // Server Configuration
                 document.getElementById('settings-host').value = env.AEM_HOST || '';
                 document.getElementById('settings-delivery').value = env.AEM_DELIVERY_URL || '';
                 document.getElementById('settings-repo-id').value = env.AEM_REPOSITORY_ID || '';
 
                 // Authentication
+                document.getElementById('settings-credential-type').value = getEnvCredentialType(env);
                 document.getElementById('settings-ims-org').value = env.IMS_ORG || '';
                 document.getElementById('settings-api-key').value = env.API_KEY || '';
                 document.getElementById('settings-client-secret').value = env.CLIENT_SECRET || '';
+                document.getElementById('settings-scopes').value = env.SCOPES || DEFAULT_CONFIG.auth.scopes;
                 document.getElementById('settings-tech-account').value = env.TECHNICAL_ACCOUNT_ID || '';
                 document.getElementById('settings-tech-email').value = env.TECHNICAL_ACCOUNT_EMAIL || '';
                 console.log('[loadSettings] CLIENT_SECRET:', env.CLIENT_SECRET);
                 console.log('[loadSettings] TECHNICAL_ACCOUNT_ID:', env.TECHNICAL_ACCOUNT_ID);
                 document.getElementById('settings-ims-endpoint').value = env.IMS_ENDPOINT || 'ims-na1.adobelogin.com';
                 document.getElementById('settings-metascopes').value = env.METASCOPES || 'ent_aem_cloud_api';
+                document.getElementById('settings-private-key-path').value = env.PRIVATE_KEY_PATH || '';
 
-                // Private Key - not stored in .env, leave empty for manual input
-                document.getElementById('settings-private-key').value = '';
+                document.getElementById('settings-private-key').value = env.PRIVATE_KEY || '';
 
                 // Paths
                 document.getElementById('settings-browse-path').value = env.BROWSE_PATH || '/content/dam';
@@ -932,6 +2235,7 @@
 
         // Load non-.env settings from localStorage (UI preferences)
         loadUISettings();
+        updateCredentialTypeFields();
     }
 
     /**
@@ -946,9 +2250,11 @@
         document.getElementById('settings-repo-id').value = config.server.repositoryId || '';
 
         // Authentication
+        document.getElementById('settings-credential-type').value = config.auth.credentialType || 'oauth';
         document.getElementById('settings-ims-org').value = config.auth.imsOrg || '';
         document.getElementById('settings-api-key').value = config.auth.apiKey || '';
         document.getElementById('settings-client-secret').value = config.auth.clientSecret || '';
+        document.getElementById('settings-scopes').value = config.auth.scopes || DEFAULT_CONFIG.auth.scopes;
         document.getElementById('settings-tech-account').value = config.auth.technicalAccountId || '';
         document.getElementById('settings-tech-email').value = config.auth.technicalAccountEmail || '';
         document.getElementById('settings-private-key').value = config.auth.privateKey || '';
@@ -969,6 +2275,8 @@
     function loadUISettings() {
         const config = configManager.getConfig();
 
+        document.getElementById('settings-server-credentials').checked = config.auth.serverCredentials === true;
+
         // Access Token - only set if not already populated from .env
         const tokenEl = document.getElementById('settings-token');
         if (!tokenEl.value) {
@@ -986,7 +2294,28 @@
         // API Options
         document.getElementById('settings-timeout').value = config.api.timeout || 30000;
         document.getElementById('settings-max-upload').value = (config.api.maxUploadSize || 104857600) / 1048576;
+        document.getElementById('settings-direct-upload').checked = config.api.directBinaryUpload !== false;
+        document.getElementById('settings-direct-threshold').value = (config.api.directUploadThreshold || 10485760) / 1048576;
+        document.getElementById('settings-upload-concurrency').value = config.api.uploadConcurrency || 3;
+        document.getElementById('settings-upload-retries').value = config.api.uploadRetries !== undefined ? config.api.uploadRetries : 3;
         document.getElementById('settings-auto-refresh').checked = config.api.autoRefreshToken !== false;
+
+        // Upload rules
+        document.getElementById('settings-allowed-mime').value = (config.upload.allowedMimeTypes || []).join(', ');
+        document.getElementById('settings-allowed-ext').value = (config.upload.allowedExtensions || []).join(', ');
+        document.getElementById('settings-enforce-dam-names').checked = config.upload.enforceDamNames !== false;
+        document.getElementById('settings-auto-rename').checked = !!config.upload.autoRename;
+        document.getElementById('settings-duplicate-policy').value = config.upload.duplicatePolicy || 'ask';
+    }
+
+    /**
+     * Parse a comma separated settings list
+     */
+    function parseListSetting(id, transform = value => value) {
+        return document.getElementById(id).value
+            .split(',')
+            .map(value => transform(value.trim()))
+            .filter(Boolean);
     }
 
     /**
@@ -999,16 +2328,19 @@
         config.server.deliveryUrl = env.AEM_DELIVERY_URL || '';
         config.server.repositoryId = env.AEM_REPOSITORY_ID || '';
 
+        config.auth.credentialType = getEnvCredentialType(env);
         config.auth.imsOrg = env.IMS_ORG || '';
         config.auth.apiKey = env.API_KEY || '';
-        config.auth.clientSecret = env.CLIENT_SECRET || '';
+        // Server-credentials mode keeps secrets out of localStorage
+        const keepSecrets = !config.auth.serverCredentials;
+        config.auth.clientSecret = keepSecrets ? envSecret(env.CLIENT_SECRET) : '';
+        config.auth.scopes = env.SCOPES || DEFAULT_CONFIG.auth.scopes;
         config.auth.technicalAccountId = env.TECHNICAL_ACCOUNT_ID || '';
         config.auth.technicalAccountEmail = env.TECHNICAL_ACCOUNT_EMAIL || '';
         config.auth.imsEndpoint = env.IMS_ENDPOINT || 'ims-na1.adobelogin.com';
         config.auth.metascopes = env.METASCOPES || 'ent_aem_cloud_api';
-        config.auth.accessToken = env.ACCESS_TOKEN || '';
-        // Private Key is not stored in .env, keep empty
-        config.auth.privateKey = '';
+        config.auth.accessToken = keepSecrets ? envSecret(env.ACCESS_TOKEN) : '';
+        config.auth.privateKey = keepSecrets ? envSecret(env.PRIVATE_KEY) : '';
 
         config.paths.browsePath = env.BROWSE_PATH || '/content/dam';
         config.paths.uploadPath = env.UPLOAD_PATH || '/content/dam/uploads';
@@ -1022,6 +2354,10 @@
      * Update token expiry display
      */
     function updateTokenExpiryDisplay(token) {
+        // A masked .env token cannot be decoded
+        token = envSecret(token);
+        renderTokenInspector(token);
+
         const expiryEl = document.getElementById('token-expiry');
         if (!token) {
             expiryEl.textContent = '';
@@ -1033,9 +2369,13 @@
             const expiration = app.tokenGenerator.getTokenExpiration(token);
             if (expiration) {
                 const isExpired = app.tokenGenerator.isTokenExpired(token);
-                const expiryText = `(Expires: ${expiration.toLocaleString()})`;
+                const remaining = isExpired ? 'expired' : `in ${formatRemainingTime(expiration - Date.now())}`;
+                const expiryText = `(Expires: ${expiration.toLocaleString()}, ${remaining})`;
                 expiryEl.textContent = expiryText;
                 expiryEl.className = `token-expiry ${isExpired ? 'expired' : 'valid'}`;
+            } else {
+                expiryEl.textContent = '';
+                expiryEl.className = 'token-expiry';
             }
         } catch (e) {
             expiryEl.textContent = '';
@@ -1043,6 +2383,75 @@
         }
     }
 
+    /**
+     * Render decoded token claims and mismatch warnings in the Token Inspector
+     */
+    function renderTokenInspector(token) {
+        const inspectorEl = document.getElementById('token-inspector');
+
+        if (!token) {
+            const serverMode = document.getElementById('settings-server-credentials').checked;
+            inspectorEl.innerHTML = `<p class="token-inspector-empty">${serverMode
+                ? 'No access token in the browser (the server injects its own token).'
+                : 'No access token. Paste one or click "Generate Access Token".'}</p>`;
+            return;
+        }
+
+        const { claims, warnings } = app.tokenGenerator.inspectToken(token, {
+            imsOrg: document.getElementById('settings-ims-org').value.trim(),
+            apiKey: document.getElementById('settings-api-key').value.trim()
+        });
+
+        const warningList = warnings.length
+            ? `<ul class="token-inspector-warnings">${warnings.map(w => `<li>${Utils.escapeHtml(w)}</li>`).join('')}</ul>`
+            : '';
+
+        if (!claims) {
+            inspectorEl.innerHTML = `<p class="token-inspector-empty">Token could not be decoded.</p>${warningList}`;
+            return;
+        }
+
+        const value = (text) => text ? Utils.escapeHtml(text) : '<span class="token-inspector-empty">—</span>';
+        const rows = [
+            ['Type', value(claims.type)],
+            ['Client ID', value(claims.clientId)],
+            ['Account', value(claims.account)],
+            ['Organization', value(claims.org)],
+            ['Scopes', claims.scopes.length
+                ? `<div class="token-inspector-scopes">${claims.scopes.map(scope => `<code>${Utils.escapeHtml(scope)}</code>`).join('')}</div>`
+                : value(null)],
+            ['Issued', value(claims.issuedAt && claims.issuedAt.toLocaleString())],
+            ['Expires', value(claims.expiresAt && claims.expiresAt.toLocaleString())],
+            ['Remaining', value(claims.remaining === null ? null
+                : claims.remaining > 0 ? formatRemainingTime(claims.remaining) : 'expired')]
+        ];
+
+        inspectorEl.innerHTML = `
+            <table class="token-inspector-table">
+                ${rows.map(([label, html]) => `<tr><th>${label}</th><td>${html}</td></tr>`).join('')}
+            </table>
+            ${warningList}
+        `;
+    }
+
+    /**
+     * Format milliseconds as "1h 05m" / "12m"
+     */
+    function formatRemainingTime(ms) {
+        const minutes = Math.max(0, Math.floor(ms / 60000));
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+    }
+
+    /**
+     * Apply a token generated by the token manager (auto refresh)
+     */
+    function handleTokenRefreshed(accessToken) {
+        document.getElementById('settings-token').value = accessToken;
+        updateTokenExpiryDisplay(accessToken);
+        Toast.info('Access Token refreshed automatically');
+    }
+
     /**
      * Save settings to .env file and localStorage
      */
@@ -1056,47 +2465,31 @@
             AEM_REPOSITORY_ID: document.getElementById('settings-repo-id').value.trim(),
 
             // Authentication
+            CREDENTIAL_TYPE: document.getElementById('settings-credential-type').value,
             IMS_ORG: document.getElementById('settings-ims-org').value.trim(),
             API_KEY: document.getElementById('settings-api-key').value.trim(),
             CLIENT_SECRET: document.getElementById('settings-client-secret').value.trim(),
+            SCOPES: document.getElementById('settings-scopes').value.trim(),
             TECHNICAL_ACCOUNT_ID: document.getElementById('settings-tech-account').value.trim(),
             TECHNICAL_ACCOUNT_EMAIL: document.getElementById('settings-tech-email').value.trim(),
             IMS_ENDPOINT: document.getElementById('settings-ims-endpoint').value.trim() || 'ims-na1.adobelogin.com',
             METASCOPES: document.getElementById('settings-metascopes').value.trim() || 'ent_aem_cloud_api',
+            PRIVATE_KEY_PATH: document.getElementById('settings-private-key-path').value.trim(),
+            PRIVATE_KEY: privateKey,
 
             // Access Token
             ACCESS_TOKEN: document.getElementById('settings-token').value.trim(),
 
             // Paths
             BROWSE_PATH: document.getElementById('settings-browse-path').value.trim() || '/content/dam',
-            UPLOAD_PATH: document.getElementById('settings-upload-path').value.trim(),
-            DOWNLOAD_PATH: document.getElementById('settings-download-path').value.trim(),
-            SAVE_PATH: document.getElementById('settings-save-path').value.trim()
-        };
-
-        // Save to .env file via server API
-        try {
-            const response = await fetch('/api/env', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(envData)
-            });
-
-            const result = await response.json();
-
-            if (!result.success) {
-                throw new Error(result.error || 'Failed to save .env file');
-            }
-
-            console.log('.env file saved successfully');
-        } catch (error) {
-            console.error('Failed to save .env file:', error);
-            Toast.warning('Failed to save to .env file. Settings saved to browser only.');
-        }
+            UPLOAD_PATH: document.getElementById('settings-upload-path').value.trim(),
+            DOWNLOAD_PATH: document.getElementById('settings-download-path').value.trim(),
+            SAVE_PATH: document.getElementById('settings-save-path').value.trim()
+        };
 
-        // Also save to localStorage (for runtime use and UI preferences)
+        // Browser config (runtime use and UI preferences)
+        // Server-credentials mode: secrets stay in .env only
+        const serverCredentials = document.getElementById('settings-server-credentials').checked;
         const config = {
             server: {
                 host: envData.AEM_HOST,
@@ -1104,15 +2497,18 @@
                 repositoryId: envData.AEM_REPOSITORY_ID
             },
             auth: {
+                credentialType: envData.CREDENTIAL_TYPE,
                 imsOrg: envData.IMS_ORG,
                 apiKey: envData.API_KEY,
-                clientSecret: envData.CLIENT_SECRET,
+                clientSecret: serverCredentials ? '' : envSecret(envData.CLIENT_SECRET),
+                scopes: envData.SCOPES,
                 technicalAccountId: envData.TECHNICAL_ACCOUNT_ID,
                 technicalAccountEmail: envData.TECHNICAL_ACCOUNT_EMAIL,
-                privateKey: privateKey,
+                privateKey: serverCredentials ? '' : envSecret(privateKey),
                 imsEndpoint: envData.IMS_ENDPOINT,
                 metascopes: envData.METASCOPES,
-                accessToken: document.getElementById('settings-token').value.trim()
+                accessToken: serverCredentials ? '' : envSecret(envData.ACCESS_TOKEN),
+                serverCredentials
             },
             paths: {
                 browsePath: envData.BROWSE_PATH,
@@ -1130,20 +2526,481 @@
             api: {
                 timeout: parseInt(document.getElementById('settings-timeout').value) || 30000,
                 maxUploadSize: (parseInt(document.getElementById('settings-max-upload').value) || 100) * 1048576,
+                directBinaryUpload: document.getElementById('settings-direct-upload').checked,
+                directUploadThreshold: (parseInt(document.getElementById('settings-direct-threshold').value) || 10) * 1048576,
+                uploadConcurrency: Math.max(1, parseInt(document.getElementById('settings-upload-concurrency').value) || 3),
+                uploadRetries: Math.max(0, parseInt(document.getElementById('settings-upload-retries').value) || 0),
                 autoRefreshToken: document.getElementById('settings-auto-refresh').checked
+            },
+            upload: {
+                allowedMimeTypes: parseListSetting('settings-allowed-mime', value => value.toLowerCase()),
+                allowedExtensions: parseListSetting('settings-allowed-ext', value => value.replace(/^\./, '').toLowerCase()),
+                enforceDamNames: document.getElementById('settings-enforce-dam-names').checked,
+                autoRename: document.getElementById('settings-auto-rename').checked,
+                duplicatePolicy: document.getElementById('settings-duplicate-policy').value
             }
         };
 
+        // Nothing is saved while a field fails the config schema
+        const errors = ConfigSchema.validate(config);
+        if (errors.length > 0) {
+            showConfigErrors('Invalid Settings', 'Fix these settings and save again:', errors);
+            return;
+        }
+
+        // Save to .env file via server API
+        try {
+            const response = await envApiFetch(getEnvApiUrl(), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(envData)
+            });
+
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to save .env file');
+            }
+
+            console.log('.env file saved successfully');
+        } catch (error) {
+            console.error('Failed to save .env file:', error);
+            Toast.warning(`Failed to save to .env file (${error.message}). Settings saved to browser only.`);
+        }
+
         if (configManager.saveConfig(config)) {
             Toast.success('Settings saved successfully');
-            // Reinitialize API client with new settings
-            app.api = new AEMAssetAPI();
-            app.assetSelector = new AEMAssetSelector();
+            resetApiState();
+            renderProfileSwitcher();
+            if (serverCredentials) {
+                checkServerCredentials();
+            }
         } else {
             Toast.error('Failed to save settings');
         }
     }
 
+    /**
+     * Reinitialize the API client (and everything holding it) after settings changed
+     */
+    function resetApiState() {
+        app.api = new AEMAssetAPI({ serverFetch: envApiFetch });
+        app.uploadManager.api = app.api;
+        app.folderUploader.api = app.api;
+        app.folderTree.api = app.api;
+        app.jobMonitor.api = app.api;
+        if (typeof AEMAssetSelector !== 'undefined') {
+            app.assetSelector = new AEMAssetSelector();
+        }
+        // Reschedule token refresh for the saved token/credentials
+        tokenManager.start();
+    }
+
+    // Secrets from GET /api/env are masked with this prefix unless revealed
+    const MASKED_SECRET_PREFIX = '********';
+    const ADMIN_PASSWORD_STORAGE_KEY = 'aem-asset-env-admin';
+
+    /**
+     * Check if a .env value is a masked secret
+     */
+    function isMaskedSecret(value) {
+        return typeof value === 'string' && value.startsWith(MASKED_SECRET_PREFIX);
+    }
+
+    /**
+     * Secret value usable at runtime (masked values are not)
+     */
+    function envSecret(value) {
+        return isMaskedSecret(value) ? '' : value || '';
+    }
+
+    /**
+     * Call the .env / vault API with this session's admin password (asked for on 401)
+     */
+    async function envApiFetch(url, options = {}) {
+        const send = () => fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                // Required by the server for changes (blocks cross-site requests)
+                'X-Requested-With': 'aem-asset-demo',
+                'X-Admin-Password': sessionStorage.getItem(ADMIN_PASSWORD_STORAGE_KEY) || ''
+            }
+        });
+
+        const response = await send();
+        if (response.status !== 401 || !Utils.parseJson(await response.clone().text(), {}).adminPassword) {
+            return response;
+        }
+
+        const password = await promptAdminPassword();
+        if (password === null) return response;
+
+        sessionStorage.setItem(ADMIN_PASSWORD_STORAGE_KEY, password);
+        return send();
+    }
+
+    /**
+     * Ask for the .env admin password (null if cancelled)
+     */
+    function promptAdminPassword() {
+        return new Promise(resolve => {
+            let password = null;
+            const submit = () => {
+                password = document.getElementById('admin-password').value;
+                Modal.close();
+            };
+
+            Modal.open({
+                title: 'Admin Password',
+                body: `
+                    <p>The server requires the admin password (<code>ENV_ADMIN_PASSWORD</code>) to read or change <code>.env</code>.</p>
+                    <div class="form-group">
+                        <input type="password" id="admin-password" autocomplete="current-password">
+                    </div>
+                `,
+                buttons: [
+                    { text: 'Cancel', class: 'btn-secondary' },
+                    { text: 'Continue', class: 'btn-primary', closeOnClick: false, onClick: submit }
+                ],
+                onClose: () => resolve(password)
+            });
+
+            const inputEl = document.getElementById('admin-password');
+            inputEl.focus();
+            inputEl.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') submit();
+            });
+        });
+    }
+
+    /**
+     * Load the unmasked secrets of the active profile's .env into the form
+     */
+    async function revealEnvSecrets() {
+        try {
+            const response = await envApiFetch(`${getEnvApiUrl()}&reveal=1`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            if (!data.exists) {
+                Toast.info('No .env file for this profile');
+                return;
+            }
+            if (data.locked) {
+                Toast.warning('.env is encrypted and locked, unlock it first');
+                return;
+            }
+
+            document.getElementById('settings-client-secret').value = data.config.CLIENT_SECRET || '';
+            document.getElementById('settings-private-key').value = data.config.PRIVATE_KEY || '';
+            document.getElementById('settings-token').value = data.config.ACCESS_TOKEN || '';
+            updateTokenExpiryDisplay(data.config.ACCESS_TOKEN);
+            Toast.info('Secrets revealed from .env');
+        } catch (error) {
+            Toast.error('Failed to reveal secrets: ' + error.message);
+        }
+    }
+
+    /**
+     * .env API URL of the active profile
+     */
+    function getEnvApiUrl() {
+        return `/api/env?profile=${encodeURIComponent(configManager.getActiveProfile())}`;
+    }
+
+    /**
+     * Setup the header profile switcher and the Environment Profiles card
+     */
+    function setupProfiles() {
+        renderProfileSwitcher();
+
+        document.getElementById('profile-switcher').addEventListener('change', (e) => {
+            switchProfile(e.target.value);
+        });
+
+        document.getElementById('profile-color').addEventListener('change', (e) => {
+            configManager.setProfileColor(configManager.getActiveProfile(), e.target.value);
+            renderProfileSwitcher();
+        });
+
+        document.getElementById('create-profile').addEventListener('click', () => {
+            const nameEl = document.getElementById('profile-name');
+            const name = nameEl.value.trim();
+            const error = configManager.createProfile(name);
+            if (error) {
+                Toast.error(error);
+                return;
+            }
+            nameEl.value = '';
+            switchProfile(name);
+        });
+
+        document.getElementById('delete-profile').addEventListener('click', () => {
+            const name = configManager.getActiveProfile();
+            if (name === DEFAULT_PROFILE) {
+                Toast.error('The default profile cannot be deleted');
+                return;
+            }
+
+            Modal.confirm(`Delete profile "${name}" and its .env.${name} file?`, async () => {
+                await switchProfile(DEFAULT_PROFILE);
+                configManager.deleteProfile(name);
+                try {
+                    await envApiFetch(`/api/profiles?profile=${encodeURIComponent(name)}`, { method: 'DELETE' });
+                } catch (error) {
+                    console.warn('Failed to delete profile .env file:', error);
+                }
+                renderProfileSwitcher();
+                Toast.success(`Profile "${name}" deleted`);
+            });
+        });
+    }
+
+    /**
+     * Render the header profile select and the color-coded banner
+     */
+    function renderProfileSwitcher() {
+        const active = configManager.getActiveProfile();
+        const profiles = configManager.getProfiles();
+        const current = profiles.find(profile => profile.name === active);
+
+        document.getElementById('profile-switcher').innerHTML = profiles.map(profile => `
+            <option value="${Utils.escapeHtml(profile.name)}" ${profile.name === active ? 'selected' : ''}>${Utils.escapeHtml(profile.name)}</option>
+        `).join('');
+        document.getElementById('profile-color').value = current.color;
+
+        const bannerEl = document.getElementById('profile-banner');
+        bannerEl.className = `profile-banner ${current.color}`;
+        bannerEl.innerHTML = `
+            Profile: ${Utils.escapeHtml(active.toUpperCase())}
+            <span class="profile-banner-host">${Utils.escapeHtml(current.host || 'AEM host not configured')}</span>
+        `;
+    }
+
+    /**
+     * Tell the server which profile's .env to use for server-side credentials
+     */
+    async function activateServerProfile(name) {
+        try {
+            await envApiFetch('/api/profiles', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ active: name })
+            });
+        } catch (error) {
+            console.warn('Failed to switch server profile:', error);
+        }
+    }
+
+    /**
+     * Switch the active profile: load its settings and reset cached API state
+     */
+    async function switchProfile(name) {
+        if (!configManager.switchProfile(name)) {
+            Toast.error(`Unknown profile: ${name}`);
+            return;
+        }
+
+        await activateServerProfile(name);
+
+        // Values of the previous profile must not carry over
+        document.getElementById('settings-token').value = '';
+        document.getElementById('token-status').textContent = '';
+        await loadSettings();
+
+        resetApiState();
+        renderProfileSwitcher();
+
+        // Cached listings, filters and tree belong to the previous AEM instance
+        if (app.listObserver) {
+            app.listObserver.disconnect();
+            app.listObserver = null;
+        }
+        app.listPaginator = null;
+        Object.keys(app.activeFilters).forEach(key => clearFilterInput(key));
+        app.activeFilters = {};
+        renderFilterChips();
+        document.getElementById('list-result').innerHTML = '';
+        document.getElementById('list-result').classList.remove('show');
+
+        const browsePath = configManager.get('paths.browsePath') || '/content/dam';
+        document.getElementById('list-path').value = browsePath;
+        app.folderTree.rootPath = browsePath;
+        app.folderTree.init();
+
+        Toast.info(`Switched to profile "${name}"`);
+    }
+
+    /**
+     * Setup the Credential Encryption card
+     */
+    function setupEncryption() {
+        const passphraseEl = document.getElementById('encryption-passphrase');
+        const newPassphraseEl = document.getElementById('encryption-new-passphrase');
+
+        const run = async (action, browserStep, body, message) => {
+            try {
+                await browserStep();
+                const result = await vaultRequest(action, body);
+                if (result && !result.success) {
+                    throw new Error(`Server .env: ${result.error}`);
+                }
+                passphraseEl.value = '';
+                newPassphraseEl.value = '';
+                Toast.success(message);
+            } catch (error) {
+                Toast.error(error.message);
+            }
+            renderEncryptionStatus();
+        };
+
+        document.getElementById('encryption-enable').addEventListener('click', () => {
+            const passphrase = newPassphraseEl.value;
+            run('enable', () => configManager.enableEncryption(passphrase), { passphrase }, 'Credential encryption enabled');
+        });
+
+        document.getElementById('encryption-rekey').addEventListener('click', () => {
+            const passphrase = passphraseEl.value;
+            const newPassphrase = newPassphraseEl.value;
+            run('rekey', async () => {
+                if (configManager.isEncrypted()) {
+                    await configManager.changePassphrase(passphrase, newPassphrase);
+                }
+            }, { passphrase, newPassphrase }, 'Passphrase changed, credentials re-encrypted');
+        });
+
+        document.getElementById('encryption-disable').addEventListener('click', () => {
+            const passphrase = passphraseEl.value;
+            Modal.confirm('Store credentials in plain text again (browser and .env)?', () => {
+                run('disable', async () => {
+                    if (configManager.isEncrypted()) {
+                        await configManager.disableEncryption(passphrase);
+                    }
+                }, { passphrase }, 'Credential encryption disabled');
+            });
+        });
+
+        // Locking drops the decrypted credentials: start over with the unlock prompt
+        document.getElementById('encryption-lock').addEventListener('click', async () => {
+            tokenManager.stop();
+            await configManager.lock();
+            await vaultRequest('lock');
+            location.reload();
+        });
+
+        renderEncryptionStatus();
+    }
+
+    /**
+     * Show the encryption state of this browser and of the server's .env
+     */
+    async function renderEncryptionStatus() {
+        const server = await getServerVaultStatus();
+        const browserState = !configManager.isEncrypted()
+            ? 'not encrypted'
+            : configManager.isLocked() ? 'encrypted, locked' : 'encrypted, unlocked';
+        const serverState = !server
+            ? 'unavailable'
+            : !server.encrypted ? 'not encrypted' : server.unlocked ? 'encrypted, unlocked' : 'encrypted, locked';
+        const encrypted = configManager.isEncrypted() || Boolean(server && server.encrypted);
+        const locked = configManager.isLocked() || Boolean(server && server.encrypted && !server.unlocked);
+
+        const statusEl = document.getElementById('encryption-status');
+        statusEl.textContent = `Browser: ${browserState} · Server .env: ${serverState}`;
+        statusEl.classList.toggle('locked', encrypted && locked);
+        statusEl.classList.toggle('unlocked', encrypted && !locked);
+
+        document.getElementById('encryption-enable').disabled = encrypted;
+        ['encryption-rekey', 'encryption-lock', 'encryption-disable'].forEach(id => {
+            document.getElementById(id).disabled = !encrypted;
+        });
+    }
+
+    /**
+     * Ask for the passphrase at startup when the browser or the server's .env is locked
+     */
+    async function unlockCredentials() {
+        const server = await getServerVaultStatus();
+        const serverLocked = Boolean(server && server.encrypted && !server.unlocked);
+        if (!configManager.isLocked() && !serverLocked) return;
+
+        await new Promise(resolve => {
+            const unlock = async () => {
+                const passphrase = document.getElementById('unlock-passphrase').value;
+                const errorEl = document.getElementById('unlock-error');
+
+                if (configManager.isLocked() && !(await configManager.unlock(passphrase))) {
+                    errorEl.textContent = 'Wrong passphrase';
+                    return;
+                }
+                const result = await vaultRequest('unlock', { passphrase });
+                if (result && !result.success) {
+                    errorEl.textContent = `Server .env: ${result.error}`;
+                    return;
+                }
+                Modal.close();
+            };
+
+            Modal.open({
+                title: 'Unlock Credentials',
+                body: `
+                    <p>Stored credentials are encrypted. Enter the passphrase to unlock them.</p>
+                    <div class="form-group">
+                        <input type="password" id="unlock-passphrase" autocomplete="current-password">
+                    </div>
+                    <p class="settings-hint" id="unlock-error"></p>
+                `,
+                buttons: [
+                    { text: 'Continue Locked', class: 'btn-secondary' },
+                    { text: 'Unlock', class: 'btn-primary', closeOnClick: false, onClick: unlock }
+                ],
+                onClose: resolve
+            });
+
+            const inputEl = document.getElementById('unlock-passphrase');
+            inputEl.focus();
+            inputEl.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') unlock();
+            });
+        });
+
+        renderEncryptionStatus();
+    }
+
+    /**
+     * Get the server's .env encryption state (null if the API is not available)
+     */
+    async function getServerVaultStatus() {
+        try {
+            const response = await envApiFetch('/api/vault');
+            return await response.json();
+        } catch (error) {
+            console.warn('Vault API not available:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Send a .env encryption action to the server (null if the API is not available)
+     */
+    async function vaultRequest(action, body = {}) {
+        try {
+            const response = await envApiFetch('/api/vault', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action, ...body })
+            });
+            return await response.json();
+        } catch (error) {
+            console.warn('Vault API not available:', error);
+            return null;
+        }
+    }
+
     /**
      * Generate Access Token
      */
@@ -1151,6 +3008,18 @@
         const statusEl = document.getElementById('token-status');
         const tokenEl = document.getElementById('settings-token');
 
+        // Server-credentials mode: the server mints the token itself
+        if (document.getElementById('settings-server-credentials').checked) {
+            await checkServerCredentials();
+            return;
+        }
+
+        // OAuth Server-to-Server needs no JWT signing
+        if (document.getElementById('settings-credential-type').value === 'oauth') {
+            await generateOAuthAccessToken();
+            return;
+        }
+
         // Get credentials from form
         const clientId = document.getElementById('settings-api-key').value.trim();
         const clientSecret = document.getElementById('settings-client-secret').value.trim();
@@ -1197,7 +3066,7 @@
                 tokenEl.value = tokenResponse.accessToken;
                 updateTokenExpiryDisplay(tokenResponse.accessToken);
 
-                statusEl.textContent = `Token generated successfully! Expires in ${Math.round(tokenResponse.expiresIn / 3600)} hours`;
+                statusEl.textContent = `Token generated successfully! Expires in ${Math.round(tokenResponse.expiresIn / 3600000)} hours`;
                 statusEl.className = 'token-status success';
 
                 Toast.success('Access Token generated successfully');
@@ -1221,6 +3090,81 @@
         }
     }
 
+    /**
+     * Show whether the server can mint a token from its .env credentials
+     */
+    async function checkServerCredentials() {
+        const statusEl = document.getElementById('token-status');
+
+        try {
+            statusEl.textContent = 'Checking server credentials...';
+            statusEl.className = 'token-status loading';
+
+            const status = await app.api.getServerAuthStatus();
+
+            if (status.configured && status.tokenAvailable) {
+                statusEl.textContent = `Server token ready (${status.credentialType}), valid until ${new Date(status.expiresAt).toLocaleString()}`;
+                statusEl.className = 'token-status success';
+            } else if (status.tokenAvailable) {
+                statusEl.textContent = 'Server uses ACCESS_TOKEN from .env (no credentials to refresh it)';
+                statusEl.className = 'token-status success';
+            } else {
+                statusEl.textContent = status.error
+                    ? `Server token error: ${status.error}`
+                    : 'Server has no credentials. Save API Key and Client Secret to .env first.';
+                statusEl.className = 'token-status error';
+            }
+        } catch (error) {
+            statusEl.textContent = `Error: ${error.message}`;
+            statusEl.className = 'token-status error';
+        }
+    }
+
+    /**
+     * Generate Access Token with OAuth Server-to-Server credentials
+     */
+    async function generateOAuthAccessToken() {
+        const statusEl = document.getElementById('token-status');
+        const tokenEl = document.getElementById('settings-token');
+
+        const clientId = document.getElementById('settings-api-key').value.trim();
+        const clientSecret = document.getElementById('settings-client-secret').value.trim();
+        const scopes = document.getElementById('settings-scopes').value.trim() || DEFAULT_CONFIG.auth.scopes;
+        const imsEndpoint = document.getElementById('settings-ims-endpoint').value.trim() || 'ims-na1.adobelogin.com';
+
+        if (!clientId || !clientSecret) {
+            Toast.error('Please fill in API Key (Client ID) and Client Secret');
+            statusEl.textContent = 'Missing required fields';
+            statusEl.className = 'token-status error';
+            return;
+        }
+
+        try {
+            statusEl.textContent = 'Requesting Access Token (OAuth Server-to-Server)...';
+            statusEl.className = 'token-status loading';
+
+            const tokenResponse = await app.tokenGenerator.generateAccessToken({
+                credentialType: 'oauth',
+                clientId,
+                clientSecret,
+                scopes,
+                imsEndpoint
+            });
+
+            tokenEl.value = tokenResponse.accessToken;
+            updateTokenExpiryDisplay(tokenResponse.accessToken);
+
+            statusEl.textContent = `Token generated successfully! Expires in ${Math.round(tokenResponse.expiresIn / 3600000)} hours`;
+            statusEl.className = 'token-status success';
+
+            Toast.success('Access Token generated successfully');
+        } catch (error) {
+            statusEl.textContent = `Error: ${error.message}`;
+            statusEl.className = 'token-status error';
+            Toast.error('Failed to generate token: ' + error.message);
+        }
+    }
+
     /**
      * Show JWT Exchange Modal (for CORS workaround)
      */
@@ -1305,19 +3249,41 @@
     async function importConfig(file) {
         if (!file) return;
 
+        let content;
         try {
-            const content = await Utils.readFileAsText(file);
-            if (configManager.importConfig(content)) {
-                loadSettings();
-                Toast.success('Configuration imported successfully');
-            } else {
-                Toast.error('Failed to import configuration');
-            }
+            content = await Utils.readFileAsText(file);
         } catch (error) {
             Toast.error('Failed to read configuration file');
+            return;
+        }
+
+        const result = configManager.importConfig(content);
+        if (result.success) {
+            loadSettings();
+            Toast.success('Configuration imported successfully');
+        } else if (result.errors.length > 0) {
+            showConfigErrors('Import Failed', `${file.name} was not imported:`, result.errors);
+        } else {
+            Toast.error('Failed to import configuration');
         }
     }
 
+    /**
+     * List config schema errors by field
+     * @param {Array<{field, message}>} errors - ConfigSchema errors
+     */
+    function showConfigErrors(title, message, errors) {
+        const items = errors.map(error => `
+            <li><code>${Utils.escapeHtml(error.field)}</code> ${Utils.escapeHtml(error.message)}</li>
+        `).join('');
+
+        Modal.open({
+            title,
+            body: `<p>${Utils.escapeHtml(message)}</p><ul class="config-error-list">${items}</ul>`,
+            buttons: [{ text: 'OK', class: 'btn-primary' }]
+        });
+    }
+
     // Initialize on DOM ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,123 @@
+/**
+ * Asset Paginator
+ * 폴더 에셋 리스트 페이지네이션 모듈 (Siren next 링크 또는 offset 증가 방식)
+ */
+
+// UI sort keys -> Assets HTTP API orderby values
+const ASSET_SORT_FIELDS = {
+    name: 'name',
+    size: 'dam:size',
+    modified: 'jcr:lastModified'
+};
+
+class AssetPaginator {
+    /**
+     * @param {AEMAssetAPI} api - API client
+     * @param {string} path - Folder path to list
+     * @param {object} options - pageSize, sortBy (name|size|modified), sortDirection (asc|desc),
+     *                           search (searchAssets query: pages come from QueryBuilder instead)
+     */
+    constructor(api, path, options = {}) {
+        this.api = api;
+        this.path = path;
+        this.search = options.search || null;
+        this.pageSize = options.pageSize || 20;
+        this.sortBy = options.sortBy || 'name';
+        this.sortDirection = options.sortDirection || 'asc';
+        this.reset();
+    }
+
+    /**
+     * Forget loaded pages and start again from the first page
+     */
+    reset() {
+        this.assets = [];
+        this.total = null;
+        this.offset = 0;
+        this.nextLink = null;
+        this.prevLink = null;
+        this.done = false;
+        this.pending = null;
+    }
+
+    /**
+     * Change sort order (resets the paginator)
+     */
+    setSort(sortBy, sortDirection = 'asc') {
+        this.sortBy = sortBy;
+        this.sortDirection = sortDirection;
+        this.reset();
+    }
+
+    /**
+     * Check if more pages can be loaded
+     */
+    hasMore() {
+        return !this.done;
+    }
+
+    /**
+     * Load the next page (concurrent calls share the same request)
+     * @returns {Promise<Array>} Assets of the loaded page
+     */
+    loadNext() {
+        if (this.pending) return this.pending;
+        if (this.done) return Promise.resolve([]);
+
+        this.pending = this.fetchPage().finally(() => {
+            this.pending = null;
+        });
+        return this.pending;
+    }
+
+    /**
+     * Fetch one page, following the Siren next link when the server sent one
+     */
+    async fetchPage() {
+        let result;
+        if (this.nextLink) {
+            result = await this.api.listAssetsFromLink(this.nextLink);
+        } else if (this.search) {
+            result = await this.api.searchAssets({
+                ...this.search,
+                path: this.search.path || this.path,
+                limit: this.pageSize,
+                offset: this.offset,
+                orderBy: this.sortBy,
+                orderDirection: this.sortDirection
+            });
+        } else {
+            result = await this.api.listAssets(this.path, {
+                limit: this.pageSize,
+                offset: this.offset,
+                orderBy: ASSET_SORT_FIELDS[this.sortBy] || this.sortBy,
+                orderDirection: this.sortDirection
+            });
+        }
+
+        const page = result.assets || [];
+        const links = result.links || {};
+
+        this.assets.push(...page);
+        this.offset += page.length;
+        this.nextLink = links.next || null;
+        this.prevLink = links.prev || null;
+
+        if (result.paging && result.paging.total !== undefined) {
+            this.total = result.paging.total;
+        }
+
+        // Without a next link: stop on a short page or once the known total is reached
+        if (page.length === 0) {
+            this.done = true;
+        } else if (!this.nextLink) {
+            this.done = page.length < this.pageSize ||
+                (this.total !== null && this.offset >= this.total);
+        }
+
+        return page;
+    }
+}
+
+// Export
+window.AssetPaginator = AssetPaginator;
@@ -0,0 +1,255 @@
+/**
+ * Config Schema
+ * 설정 스키마 검증 및 버전 마이그레이션 모듈
+ */
+
+// Version written with every saved/exported config (data without one is version 1)
+const CONFIG_VERSION = 2;
+
+// AEM as a Cloud Service hosts (author-p12345-e67890.adobeaemcloud.com)
+const AEM_CLOUD_HOST_PATTERN = /^(author|publish|preview|delivery)-p\d+-e\d+(-cmstg)?\.adobeaemcloud\.com$/i;
+// Local AEM SDK (http allowed)
+const LOCAL_HOST_PATTERN = /^(localhost|127\.0\.0\.1)$/;
+
+const DAM_ROOT = '/content/dam';
+
+/**
+ * Field rules: type (string | number | integer | boolean | array), enum, min, pattern,
+ * format (aemUrl | damPath), required (needed to connect, checked by ConfigManager.validate())
+ */
+const CONFIG_SCHEMA = {
+    server: {
+        host: { type: 'string', format: 'aemUrl', required: true },
+        deliveryUrl: { type: 'string', format: 'aemUrl' },
+        repositoryId: { type: 'string', pattern: /^[a-z0-9.-]*$/i }
+    },
+    auth: {
+        credentialType: { type: 'string', enum: ['oauth', 'jwt'] },
+        imsOrg: { type: 'string', pattern: /^([a-z0-9]+@AdobeOrg)?$/i },
+        apiKey: { type: 'string', required: true },
+        clientSecret: { type: 'string' },
+        scopes: { type: 'string' },
+        technicalAccountId: { type: 'string' },
+        technicalAccountEmail: { type: 'string' },
+        privateKey: { type: 'string' },
+        imsEndpoint: { type: 'string', pattern: /^([a-z0-9-]+(\.[a-z0-9-]+)*\.adobelogin\.com)?$/i },
+        metascopes: { type: 'string' },
+        accessToken: { type: 'string' },
+        serverCredentials: { type: 'boolean' }
+    },
+    paths: {
+        browsePath: { type: 'string', format: 'damPath' },
+        uploadPath: { type: 'string', format: 'damPath' },
+        // Folder on the demo server's file system, not in the DAM
+        downloadPath: { type: 'string' },
+        savePath: { type: 'string', format: 'damPath' }
+    },
+    selector: {
+        env: { type: 'string', enum: ['PROD', 'STAGE', 'DEV'] },
+        selectionMode: { type: 'string', enum: ['single', 'multiple'] },
+        defaultView: { type: 'string', enum: ['grid', 'list'] },
+        showMetadata: { type: 'boolean' },
+        showFilters: { type: 'boolean' }
+    },
+    api: {
+        timeout: { type: 'integer', min: 1000 },
+        maxUploadSize: { type: 'integer', min: 1 },
+        directBinaryUpload: { type: 'boolean' },
+        directUploadThreshold: { type: 'integer', min: 0 },
+        uploadConcurrency: { type: 'integer', min: 1 },
+        uploadRetries: { type: 'integer', min: 0 },
+        autoRefreshToken: { type: 'boolean' }
+    },
+    upload: {
+        allowedMimeTypes: { type: 'array' },
+        allowedExtensions: { type: 'array' },
+        enforceDamNames: { type: 'boolean' },
+        autoRename: { type: 'boolean' },
+        duplicatePolicy: { type: 'string', enum: ['ask', 'skip', 'overwrite', 'version', 'rename'] }
+    }
+};
+
+/**
+ * Migrations: CONFIG_MIGRATIONS[n] upgrades a version n config to version n + 1
+ */
+const CONFIG_MIGRATIONS = {
+    // 1 -> 2: credential type (version 1 only had JWT), full host URLs, upload rule lists
+    1: (config) => {
+        const auth = config.auth || {};
+        if (!auth.credentialType) {
+            auth.credentialType = auth.technicalAccountId || auth.privateKey ? 'jwt' : 'oauth';
+        }
+
+        const server = config.server || {};
+        ['host', 'deliveryUrl'].forEach(field => {
+            if (typeof server[field] === 'string' && server[field]) {
+                const url = server[field].trim().replace(/\/+$/, '');
+                server[field] = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+            }
+        });
+
+        const upload = config.upload || {};
+        ['allowedMimeTypes', 'allowedExtensions'].forEach(field => {
+            if (typeof upload[field] === 'string') {
+                upload[field] = upload[field].split(',').map(value => value.trim()).filter(Boolean);
+            }
+        });
+
+        return config;
+    }
+};
+
+class ConfigSchema {
+    /**
+     * Migrate stored/imported config data to CONFIG_VERSION and validate it
+     * @param {object} data - Parsed config (any version)
+     * @param {object} options - checkRequired (see validate)
+     * @returns {object} { config, errors: [{field, message}], fromVersion } (config is null if it cannot be migrated)
+     */
+    static upgrade(data, options = {}) {
+        if (!ConfigSchema.isPlainObject(data)) {
+            return { config: null, errors: [{ field: '(root)', message: 'must be a JSON object' }], fromVersion: null };
+        }
+
+        const fromVersion = data.version === undefined ? 1 : data.version;
+        if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+            return { config: null, errors: [{ field: 'version', message: 'must be a positive integer' }], fromVersion };
+        }
+        if (fromVersion > CONFIG_VERSION) {
+            return {
+                config: null,
+                errors: [{ field: 'version', message: `${fromVersion} is newer than this app supports (${CONFIG_VERSION})` }],
+                fromVersion
+            };
+        }
+
+        let config = JSON.parse(JSON.stringify(data));
+        for (let version = fromVersion; version < CONFIG_VERSION; version++) {
+            config = CONFIG_MIGRATIONS[version](config);
+            config.version = version + 1;
+        }
+
+        return { config, errors: ConfigSchema.validate(config, options), fromVersion };
+    }
+
+    /**
+     * Validate a config against CONFIG_SCHEMA (missing sections/fields fall back to defaults)
+     * @param {object} options - checkRequired: also report empty required fields
+     * @returns {Array<{field, message}>}
+     */
+    static validate(config, options = {}) {
+        const errors = [];
+
+        for (const key of Object.keys(config)) {
+            if (key !== 'version' && !CONFIG_SCHEMA[key]) {
+                errors.push({ field: key, message: 'unknown setting' });
+            }
+        }
+
+        for (const [section, rules] of Object.entries(CONFIG_SCHEMA)) {
+            const values = config[section];
+            if (values === undefined) continue;
+            if (!ConfigSchema.isPlainObject(values)) {
+                errors.push({ field: section, message: 'must be an object' });
+                continue;
+            }
+
+            for (const key of Object.keys(values)) {
+                if (!rules[key]) {
+                    errors.push({ field: `${section}.${key}`, message: 'unknown setting' });
+                }
+            }
+
+            for (const [key, rule] of Object.entries(rules)) {
+                const message = ConfigSchema.validateField(values[key], rule, options);
+                if (message) {
+                    errors.push({ field: `${section}.${key}`, message });
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check one value against its rule
+     * @returns {string|null} Error message
+     */
+    static validateField(value, rule, options = {}) {
+        if (value === undefined || value === '') {
+            return options.checkRequired && rule.required ? 'is required' : null;
+        }
+
+        switch (rule.type) {
+            case 'string':
+                if (typeof value !== 'string') return 'must be a string';
+                break;
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+                break;
+            case 'integer':
+                if (!Number.isInteger(value)) return 'must be an integer';
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') return 'must be true or false';
+                break;
+            case 'array':
+                if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                    return 'must be a list of strings';
+                }
+                break;
+        }
+
+        if (rule.enum && !rule.enum.includes(value)) {
+            return `must be one of ${rule.enum.join(', ')}`;
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            return `must be at least ${rule.min}`;
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return 'has an invalid format';
+        }
+        if (rule.format === 'aemUrl') {
+            return ConfigSchema.checkAemUrl(value);
+        }
+        if (rule.format === 'damPath' && value !== DAM_ROOT && !value.startsWith(`${DAM_ROOT}/`)) {
+            return `must start with ${DAM_ROOT}`;
+        }
+        return null;
+    }
+
+    /**
+     * Check an AEM URL: https://<program/environment host>.adobeaemcloud.com (no path)
+     * or http(s)://localhost for the local SDK
+     * @returns {string|null} Error message
+     */
+    static checkAemUrl(value) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (e) {
+            return 'must be a URL like https://author-p12345-e67890.adobeaemcloud.com';
+        }
+
+        if ((url.pathname !== '/' && url.pathname !== '') || url.search || url.hash) {
+            return 'must not contain a path or query';
+        }
+        if (LOCAL_HOST_PATTERN.test(url.hostname)) {
+            return /^https?:$/.test(url.protocol) ? null : 'must use http or https';
+        }
+        if (url.protocol !== 'https:') {
+            return 'must use https';
+        }
+        if (!AEM_CLOUD_HOST_PATTERN.test(url.hostname)) {
+            return 'must be an AEM Cloud host like author-p12345-e67890.adobeaemcloud.com';
+        }
+        return null;
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Export
+window.ConfigSchema = ConfigSchema;
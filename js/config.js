@@ -4,9 +4,23 @@
  */
 
 const CONFIG_STORAGE_KEY = 'aem-asset-config';
+const PROFILE_STORAGE_KEY = 'aem-asset-profiles';
+const VAULT_STORAGE_KEY = 'aem-asset-vault';
+
+// Auth fields never written in plain text while encryption is enabled
+const SECRET_AUTH_FIELDS = ['clientSecret', 'privateKey', 'accessToken'];
+
+// Environment profiles: each has its own server/auth/paths (the rest is shared)
+const DEFAULT_PROFILE = 'default';
+const PROFILE_SECTIONS = ['server', 'auth', 'paths'];
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+const PROFILE_COLORS = ['green', 'blue', 'orange', 'red'];
 
 // 기본 설정값
 const DEFAULT_CONFIG = {
+    // Schema version (see config-schema.js)
+    version: CONFIG_VERSION,
+
     // Server Configuration
     server: {
         host: '',
@@ -16,15 +30,19 @@ const DEFAULT_CONFIG = {
 
     // Authentication
     auth: {
+        credentialType: 'oauth', // oauth (OAuth Server-to-Server) | jwt (Service Account, deprecated)
         imsOrg: '',
         apiKey: '',
         clientSecret: '',
+        scopes: 'openid,AdobeID,read_organizations,additional_info.projectedProductContext,ent_aem_cloud_api',
         technicalAccountId: '',
         technicalAccountEmail: '',
         privateKey: '',
         imsEndpoint: 'ims-na1.adobelogin.com',
         metascopes: 'ent_aem_cloud_api',
-        accessToken: ''
+        accessToken: '',
+        // Let the server inject credentials (no secrets in the browser)
+        serverCredentials: false
     },
 
     // Paths
@@ -48,7 +66,20 @@ const DEFAULT_CONFIG = {
     api: {
         timeout: 30000,
         maxUploadSize: 104857600, // 100MB
+        directBinaryUpload: true,
+        directUploadThreshold: 10485760, // 10MB
+        uploadConcurrency: 3,
+        uploadRetries: 3,
         autoRefreshToken: true
+    },
+
+    // Upload Validation Rules (empty lists = allow all)
+    upload: {
+        allowedMimeTypes: [],   // e.g. ['image/*', 'application/pdf']
+        allowedExtensions: [],  // e.g. ['jpg', 'png', 'pdf']
+        enforceDamNames: true,
+        autoRename: false,
+        duplicatePolicy: 'ask'  // ask | skip | overwrite | version | rename
     }
 };
 
@@ -57,7 +88,17 @@ const DEFAULT_CONFIG = {
  */
 class ConfigManager {
     constructor() {
+        // Encryption: vault metadata (null = disabled), key while unlocked,
+        // sealed auth sections per storage slot ("config" or profile name) while locked
+        this.vault = this.loadVault();
+        this.vaultKey = null;
+        this.sealedAuth = {};
+        this.writeQueue = Promise.resolve();
+
+        // Schema errors of the stored config (those fields were reset to defaults)
+        this.loadErrors = [];
         this.config = this.loadConfig();
+        this.profiles = this.loadProfiles();
     }
 
     /**
@@ -67,27 +108,57 @@ class ConfigManager {
         try {
             const stored = localStorage.getItem(CONFIG_STORAGE_KEY);
             if (stored) {
-                return this.mergeConfig(DEFAULT_CONFIG, JSON.parse(stored));
+                const data = this.takeSealedAuth(JSON.parse(stored), 'config');
+                return this.mergeConfig(DEFAULT_CONFIG, this.upgradeStoredConfig(data));
             }
         } catch (e) {
             console.error('Failed to load config:', e);
         }
-        return { ...DEFAULT_CONFIG };
+        return this.getDefaultConfig();
     }
 
     /**
-     * Deep merge configurations
+     * Copy of the defaults (deep, so set() never changes DEFAULT_CONFIG)
+     */
+    getDefaultConfig() {
+        return JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+    }
+
+    /**
+     * Migrate stored config to the current version
+     * Fields that fail the schema fall back to the defaults and are reported in loadErrors
+     */
+    upgradeStoredConfig(data) {
+        const { config, errors } = ConfigSchema.upgrade(data);
+        this.loadErrors = errors;
+        if (errors.length > 0) {
+            console.warn('Stored config has invalid settings (reset to defaults):', errors);
+        }
+        if (!config) return {};
+
+        errors.forEach(({ field }) => {
+            const [section, key] = field.split('.');
+            if (key) {
+                delete config[section][key];
+            } else {
+                delete config[section];
+            }
+        });
+        return config;
+    }
+
+    /**
+     * Deep merge configurations (returns a copy; arrays are replaced, not merged)
      */
     mergeConfig(defaults, stored) {
-        const result = { ...defaults };
+        const result = JSON.parse(JSON.stringify(defaults));
         for (const key in stored) {
-            if (stored.hasOwnProperty(key)) {
-                if (typeof stored[key] === 'object' && !Array.isArray(stored[key])) {
-                    result[key] = { ...defaults[key], ...stored[key] };
-                } else {
-                    result[key] = stored[key];
-                }
-            }
+            if (!stored.hasOwnProperty(key)) continue;
+
+            const value = stored[key];
+            result[key] = ConfigSchema.isPlainObject(value) && ConfigSchema.isPlainObject(result[key])
+                ? this.mergeConfig(result[key], value)
+                : value;
         }
         return result;
     }
@@ -98,7 +169,8 @@ class ConfigManager {
     saveConfig(config) {
         try {
             this.config = this.mergeConfig(DEFAULT_CONFIG, config);
-            localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(this.config));
+            this.config.version = CONFIG_VERSION;
+            this.saveActiveProfile();
             return true;
         } catch (e) {
             console.error('Failed to save config:', e);
@@ -149,58 +221,457 @@ class ConfigManager {
      * Reset to default configuration
      */
     resetConfig() {
-        this.config = { ...DEFAULT_CONFIG };
+        this.config = this.getDefaultConfig();
+        delete this.sealedAuth.config;
+        delete this.sealedAuth[this.profiles.active];
         localStorage.removeItem(CONFIG_STORAGE_KEY);
+        this.saveActiveProfile();
         return this.config;
     }
 
+    /**
+     * Load environment profiles (the current config becomes "default" on first use)
+     */
+    loadProfiles() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+            if (stored && stored.profiles && stored.profiles[stored.active]) {
+                Object.keys(stored.profiles).forEach(name => {
+                    stored.profiles[name] = this.takeSealedAuth(stored.profiles[name], name);
+                });
+                return stored;
+            }
+        } catch (e) {
+            console.error('Failed to load profiles:', e);
+        }
+
+        const profiles = { active: DEFAULT_PROFILE, profiles: {} };
+        profiles.profiles[DEFAULT_PROFILE] = {
+            color: this.getDefaultProfileColor(DEFAULT_PROFILE),
+            ...this.pickProfileSections(this.config)
+        };
+        return profiles;
+    }
+
+    /**
+     * Persist environment profiles
+     */
+    saveProfiles() {
+        this.persist();
+    }
+
+    /**
+     * Write config and profiles to localStorage
+     * With encryption enabled the auth sections are sealed first (async; writes stay in order)
+     * @returns {Promise}
+     */
+    persist() {
+        if (!this.vault) {
+            try {
+                this.writeStorage({});
+            } catch (e) {
+                console.error('Failed to save config:', e);
+            }
+            return Promise.resolve();
+        }
+
+        this.writeQueue = this.writeQueue
+            .then(() => this.sealAllAuth())
+            .then(sealed => this.writeStorage(sealed))
+            .catch(e => console.error('Failed to save encrypted config:', e));
+        return this.writeQueue;
+    }
+
+    /**
+     * Write config and profiles, replacing auth sections by their sealed form
+     * @param {object} sealed - Stored auth per slot ("config" or profile name)
+     */
+    writeStorage(sealed) {
+        const sealAuth = (auth, slot) => sealed[slot] || auth;
+
+        localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify({
+            ...this.config,
+            auth: sealAuth(this.config.auth, 'config')
+        }));
+
+        const profiles = { active: this.profiles.active, profiles: {} };
+        Object.entries(this.profiles.profiles).forEach(([name, profile]) => {
+            profiles.profiles[name] = { ...profile, auth: sealAuth(profile.auth, name) };
+        });
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles));
+    }
+
+    /**
+     * Encrypt the auth section of the config and of every profile
+     * While locked the stored ciphertext is kept (changes made while locked are not saved)
+     * and slots without one keep only their non-secret fields
+     */
+    async sealAllAuth() {
+        const slots = { config: this.config.auth };
+        Object.entries(this.profiles.profiles).forEach(([name, profile]) => {
+            slots[name] = profile.auth || {};
+        });
+
+        const sealed = {};
+        for (const [slot, auth] of Object.entries(slots)) {
+            if (this.vaultKey) {
+                sealed[slot] = { encrypted: await CredentialVault.encryptJson(this.vaultKey, auth) };
+            } else if (this.sealedAuth[slot]) {
+                sealed[slot] = { encrypted: this.sealedAuth[slot] };
+            } else {
+                sealed[slot] = { ...auth };
+                SECRET_AUTH_FIELDS.forEach(field => { sealed[slot][field] = ''; });
+            }
+        }
+        return sealed;
+    }
+
+    /**
+     * Move an encrypted auth section out of a stored config/profile (it stays sealed until unlock)
+     */
+    takeSealedAuth(stored, slot) {
+        if (!stored.auth || !stored.auth.encrypted) return stored;
+
+        this.sealedAuth[slot] = stored.auth.encrypted;
+        return { ...stored, auth: { ...DEFAULT_CONFIG.auth } };
+    }
+
+    /**
+     * Load the vault metadata (null when encryption is disabled)
+     */
+    loadVault() {
+        try {
+            return JSON.parse(localStorage.getItem(VAULT_STORAGE_KEY));
+        } catch (e) {
+            console.error('Failed to load vault:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Check if stored credentials are encrypted
+     */
+    isEncrypted() {
+        return Boolean(this.vault);
+    }
+
+    /**
+     * Check if credentials are encrypted and the passphrase has not been entered
+     */
+    isLocked() {
+        return Boolean(this.vault) && !this.vaultKey;
+    }
+
+    /**
+     * Decrypt the stored auth sections
+     * @returns {Promise<boolean>} false if the passphrase is wrong
+     */
+    async unlock(passphrase) {
+        if (!this.isLocked()) return true;
+
+        const key = await CredentialVault.open(this.vault, passphrase);
+        if (!key) return false;
+
+        for (const [slot, envelope] of Object.entries(this.sealedAuth)) {
+            const auth = { ...DEFAULT_CONFIG.auth, ...(await CredentialVault.decryptJson(key, envelope)) };
+            if (slot === 'config') {
+                this.config.auth = auth;
+            } else if (this.profiles.profiles[slot]) {
+                this.profiles.profiles[slot].auth = auth;
+            }
+        }
+
+        // The active profile mirrors the config (it may not have been sealed yet)
+        this.profiles.profiles[this.profiles.active].auth = { ...this.config.auth };
+        this.vaultKey = key;
+        this.sealedAuth = {};
+        return true;
+    }
+
+    /**
+     * Forget the key and the decrypted credentials (stored data stays encrypted)
+     */
+    async lock() {
+        if (!this.vault) return;
+
+        await this.persist();
+        this.vaultKey = null;
+        this.sealedAuth = {};
+        this.config = this.loadConfig();
+        this.profiles = this.loadProfiles();
+    }
+
+    /**
+     * Encrypt the stored credentials with a new passphrase
+     */
+    async enableEncryption(passphrase) {
+        if (this.vault) throw new Error('Encryption is already enabled');
+
+        const { meta, key } = await CredentialVault.create(passphrase);
+        this.vault = meta;
+        this.vaultKey = key;
+        localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify(meta));
+        await this.persist();
+    }
+
+    /**
+     * Re-encrypt the stored credentials with a new passphrase (new salt and key)
+     */
+    async changePassphrase(passphrase, newPassphrase) {
+        await this.requireVaultKey(passphrase);
+
+        const { meta, key } = await CredentialVault.create(newPassphrase);
+        await this.writeQueue;
+        this.vault = meta;
+        this.vaultKey = key;
+        localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify(meta));
+        await this.persist();
+    }
+
+    /**
+     * Store the credentials in plain text again
+     */
+    async disableEncryption(passphrase) {
+        await this.requireVaultKey(passphrase);
+
+        await this.writeQueue;
+        this.vault = null;
+        this.vaultKey = null;
+        localStorage.removeItem(VAULT_STORAGE_KEY);
+        await this.persist();
+    }
+
+    /**
+     * Check the current passphrase (also unlocks)
+     */
+    async requireVaultKey(passphrase) {
+        if (!this.vault) throw new Error('Encryption is not enabled');
+
+        const valid = this.isLocked()
+            ? await this.unlock(passphrase)
+            : Boolean(await CredentialVault.open(this.vault, passphrase));
+        if (!valid) throw new Error('Wrong passphrase');
+    }
+
+    /**
+     * Copy the profile sections (server/auth/paths) of a config
+     */
+    pickProfileSections(config) {
+        const sections = {};
+        PROFILE_SECTIONS.forEach(section => {
+            sections[section] = { ...DEFAULT_CONFIG[section], ...(config[section] || {}) };
+        });
+        return sections;
+    }
+
+    /**
+     * Store the current server/auth/paths in the active profile
+     */
+    saveActiveProfile() {
+        // Called from saveConfig before the constructor has loaded profiles
+        if (!this.profiles) return;
+
+        const active = this.profiles.profiles[this.profiles.active] || {};
+        this.profiles.profiles[this.profiles.active] = {
+            color: active.color || this.getDefaultProfileColor(this.profiles.active),
+            ...this.pickProfileSections(this.config)
+        };
+        this.saveProfiles();
+    }
+
+    /**
+     * Banner color guessed from the profile name (prod = red, stage = orange, dev = green)
+     */
+    getDefaultProfileColor(name) {
+        if (/prod/i.test(name)) return 'red';
+        if (/stag|uat|qa/i.test(name)) return 'orange';
+        if (/dev|local/i.test(name)) return 'green';
+        return 'blue';
+    }
+
+    /**
+     * Get the active profile name
+     */
+    getActiveProfile() {
+        return this.profiles.active;
+    }
+
+    /**
+     * List profiles
+     * @returns {Array<{name, color, host}>}
+     */
+    getProfiles() {
+        return Object.entries(this.profiles.profiles).map(([name, profile]) => ({
+            name,
+            color: profile.color,
+            host: profile.server ? profile.server.host : ''
+        }));
+    }
+
+    /**
+     * Create an empty profile (server/auth/paths start from the defaults)
+     * @returns {string|null} Error message, or null on success
+     */
+    createProfile(name, color = null) {
+        if (!PROFILE_NAME_PATTERN.test(name)) {
+            return 'Profile name may only contain letters, numbers, "-" and "_" (max 32)';
+        }
+        if (this.profiles.profiles[name]) {
+            return `Profile "${name}" already exists`;
+        }
+
+        this.profiles.profiles[name] = {
+            color: PROFILE_COLORS.includes(color) ? color : this.getDefaultProfileColor(name),
+            ...this.pickProfileSections({})
+        };
+        this.saveProfiles();
+        return null;
+    }
+
+    /**
+     * Make a profile active: its server/auth/paths replace the current ones
+     */
+    switchProfile(name) {
+        const profile = this.profiles.profiles[name];
+        if (!profile) return false;
+
+        this.saveActiveProfile();
+        this.profiles.active = name;
+
+        const config = { ...this.config };
+        PROFILE_SECTIONS.forEach(section => {
+            config[section] = { ...DEFAULT_CONFIG[section], ...profile[section] };
+        });
+
+        // While locked the config keeps the sealed auth of the new profile
+        if (this.isLocked()) {
+            this.sealedAuth.config = this.sealedAuth[name];
+            if (!this.sealedAuth.config) delete this.sealedAuth.config;
+        }
+        return this.saveConfig(config);
+    }
+
+    /**
+     * Delete a profile (not the default or the active one)
+     */
+    deleteProfile(name) {
+        if (name === DEFAULT_PROFILE || name === this.profiles.active || !this.profiles.profiles[name]) {
+            return false;
+        }
+        delete this.profiles.profiles[name];
+        delete this.sealedAuth[name];
+        this.saveProfiles();
+        return true;
+    }
+
+    /**
+     * Set the banner color of a profile
+     */
+    setProfileColor(name, color) {
+        if (!this.profiles.profiles[name] || !PROFILE_COLORS.includes(color)) return false;
+        this.profiles.profiles[name].color = color;
+        this.saveProfiles();
+        return true;
+    }
+
     /**
      * Export configuration as JSON
      */
     exportConfig() {
-        const exportData = { ...this.config };
+        const exportData = this.mergeConfig(DEFAULT_CONFIG, this.config);
         // Remove sensitive data for export
         delete exportData.auth.accessToken;
         return JSON.stringify(exportData, null, 2);
     }
 
     /**
-     * Import configuration from JSON
+     * Import configuration from JSON (older versions are migrated)
+     * Nothing is saved if any field fails the schema
+     * @returns {object} { success, errors: [{field, message}] }
      */
     importConfig(jsonString) {
-        try {
-            const imported = JSON.parse(jsonString);
-            return this.saveConfig(imported);
-        } catch (e) {
-            console.error('Failed to import config:', e);
-            return false;
+        const imported = Utils.parseJson(jsonString, null);
+        if (imported === null) {
+            return { success: false, errors: [{ field: '(root)', message: 'is not valid JSON' }] };
         }
+
+        const { config, errors } = ConfigSchema.upgrade(imported);
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+        return { success: this.saveConfig(config), errors: [] };
     }
 
     /**
-     * Validate configuration
+     * Validate configuration (schema plus the fields needed to connect)
+     * @returns {object} { isValid, errors: [message], fieldErrors: [{field, message}] }
      */
     validate() {
+        const fieldErrors = ConfigSchema.validate(this.config, { checkRequired: true });
+
+        // Server-credentials mode: the server supplies the token
+        if (!this.config.auth.serverCredentials && !this.config.auth.accessToken) {
+            fieldErrors.push({ field: 'auth.accessToken', message: 'is required' });
+        }
+
+        return {
+            isValid: fieldErrors.length === 0,
+            errors: fieldErrors.map(error => `${error.field}: ${error.message}`),
+            fieldErrors
+        };
+    }
+
+    /**
+     * Validate a file against the upload rules
+     * @param {File} file - File selected for upload
+     * @returns {object} { isValid, errors, suggestedName }
+     */
+    validateUploadFile(file) {
+        const rules = this.config.upload || DEFAULT_CONFIG.upload;
+        const maxSize = this.config.api.maxUploadSize;
         const errors = [];
+        let suggestedName = null;
 
-        if (!this.config.server.host) {
-            errors.push('AEM Host URL is required');
+        if (maxSize && file.size > maxSize) {
+            errors.push(`Exceeds max upload size (${Utils.formatFileSize(maxSize)})`);
         }
 
-        if (!this.config.auth.accessToken) {
-            errors.push('Access Token is required');
+        const mimeType = file.type || 'application/octet-stream';
+        if (rules.allowedMimeTypes.length > 0 && !rules.allowedMimeTypes.some(pattern => this.matchesMimeType(mimeType, pattern))) {
+            errors.push(`File type ${mimeType} is not allowed`);
         }
 
-        if (!this.config.auth.apiKey) {
-            errors.push('API Key is required');
+        const ext = Utils.getFileExtension(file.name);
+        if (rules.allowedExtensions.length > 0 && !rules.allowedExtensions.includes(ext)) {
+            errors.push(`Extension .${ext || '(none)'} is not allowed`);
+        }
+
+        if (rules.enforceDamNames) {
+            const safeName = Utils.toDamSafeName(file.name);
+            if (safeName !== file.name) {
+                suggestedName = safeName;
+                errors.push(`Name is not DAM-safe (suggested: ${safeName})`);
+            }
         }
 
         return {
             isValid: errors.length === 0,
-            errors
+            errors,
+            suggestedName
         };
     }
 
+    /**
+     * Match a MIME type against a pattern (supports "image/*")
+     */
+    matchesMimeType(mimeType, pattern) {
+        if (pattern === '*' || pattern === '*/*') return true;
+        if (pattern.endsWith('/*')) {
+            return mimeType.startsWith(pattern.slice(0, -1));
+        }
+        return mimeType === pattern;
+    }
+
     /**
      * Get API headers
      */
@@ -0,0 +1,282 @@
+/**
+ * Credential Import
+ * Adobe Developer Console 인증 파일 (JSON / private.key / config.zip) 가져오기 모듈
+ */
+
+// Fields each credential type needs to generate a token
+const CREDENTIAL_REQUIRED_FIELDS = {
+    oauth: ['imsOrg', 'apiKey', 'clientSecret', 'scopes'],
+    jwt: ['imsOrg', 'apiKey', 'clientSecret', 'technicalAccountId', 'privateKey', 'metascopes']
+};
+
+const CREDENTIAL_FIELD_LABELS = {
+    credentialType: 'Credential Type',
+    imsOrg: 'IMS Organization ID',
+    apiKey: 'API Key (Client ID)',
+    clientSecret: 'Client Secret',
+    scopes: 'Scopes',
+    technicalAccountId: 'Technical Account ID',
+    technicalAccountEmail: 'Technical Account Email',
+    privateKey: 'Private Key',
+    imsEndpoint: 'IMS Endpoint',
+    metascopes: 'Metascopes'
+};
+
+// Credential text files are small; anything bigger in a zip is skipped
+const MAX_CREDENTIAL_FILE_SIZE = 1048576;
+
+class CredentialImporter {
+    /**
+     * Read dropped/selected credential files and merge their fields
+     * @param {File[]} files - JSON credentials, private key (.key/.pem) and/or config.zip
+     * @returns {Promise<object>} { credentials, sources, warnings }
+     */
+    static async importFiles(files) {
+        const result = { credentials: {}, sources: [], warnings: [] };
+
+        for (const file of files) {
+            if (/\.zip$/i.test(file.name)) {
+                const entries = await CredentialImporter.extractZip(file);
+                for (const entry of entries) {
+                    CredentialImporter.importText(`${file.name}/${entry.name}`, entry.text, result);
+                }
+            } else {
+                CredentialImporter.importText(file.name, await file.text(), result);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Import one text file (credential JSON or PEM private key)
+     */
+    static importText(name, text, result) {
+        const trimmed = text.trim();
+
+        if (/-----BEGIN (RSA |ENCRYPTED )?PRIVATE KEY-----/.test(trimmed)) {
+            if (trimmed.includes('ENCRYPTED')) {
+                result.warnings.push(`${name}: encrypted private keys are not supported`);
+                return;
+            }
+            CredentialImporter.mergeFields(result, { privateKey: trimmed }, name);
+            return;
+        }
+
+        if (/-----BEGIN CERTIFICATE-----/.test(trimmed)) {
+            // Public certificate from config.zip (uploaded to Developer Console, not needed here)
+            return;
+        }
+
+        const json = Utils.parseJson(trimmed, null);
+        if (!json || typeof json !== 'object') {
+            result.warnings.push(`${name}: not a credential JSON file or PEM private key`);
+            return;
+        }
+
+        const parsed = CredentialImporter.parseCredentialJson(json);
+        if (!parsed) {
+            result.warnings.push(`${name}: no Developer Console credentials found`);
+            return;
+        }
+
+        parsed.warnings.forEach(warning => result.warnings.push(`${name}: ${warning}`));
+        CredentialImporter.mergeFields(result, parsed.fields, name);
+    }
+
+    /**
+     * Merge fields into the result (first file wins, conflicts are reported)
+     */
+    static mergeFields(result, fields, source) {
+        const imported = [];
+
+        for (const [key, value] of Object.entries(fields)) {
+            if (value === undefined || value === null || value === '') continue;
+
+            const current = result.credentials[key];
+            if (current && current !== value) {
+                result.warnings.push(`${source}: ${CREDENTIAL_FIELD_LABELS[key]} differs from an earlier file, kept the first value`);
+                continue;
+            }
+            result.credentials[key] = value;
+            imported.push(key);
+        }
+
+        result.sources.push({ name: source, fields: imported });
+    }
+
+    /**
+     * Extract fields from the known Developer Console JSON formats
+     * - AEM service credentials ({ integration: { technicalAccount, privateKey, ... } })
+     * - Developer Console project download ({ project: { workspace: { details: { credentials } } } })
+     * - OAuth Server-to-Server credential download ({ API_KEY, CLIENT_SECRETS, ORG_ID, SCOPES })
+     * @returns {object|null} { fields, warnings }
+     */
+    static parseCredentialJson(json) {
+        const warnings = [];
+        const list = (value) => Array.isArray(value) ? value.join(',') : value;
+
+        // AEM as a Cloud Service Developer Console service credentials
+        const integration = json.integration || (json.technicalAccount ? json : null);
+        if (integration && integration.technicalAccount) {
+            return {
+                warnings,
+                fields: {
+                    credentialType: 'jwt',
+                    imsOrg: integration.org,
+                    apiKey: integration.technicalAccount.clientId,
+                    clientSecret: integration.technicalAccount.clientSecret,
+                    technicalAccountId: integration.id,
+                    technicalAccountEmail: integration.email,
+                    privateKey: integration.privateKey ? integration.privateKey.replace(/\r\n/g, '\n') : undefined,
+                    imsEndpoint: integration.imsEndpoint,
+                    metascopes: list(integration.metascopes)
+                }
+            };
+        }
+
+        // Adobe Developer Console project JSON
+        const details = json.project && json.project.workspace && json.project.workspace.details;
+        if (details && Array.isArray(details.credentials)) {
+            const oauthCredentials = details.credentials.filter(c => c.oauth_server_to_server);
+            const jwtCredentials = details.credentials.filter(c => c.jwt);
+            const imsOrg = json.project.org && json.project.org.ims_org_id;
+
+            if (oauthCredentials.length + jwtCredentials.length > 1) {
+                warnings.push('project has several credentials, imported the first OAuth Server-to-Server (or JWT) one');
+            }
+
+            if (oauthCredentials.length > 0) {
+                const oauth = oauthCredentials[0].oauth_server_to_server;
+                return {
+                    warnings,
+                    fields: {
+                        credentialType: 'oauth',
+                        imsOrg,
+                        apiKey: oauth.client_id,
+                        clientSecret: (oauth.client_secrets || [])[0],
+                        scopes: list(oauth.scopes),
+                        technicalAccountId: oauth.technical_account_id,
+                        technicalAccountEmail: oauth.technical_account_email
+                    }
+                };
+            }
+
+            if (jwtCredentials.length > 0) {
+                const jwt = jwtCredentials[0].jwt;
+                return {
+                    warnings,
+                    fields: {
+                        credentialType: 'jwt',
+                        imsOrg,
+                        apiKey: jwt.client_id,
+                        clientSecret: jwt.client_secret,
+                        technicalAccountId: jwt.technical_account_id,
+                        technicalAccountEmail: jwt.technical_account_email,
+                        metascopes: list(jwt.meta_scopes)
+                    }
+                };
+            }
+
+            return null;
+        }
+
+        // OAuth Server-to-Server credential JSON
+        if (json.API_KEY || json.CLIENT_ID) {
+            return {
+                warnings,
+                fields: {
+                    credentialType: 'oauth',
+                    imsOrg: json.ORG_ID,
+                    apiKey: json.API_KEY || json.CLIENT_ID,
+                    clientSecret: (json.CLIENT_SECRETS || [])[0] || json.CLIENT_SECRET,
+                    scopes: list(json.SCOPES),
+                    technicalAccountId: json.TECHNICAL_ACCOUNT_ID,
+                    technicalAccountEmail: json.TECHNICAL_ACCOUNT_EMAIL
+                }
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check imported credentials against the fields their type needs
+     * @returns {object} { credentialType, missing: [field], imported: [field] }
+     */
+    static validate(credentials) {
+        const credentialType = credentials.credentialType || (credentials.privateKey ? 'jwt' : 'oauth');
+        const required = CREDENTIAL_REQUIRED_FIELDS[credentialType];
+
+        return {
+            credentialType,
+            missing: required.filter(field => !credentials[field]),
+            imported: Object.keys(credentials).filter(field => field !== 'credentialType')
+        };
+    }
+
+    /**
+     * Read the text files of a zip archive (stored or deflated entries)
+     * @param {Blob} file - Zip file (e.g. config.zip with private.key and certificate_pub.crt)
+     * @returns {Promise<Array<{name, text}>>}
+     */
+    static async extractZip(file) {
+        const buffer = await file.arrayBuffer();
+        const view = new DataView(buffer);
+
+        // End of central directory record (scan back over a trailing comment)
+        let eocd = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) {
+            throw new Error(`${file.name} is not a valid zip file`);
+        }
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder();
+        const entries = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const size = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            // Skip folders, macOS metadata and anything too big to be a credential
+            if (name.endsWith('/') || name.startsWith('__MACOSX/') || size > MAX_CREDENTIAL_FILE_SIZE) continue;
+
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+            let text;
+            if (method === 0) {
+                text = decoder.decode(data);
+            } else if (method === 8) {
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                text = await new Response(stream).text();
+            } else {
+                continue;
+            }
+
+            entries.push({ name: name.split('/').pop(), text });
+        }
+
+        return entries;
+    }
+}
+
+// Export
+window.CredentialImporter = CredentialImporter;
@@ -0,0 +1,105 @@
+/**
+ * Credential Vault
+ * 인증 정보 암호화 모듈 (패스프레이즈 기반 PBKDF2 + AES-GCM, WebCrypto)
+ */
+
+// PBKDF2-SHA256 iterations for new vaults (OWASP recommendation)
+const VAULT_KDF_ITERATIONS = 600000;
+
+// Known plaintext encrypted with the vault key to check a passphrase
+const VAULT_CHECK_VALUE = 'aem-asset-vault';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+class CredentialVault {
+    /**
+     * Create vault metadata (salt + passphrase check) for a new passphrase
+     * @returns {Promise<object>} { meta: { version, salt, iterations, check }, key }
+     */
+    static async create(passphrase) {
+        if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+
+        const salt = CredentialVault.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const key = await CredentialVault.deriveKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+
+        return {
+            key,
+            meta: {
+                version: 1,
+                salt,
+                iterations: VAULT_KDF_ITERATIONS,
+                check: await CredentialVault.encryptJson(key, VAULT_CHECK_VALUE)
+            }
+        };
+    }
+
+    /**
+     * Derive the vault key from a passphrase and check it against the vault metadata
+     * @returns {Promise<CryptoKey|null>} Key, or null if the passphrase is wrong
+     */
+    static async open(meta, passphrase) {
+        const key = await CredentialVault.deriveKey(passphrase || '', meta.salt, meta.iterations);
+        try {
+            return await CredentialVault.decryptJson(key, meta.check) === VAULT_CHECK_VALUE ? key : null;
+        } catch (e) {
+            // AES-GCM authentication fails with a key from the wrong passphrase
+            return null;
+        }
+    }
+
+    /**
+     * Derive an AES-256-GCM key with PBKDF2-SHA256
+     */
+    static async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: CredentialVault.fromBase64(salt), iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt a JSON value
+     * @returns {Promise<object>} { iv, data } (base64)
+     */
+    static async encryptJson(key, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+        );
+        return { iv: CredentialVault.toBase64(iv), data: CredentialVault.toBase64(new Uint8Array(data)) };
+    }
+
+    /**
+     * Decrypt a value sealed with encryptJson
+     */
+    static async decryptJson(key, envelope) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: CredentialVault.fromBase64(envelope.iv) },
+            key,
+            CredentialVault.fromBase64(envelope.data)
+        );
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+}
+
+// Export
+window.CredentialVault = CredentialVault;
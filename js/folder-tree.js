@@ -0,0 +1,160 @@
+/**
+ * Folder Tree
+ * DAM 폴더 트리 탐색 모듈 (펼칠 때 하위 폴더를 지연 로딩)
+ */
+
+class FolderTree {
+    /**
+     * @param {AEMAssetAPI} api - API client
+     * @param {HTMLElement} container - Element the tree renders into
+     * @param {object} options - rootPath, pageSize, onSelect(path)
+     */
+    constructor(api, container, options = {}) {
+        this.api = api;
+        this.container = container;
+        this.rootPath = options.rootPath || '/content/dam';
+        this.pageSize = options.pageSize || 100;
+        this.onSelect = options.onSelect || null;
+        this.nodes = new Map();
+        this.selectedPath = null;
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    /**
+     * Render the root node and load its children
+     */
+    async init() {
+        this.nodes.clear();
+        this.container.innerHTML = '<ul class="folder-tree-list"></ul>';
+        const root = this.addNode(this.container.firstElementChild, this.rootPath, this.rootPath);
+        await this.expand(root);
+    }
+
+    /**
+     * Create a node and its element
+     */
+    addNode(listEl, path, name) {
+        const node = { path, name, expanded: false, loaded: false, loading: null, element: null };
+
+        const li = document.createElement('li');
+        li.className = `folder-tree-node${path === this.selectedPath ? ' selected' : ''}`;
+        li.dataset.path = path;
+        li.innerHTML = `
+            <div class="folder-tree-row">
+                <span class="folder-tree-toggle">▸</span>
+                <span class="folder-tree-label" title="${Utils.escapeHtml(path)}">📁 ${Utils.escapeHtml(name)}</span>
+            </div>
+            <ul class="folder-tree-list"></ul>
+        `;
+        listEl.appendChild(li);
+
+        node.element = li;
+        this.nodes.set(path, node);
+        return node;
+    }
+
+    /**
+     * Handle toggle and label clicks
+     */
+    handleClick(e) {
+        const li = e.target.closest('.folder-tree-node');
+        if (!li) return;
+        const node = this.nodes.get(li.dataset.path);
+
+        if (e.target.closest('.folder-tree-toggle')) {
+            node.expanded ? this.collapse(node) : this.expand(node);
+        } else if (e.target.closest('.folder-tree-label')) {
+            this.select(node.path);
+            if (this.onSelect) this.onSelect(node.path);
+        }
+    }
+
+    /**
+     * Expand a node, fetching its subfolders on first use
+     */
+    async expand(node) {
+        node.expanded = true;
+        node.element.classList.add('expanded');
+        node.element.querySelector('.folder-tree-toggle').textContent = '▾';
+
+        if (!node.loaded) {
+            await this.loadChildren(node);
+        }
+    }
+
+    /**
+     * Collapse a node (children stay cached)
+     */
+    collapse(node) {
+        node.expanded = false;
+        node.element.classList.remove('expanded');
+        node.element.querySelector('.folder-tree-toggle').textContent = '▸';
+    }
+
+    /**
+     * Fetch all subfolders of a node (every page of the listing)
+     */
+    loadChildren(node) {
+        if (node.loading) return node.loading;
+
+        const childList = node.element.querySelector('.folder-tree-list');
+        childList.innerHTML = '<li class="folder-tree-status">Loading...</li>';
+
+        node.loading = (async () => {
+            try {
+                const paginator = new AssetPaginator(this.api, node.path, { pageSize: this.pageSize });
+                while (paginator.hasMore()) {
+                    await paginator.loadNext();
+                }
+
+                const folders = paginator.assets.filter(asset => asset.isFolder);
+                childList.innerHTML = '';
+
+                if (folders.length === 0) {
+                    childList.innerHTML = '<li class="folder-tree-status">No subfolders</li>';
+                    node.element.classList.add('leaf');
+                }
+                folders.forEach(folder => this.addNode(childList, folder.path, folder.name));
+                node.loaded = true;
+            } catch (error) {
+                childList.innerHTML = `<li class="folder-tree-status error">${Utils.escapeHtml(error.message)}</li>`;
+            } finally {
+                node.loading = null;
+            }
+        })();
+
+        return node.loading;
+    }
+
+    /**
+     * Highlight a folder (if it is already in the tree)
+     */
+    select(path) {
+        this.selectedPath = path;
+        this.nodes.forEach(node => {
+            node.element.classList.toggle('selected', node.path === path);
+        });
+    }
+
+    /**
+     * Reload the children of a folder (e.g. after upload or folder creation)
+     */
+    async refresh(path) {
+        const node = this.nodes.get(path);
+        if (!node) return;
+
+        // Drop cached descendants
+        Array.from(this.nodes.keys())
+            .filter(key => key.startsWith(`${path}/`))
+            .forEach(key => this.nodes.delete(key));
+
+        node.loaded = false;
+        if (node.expanded) {
+            await this.loadChildren(node);
+        }
+    }
+}
+
+// Export
+window.FolderTree = FolderTree;
@@ -0,0 +1,237 @@
+/**
+ * Folder Upload
+ * 로컬 폴더 구조를 DAM에 그대로 재현하여 업로드하는 모듈
+ */
+
+// Relative paths for files collected from dropped folders (File objects from
+// FileSystemEntry have an empty webkitRelativePath)
+const folderUploadRelativePaths = new WeakMap();
+
+class FolderUploader {
+    /**
+     * @param {AEMAssetAPI} api - API client (for folder checks/creation)
+     * @param {UploadManager} uploadManager - Upload queue for the files
+     */
+    constructor(api, uploadManager) {
+        this.api = api;
+        this.uploadManager = uploadManager;
+    }
+
+    /**
+     * Get the path of a file relative to the selected/dropped folder
+     * e.g. "photos/2024/image.jpg" (empty for flat files)
+     */
+    static getRelativePath(file) {
+        return folderUploadRelativePaths.get(file) || file.webkitRelativePath || '';
+    }
+
+    /**
+     * Set the relative path of a file (e.g. after it was renamed)
+     */
+    static setRelativePath(file, relativePath) {
+        folderUploadRelativePaths.set(file, relativePath);
+    }
+
+    /**
+     * Get the relative directory of a file (e.g. "photos/2024")
+     */
+    static getRelativeDir(file) {
+        const relativePath = FolderUploader.getRelativePath(file);
+        const index = relativePath.lastIndexOf('/');
+        return index > 0 ? relativePath.substring(0, index) : '';
+    }
+
+    /**
+     * Check if any file carries a folder structure
+     */
+    static hasFolderStructure(files) {
+        return files.some(file => FolderUploader.getRelativeDir(file) !== '');
+    }
+
+    /**
+     * Collect files from a drop event, walking dropped folders recursively
+     * @param {DataTransfer} dataTransfer - Drop event dataTransfer
+     * @returns {Promise<File[]>}
+     */
+    static async collectFromDataTransfer(dataTransfer) {
+        // Entries must be read synchronously, before the drop event finishes
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
+
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files || []);
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            await FolderUploader.walkEntry(entry, '', files);
+        }
+        return files;
+    }
+
+    /**
+     * Walk a FileSystemEntry recursively
+     */
+    static async walkEntry(entry, parentPath, files) {
+        const entryPath = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            folderUploadRelativePaths.set(file, entryPath);
+            files.push(file);
+            return;
+        }
+
+        if (entry.isDirectory) {
+            const reader = entry.createReader();
+            let batch;
+            // readEntries returns results in batches until an empty array
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await FolderUploader.walkEntry(child, entryPath, files);
+                }
+            } while (batch.length > 0);
+        }
+    }
+
+    /**
+     * Get every folder (including intermediate ones) needed for the files,
+     * sorted so parents come before children
+     */
+    static getRequiredFolders(files) {
+        const folders = new Set();
+
+        files.forEach(file => {
+            const parts = FolderUploader.getRelativeDir(file).split('/').filter(Boolean);
+            for (let i = 1; i <= parts.length; i++) {
+                folders.add(parts.slice(0, i).join('/'));
+            }
+        });
+
+        return Array.from(folders).sort((a, b) => {
+            const depthDiff = a.split('/').length - b.split('/').length;
+            return depthDiff !== 0 ? depthDiff : a.localeCompare(b);
+        });
+    }
+
+    /**
+     * Create missing folders under basePath
+     * @param {string} basePath - DAM folder selected as upload path
+     * @param {string[]} folders - Relative folders (parents first)
+     * @param {object} report - Report to fill in
+     * @returns {Set<string>} Relative folders that could not be created
+     */
+    async ensureFolders(basePath, folders, report) {
+        const failedFolders = new Set();
+
+        for (const folder of folders) {
+            const targetPath = Utils.joinPaths(basePath, folder);
+            const parent = folder.includes('/') ? folder.substring(0, folder.lastIndexOf('/')) : '';
+
+            if (parent && failedFolders.has(parent)) {
+                failedFolders.add(folder);
+                report.failed.push({ folder: targetPath, error: 'Parent folder could not be created' });
+                continue;
+            }
+
+            try {
+                if (await this.api.pathExists(targetPath)) {
+                    report.existingFolders.push(targetPath);
+                    continue;
+                }
+
+                await this.api.createFolder(targetPath, folder.split('/').pop());
+                report.createdFolders.push(targetPath);
+            } catch (error) {
+                // 409 = created concurrently (or already there)
+                if (error.status === 409) {
+                    report.existingFolders.push(targetPath);
+                    continue;
+                }
+                failedFolders.add(folder);
+                report.failed.push({ folder: targetPath, error: error.message });
+            }
+        }
+
+        return failedFolders;
+    }
+
+    /**
+     * Upload files into the DAM, recreating their folder structure
+     * @param {File[]} files - Files (with relative paths)
+     * @param {string} basePath - DAM folder selected as upload path
+     * @param {object} options - onFoldersReady(report): called after folders are created;
+     *                           resolveConflicts(entries): async duplicate check for
+     *                           [{file, path}] in existing folders, returns
+     *                           { entries, skipped } or null to skip them all
+     * @returns {Promise<object>} Summary report
+     */
+    async upload(files, basePath, options = {}) {
+        const report = {
+            basePath,
+            createdFolders: [],
+            existingFolders: [],
+            uploaded: [],
+            skipped: [],
+            paused: [],
+            failed: []
+        };
+
+        const failedFolders = await this.ensureFolders(basePath, FolderUploader.getRequiredFolders(files), report);
+        if (options.onFoldersReady) options.onFoldersReady(report);
+
+        let entries = [];
+        files.forEach(file => {
+            const relativeDir = FolderUploader.getRelativeDir(file);
+            const relativePath = FolderUploader.getRelativePath(file) || file.name;
+
+            if (relativeDir && failedFolders.has(relativeDir)) {
+                report.failed.push({ file: relativePath, error: 'Folder could not be created' });
+                return;
+            }
+
+            const targetPath = relativeDir ? Utils.joinPaths(basePath, relativeDir) : basePath;
+            entries.push({ file, path: targetPath, relativePath, uploadOptions: {} });
+        });
+
+        // Only folders that existed before can contain duplicates
+        if (options.resolveConflicts) {
+            const toCheck = entries.filter(entry => !report.createdFolders.includes(entry.path));
+            const resolution = await options.resolveConflicts(toCheck);
+            const skipped = resolution ? resolution.skipped : toCheck;
+
+            entries = entries
+                .filter(entry => !toCheck.includes(entry))
+                .concat(resolution ? resolution.entries : []);
+            skipped.forEach(entry => report.skipped.push(entry.relativePath));
+        }
+
+        const items = entries.map(entry => {
+            const item = this.uploadManager.add(entry.file, entry.path, { uploadOptions: entry.uploadOptions });
+            item.relativePath = FolderUploader.getRelativePath(entry.file) || entry.file.name;
+            return item;
+        });
+
+        await this.uploadManager.whenSettled(items);
+
+        items.forEach(item => {
+            if (item.status === 'done') {
+                report.uploaded.push({
+                    file: item.relativePath,
+                    path: item.result && item.result.path ? item.result.path : `${item.path}/${item.file.name}`
+                });
+            } else if (item.status === 'paused') {
+                report.paused.push(item.relativePath);
+            } else {
+                report.failed.push({ file: item.relativePath, status: item.status, error: item.error });
+            }
+        });
+
+        return report;
+    }
+}
+
+// Export
+window.FolderUploader = FolderUploader;
@@ -0,0 +1,208 @@
+/**
+ * Job Monitor
+ * 서버 백그라운드 작업 모니터링 모듈 (Server-Sent Events로 진행 상황 수신)
+ */
+
+const JOB_FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+const JOB_LOG_LIMIT = 500;
+// Delay before reopening a stream the server closed (e.g. expired ticket)
+const JOB_RECONNECT_DELAY = 5000;
+
+class JobMonitor {
+    /**
+     * @param {AEMAssetAPI} api - API client for the jobs endpoints
+     */
+    constructor(api) {
+        this.api = api;
+        this.jobs = new Map();
+        // Logs of new jobs and of jobs whose log was loaded with loadLog()
+        this.logs = new Map();
+        this.source = null;
+        this.connecting = false;
+        this.reconnectTimer = null;
+        this.connected = false;
+        this.listeners = [];
+    }
+
+    /**
+     * Register a change listener
+     * @param {function} callback - Called with (job, jobs, previous); job is null after a
+     *                              snapshot or removal, previous is the job before the change
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Notify listeners
+     */
+    emit(job, previous = null) {
+        const jobs = this.getJobs();
+        this.listeners.forEach(callback => callback(job, jobs, previous));
+    }
+
+    /**
+     * Open the event stream (EventSource reconnects on its own and gets a fresh snapshot;
+     * a stream the server refused is reopened with a new ticket)
+     */
+    async connect() {
+        if (this.source || this.connecting || typeof EventSource === 'undefined') return;
+
+        this.connecting = true;
+        let ticket;
+        try {
+            ticket = await this.api.getJobStreamTicket();
+        } catch (error) {
+            console.warn('Job stream ticket failed:', error.message);
+            // Refused (wrong or cancelled admin password): stay offline instead of prompting again
+            if (error.status !== 401 && error.status !== 403) this.scheduleReconnect();
+            return;
+        } finally {
+            this.connecting = false;
+        }
+
+        this.source = new EventSource(`/api/jobs/events?ticket=${encodeURIComponent(ticket)}`);
+
+        this.source.addEventListener('snapshot', (e) => {
+            this.connected = true;
+            this.jobs.clear();
+            JSON.parse(e.data).forEach(job => this.jobs.set(job.id, job));
+            for (const id of this.logs.keys()) {
+                if (!this.jobs.has(id)) this.logs.delete(id);
+            }
+            this.emit(null);
+        });
+
+        this.source.addEventListener('job', (e) => {
+            const job = JSON.parse(e.data);
+            const previous = this.jobs.get(job.id) || null;
+            this.jobs.set(job.id, job);
+            this.emit(job, previous);
+        });
+
+        this.source.addEventListener('log', (e) => {
+            const { id, entry } = JSON.parse(e.data);
+            // A job we haven't seen yet starts its log here
+            if (!this.jobs.has(id) && !this.logs.has(id)) {
+                this.logs.set(id, []);
+            }
+            const log = this.logs.get(id);
+            if (!log) return;
+
+            log.push(entry);
+            if (log.length > JOB_LOG_LIMIT) log.splice(0, log.length - JOB_LOG_LIMIT);
+            if (this.jobs.has(id)) this.emit(this.jobs.get(id), this.jobs.get(id));
+        });
+
+        this.source.addEventListener('removed', (e) => {
+            const { id } = JSON.parse(e.data);
+            this.jobs.delete(id);
+            this.logs.delete(id);
+            this.emit(null);
+        });
+
+        this.source.onerror = () => {
+            if (this.connected) {
+                this.connected = false;
+                this.emit(null);
+            }
+            if (this.source && this.source.readyState === EventSource.CLOSED) {
+                this.source = null;
+                this.scheduleReconnect();
+            }
+        };
+    }
+
+    /**
+     * Retry connect() after a delay
+     */
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, JOB_RECONNECT_DELAY);
+    }
+
+    /**
+     * Close the event stream
+     */
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        this.connected = false;
+    }
+
+    /**
+     * Jobs, newest first
+     */
+    getJobs() {
+        return [...this.jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Cached log of a job (null until loaded)
+     */
+    getLog(id) {
+        return this.logs.get(id) || null;
+    }
+
+    /**
+     * Load the full log of a job; later lines arrive over the event stream
+     */
+    async loadLog(id) {
+        const job = await this.api.getJob(id);
+        this.logs.set(id, job.log);
+        const { log, ...summary } = job;
+        this.jobs.set(id, { ...summary, logSize: log.length });
+        this.emit(this.jobs.get(id), this.jobs.get(id));
+        return job.log;
+    }
+
+    /**
+     * Queue a job (see AEMAssetAPI.createJob)
+     */
+    async create(type, params) {
+        const { job } = await this.api.createJob(type, params);
+        if (!this.jobs.has(job.id)) {
+            this.jobs.set(job.id, job);
+            this.emit(job);
+        }
+        return job;
+    }
+
+    async cancel(id) {
+        return this.api.cancelJob(id);
+    }
+
+    async remove(id) {
+        return this.api.deleteJob(id);
+    }
+
+    /**
+     * Remove every finished job
+     */
+    async clearFinished() {
+        const finished = this.getJobs().filter(job => JobMonitor.isFinished(job));
+        await Promise.all(finished.map(job => this.remove(job.id)));
+        return finished.length;
+    }
+
+    /**
+     * Queued or running jobs
+     */
+    getActiveCount() {
+        return this.getJobs().filter(job => !JobMonitor.isFinished(job)).length;
+    }
+
+    static isFinished(job) {
+        return JOB_FINISHED_STATUSES.includes(job.status);
+    }
+}
+
+// Export
+window.JobMonitor = JobMonitor;
@@ -1,8 +1,14 @@
 /**
  * Adobe IMS Token Generator
- * JWT 토큰 생성 및 Access Token 교환 모듈
+ * OAuth Server-to-Server / JWT 방식 Access Token 발급 모듈
  */
 
+// Scopes the AEM Assets HTTP API needs in the access token
+const REQUIRED_TOKEN_SCOPES = ['ent_aem_cloud_api'];
+
+// Same as DEFAULT_CONFIG.auth.scopes
+const OAUTH_DEFAULT_SCOPES = ['openid', 'AdobeID', 'read_organizations', 'additional_info.projectedProductContext', ...REQUIRED_TOKEN_SCOPES].join(',');
+
 class AdobeTokenGenerator {
     constructor() {
         this.imsEndpoint = 'https://ims-na1.adobelogin.com';
@@ -240,11 +246,67 @@ class AdobeTokenGenerator {
         }
     }
 
+    /**
+     * Request Access Token with OAuth Server-to-Server credentials
+     * (client_credentials grant against /ims/token/v3, through the local proxy)
+     * @param {object} credentials - clientId, clientSecret, scopes, imsEndpoint
+     */
+    async generateOAuthToken(credentials) {
+        const {
+            clientId,
+            clientSecret,
+            scopes = OAUTH_DEFAULT_SCOPES,
+            imsEndpoint = 'ims-na1.adobelogin.com'
+        } = credentials;
+
+        const formData = new URLSearchParams();
+        formData.append('grant_type', 'client_credentials');
+        formData.append('client_id', clientId);
+        formData.append('client_secret', clientSecret);
+        formData.append('scope', scopes.split(',').map(s => s.trim()).filter(Boolean).join(','));
+        formData.append('ims_endpoint', imsEndpoint);
+
+        try {
+            const response = await fetch('/ims/token/v3', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: formData
+            });
+
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || data.error) {
+                const reason = data.error ? `${data.error}: ${data.error_description || ''}` : `${response.status}`;
+                throw new Error(reason);
+            }
+
+            return {
+                accessToken: data.access_token,
+                tokenType: data.token_type,
+                // OAuth expires_in is in seconds (JWT exchange returns milliseconds)
+                expiresIn: data.expires_in * 1000
+            };
+        } catch (error) {
+            throw new Error(`OAuth token request failed: ${error.message}`);
+        }
+    }
+
     /**
      * Generate Access Token (full flow)
-     * @param {object} credentials - Full credentials
+     * @param {object} credentials - Full credentials; credentialType 'oauth' (default)
+     *                               uses OAuth Server-to-Server, 'jwt' the Service Account flow
      */
     async generateAccessToken(credentials) {
+        if (credentials.credentialType !== 'jwt') {
+            const tokenResponse = await this.generateOAuthToken(credentials);
+            return {
+                ...tokenResponse,
+                generatedAt: new Date().toISOString()
+            };
+        }
+
         const {
             clientId,
             clientSecret,
@@ -303,26 +365,88 @@ class AdobeTokenGenerator {
      * Check if token is expired
      */
     isTokenExpired(token) {
+        const expiration = this.getTokenExpiration(token);
+        return !expiration || Date.now() >= expiration.getTime();
+    }
+
+    /**
+     * Get token expiration date
+     * Standard JWTs carry exp (seconds); IMS access tokens carry
+     * created_at + expires_in (milliseconds, as strings)
+     */
+    getTokenExpiration(token) {
         try {
             const { payload } = this.decodeJWT(token);
-            const exp = payload.exp * 1000; // Convert to milliseconds
-            return Date.now() >= exp;
+            const expiresAt = payload.exp
+                ? payload.exp * 1000
+                : Number(payload.created_at) + Number(payload.expires_in);
+            return Number.isFinite(expiresAt) ? new Date(expiresAt) : null;
         } catch (e) {
-            return true;
+            return null;
         }
     }
 
     /**
-     * Get token expiration date
+     * Get token issue date (iat in seconds or IMS created_at in milliseconds)
      */
-    getTokenExpiration(token) {
+    getTokenIssuedAt(token) {
         try {
             const { payload } = this.decodeJWT(token);
-            return new Date(payload.exp * 1000);
+            const issuedAt = payload.iat ? payload.iat * 1000 : Number(payload.created_at);
+            return Number.isFinite(issuedAt) && issuedAt > 0 ? new Date(issuedAt) : null;
         } catch (e) {
             return null;
         }
     }
+
+    /**
+     * Decode an access token for diagnostics and compare it with the configured credentials
+     * @param {string} token - Access token
+     * @param {object} expected - imsOrg, apiKey, requiredScopes
+     * @returns {object} { claims, warnings } (claims is null if the token cannot be decoded)
+     */
+    inspectToken(token, expected = {}) {
+        let payload;
+        try {
+            payload = this.decodeJWT(token).payload;
+        } catch (e) {
+            return { claims: null, warnings: [e.message] };
+        }
+
+        const scopes = (Array.isArray(payload.scope) ? payload.scope : String(payload.scope || payload.scopes || '').split(','))
+            .map(s => s.trim())
+            .filter(Boolean);
+        const expiresAt = this.getTokenExpiration(token);
+
+        const claims = {
+            type: payload.type || null,
+            clientId: payload.client_id || null,
+            account: payload.user_id || payload.sub || payload.aa_id || null,
+            org: payload.org || payload.ims_org_id || null,
+            scopes,
+            issuedAt: this.getTokenIssuedAt(token),
+            expiresAt,
+            remaining: expiresAt ? expiresAt.getTime() - Date.now() : null
+        };
+
+        const warnings = [];
+        if (!expiresAt) {
+            warnings.push('Token has no expiry claim');
+        } else if (claims.remaining <= 0) {
+            warnings.push('Token is expired');
+        }
+        if (expected.apiKey && claims.clientId && claims.clientId !== expected.apiKey) {
+            warnings.push(`Token client ID (${claims.clientId}) does not match the configured API Key (${expected.apiKey})`);
+        }
+        if (expected.imsOrg && claims.org && claims.org !== expected.imsOrg) {
+            warnings.push(`Token org (${claims.org}) does not match the configured IMS Organization ID (${expected.imsOrg})`);
+        }
+        (expected.requiredScopes || REQUIRED_TOKEN_SCOPES)
+            .filter(scope => !scopes.includes(scope))
+            .forEach(scope => warnings.push(`Required scope missing: ${scope}`));
+
+        return { claims, warnings };
+    }
 }
 
 // Export
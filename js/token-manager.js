@@ -0,0 +1,156 @@
+/**
+ * Token Manager
+ * Access Token 자동 갱신 모듈 (만료 전 재발급, 401 응답 시 1회 재시도)
+ */
+
+// Refresh this long before the token expires
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// setTimeout delays above this overflow and fire immediately
+const MAX_TIMER_DELAY = 2147483647;
+
+class TokenManager {
+    /**
+     * @param {AdobeTokenGenerator} tokenGenerator - Token generator for the credential flows
+     * @param {object} options - refreshMargin (ms before expiry)
+     */
+    constructor(tokenGenerator, options = {}) {
+        this.tokenGenerator = tokenGenerator;
+        this.refreshMargin = options.refreshMargin || TOKEN_REFRESH_MARGIN;
+        this.timer = null;
+        this.pending = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Subscribe to token changes
+     * @param {function} listener - Called with (accessToken, tokenResponse)
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Check if auto refresh is enabled in the API options
+     */
+    isEnabled() {
+        return configManager.get('api.autoRefreshToken') !== false;
+    }
+
+    /**
+     * Get credentials of the configured flow (OAuth Server-to-Server or JWT)
+     */
+    getCredentials() {
+        const auth = configManager.get('auth') || {};
+        return {
+            credentialType: auth.credentialType || 'oauth',
+            clientId: auth.apiKey,
+            clientSecret: auth.clientSecret,
+            scopes: auth.scopes || undefined,
+            technicalAccountId: auth.technicalAccountId,
+            imsOrg: auth.imsOrg,
+            privateKey: auth.privateKey,
+            metascopes: auth.metascopes || undefined,
+            imsEndpoint: auth.imsEndpoint || undefined
+        };
+    }
+
+    /**
+     * Check if a new token can be generated without user input
+     * (JWT needs the private key, which is not kept in .env)
+     */
+    canRefresh() {
+        // Server-credentials mode: the server refreshes its own token
+        if (!this.isEnabled() || configManager.get('auth.serverCredentials') === true) return false;
+
+        const credentials = this.getCredentials();
+        if (!credentials.clientId || !credentials.clientSecret) return false;
+        if (credentials.credentialType === 'jwt') {
+            return Boolean(credentials.technicalAccountId && credentials.imsOrg && credentials.privateKey);
+        }
+        return true;
+    }
+
+    /**
+     * Get milliseconds until the current token expires (null if unknown)
+     */
+    getTimeToExpiry() {
+        const token = configManager.get('auth.accessToken');
+        if (!token) return null;
+
+        const expiration = this.tokenGenerator.getTokenExpiration(token);
+        return expiration ? expiration.getTime() - Date.now() : null;
+    }
+
+    /**
+     * Schedule a refresh shortly before the current token expires
+     */
+    start() {
+        this.stop();
+        if (!this.canRefresh()) return;
+
+        const remaining = this.getTimeToExpiry();
+        if (remaining === null) return;
+
+        const delay = Math.min(Math.max(remaining - this.refreshMargin, 0), MAX_TIMER_DELAY);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.refresh().catch(error => {
+                console.warn('[TokenManager] Scheduled refresh failed:', error.message);
+            });
+        }, delay);
+    }
+
+    /**
+     * Cancel the scheduled refresh
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Generate a new token (concurrent calls share the same request)
+     * @returns {Promise<string>} New access token
+     */
+    refresh() {
+        if (this.pending) return this.pending;
+
+        this.pending = (async () => {
+            try {
+                const tokenResponse = await this.tokenGenerator.generateAccessToken(this.getCredentials());
+                configManager.set('auth.accessToken', tokenResponse.accessToken);
+                this.listeners.forEach(listener => listener(tokenResponse.accessToken, tokenResponse));
+                return tokenResponse.accessToken;
+            } finally {
+                this.pending = null;
+            }
+        })();
+
+        // Schedule the next refresh only on success (a failing flow must not loop)
+        this.pending.then(() => this.start(), () => this.stop());
+
+        return this.pending;
+    }
+
+    /**
+     * Refresh first if the token is about to expire (before sending a request)
+     * A failed refresh is logged; the request then goes out with the current token
+     */
+    async ensureFreshToken() {
+        const remaining = this.getTimeToExpiry();
+        const expiring = remaining !== null && remaining <= this.refreshMargin && this.canRefresh();
+        if (!this.pending && !expiring) return;
+
+        try {
+            await this.refresh();
+        } catch (error) {
+            console.warn('[TokenManager] Refresh failed:', error.message);
+        }
+    }
+}
+
+// Global token manager instance
+window.tokenManager = new TokenManager(new AdobeTokenGenerator());
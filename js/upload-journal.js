@@ -0,0 +1,160 @@
+/**
+ * Upload Journal
+ * 업로드 진행 상태를 IndexedDB에 저장하여 페이지 새로고침 후 재개할 수 있도록 하는 모듈
+ */
+
+const UPLOAD_JOURNAL_DB = 'aem-asset-uploads';
+const UPLOAD_JOURNAL_STORE = 'uploads';
+const UPLOAD_JOURNAL_VERSION = 1;
+
+class UploadJournal {
+    constructor() {
+        this.db = null;
+        this.available = typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (or create) the IndexedDB database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!this.available) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            const request = indexedDB.open(UPLOAD_JOURNAL_DB, UPLOAD_JOURNAL_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(UPLOAD_JOURNAL_STORE)) {
+                    db.createObjectStore(UPLOAD_JOURNAL_STORE, { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                console.warn('[Upload Journal] IndexedDB unavailable:', request.error);
+                this.available = false;
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Run a request against the object store
+     */
+    async run(mode, callback) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(UPLOAD_JOURNAL_STORE, mode);
+            const request = callback(tx.objectStore(UPLOAD_JOURNAL_STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Build a stable key for a file + destination
+     */
+    static getFileKey(file, destinationPath) {
+        return `${destinationPath}|${file.name}|${file.size}|${file.lastModified || 0}`;
+    }
+
+    /**
+     * Create a new journal entry for a queued file
+     */
+    static createEntry(file, destinationPath) {
+        const now = new Date().toISOString();
+        return {
+            id: UploadJournal.getFileKey(file, destinationPath),
+            fileName: file.name,
+            fileSize: file.size,
+            lastModified: file.lastModified || 0,
+            mimeType: file.type || 'application/octet-stream',
+            destinationPath,
+            status: 'queued',
+            state: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Check if a re-selected file matches a journal entry
+     */
+    static matchesFile(entry, file) {
+        return entry.fileName === file.name &&
+            entry.fileSize === file.size &&
+            (entry.lastModified || 0) === (file.lastModified || 0);
+    }
+
+    /**
+     * Get number of bytes confirmed by the server for an entry
+     */
+    static getConfirmedBytes(entry) {
+        if (!entry.state || !entry.state.parts) return 0;
+        return entry.state.completedParts.reduce((sum, index) => {
+            const part = entry.state.parts[index];
+            return sum + (part ? part.end - part.start : 0);
+        }, 0);
+    }
+
+    /**
+     * Save (insert or update) an entry
+     */
+    async save(entry) {
+        try {
+            await this.run('readwrite', store => store.put({
+                ...entry,
+                updatedAt: new Date().toISOString()
+            }));
+        } catch (e) {
+            console.warn('[Upload Journal] Failed to save entry:', e);
+        }
+    }
+
+    /**
+     * Get an entry by ID
+     */
+    async get(id) {
+        try {
+            return await this.run('readonly', store => store.get(id));
+        } catch (e) {
+            console.warn('[Upload Journal] Failed to read entry:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Remove an entry by ID
+     */
+    async remove(id) {
+        try {
+            await this.run('readwrite', store => store.delete(id));
+        } catch (e) {
+            console.warn('[Upload Journal] Failed to remove entry:', e);
+        }
+    }
+
+    /**
+     * List all unfinished entries
+     */
+    async list() {
+        try {
+            const entries = await this.run('readonly', store => store.getAll());
+            return (entries || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        } catch (e) {
+            console.warn('[Upload Journal] Failed to list entries:', e);
+            return [];
+        }
+    }
+}
+
+// Export
+window.UploadJournal = UploadJournal;
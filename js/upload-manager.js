@@ -0,0 +1,357 @@
+/**
+ * Upload Manager
+ * 동시 업로드 큐 관리 모듈 (일시정지/재개/취소/재시도)
+ */
+
+const UPLOAD_TERMINAL_STATUSES = ['done', 'failed', 'cancelled'];
+
+class UploadManager {
+    /**
+     * @param {AEMAssetAPI} api - API client used for uploads
+     * @param {object} options - journal (UploadJournal), concurrency, maxRetries, retryDelay
+     */
+    constructor(api, options = {}) {
+        this.api = api;
+        this.journal = options.journal || null;
+        this.options = options;
+        this.items = [];
+        this.activeCount = 0;
+        this.listeners = [];
+    }
+
+    /**
+     * Concurrency limit (api.uploadConcurrency)
+     */
+    getConcurrency() {
+        return this.options.concurrency || configManager.get('api.uploadConcurrency') || 3;
+    }
+
+    /**
+     * Max automatic retries per file (api.uploadRetries)
+     */
+    getMaxRetries() {
+        if (this.options.maxRetries !== undefined) return this.options.maxRetries;
+        const retries = configManager.get('api.uploadRetries');
+        return retries !== undefined ? retries : 3;
+    }
+
+    /**
+     * Register a change listener
+     * @param {function} callback - Called with (item, items) whenever an item changes
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Notify listeners
+     */
+    emit(item) {
+        this.listeners.forEach(callback => callback(item, this.items));
+    }
+
+    /**
+     * Add a file to the queue
+     * @param {File} file - File to upload
+     * @param {string} path - Destination folder path
+     * @param {object} options - entry (UploadJournal entry to resume), uploadOptions
+     *                           (replace, createVersion, versionLabel)
+     */
+    add(file, path, options = {}) {
+        const item = {
+            id: Utils.generateId(),
+            file,
+            path,
+            status: 'queued',
+            progress: 0,
+            detail: {},
+            error: null,
+            attempts: 0,
+            result: null,
+            resumeState: options.entry ? options.entry.state : null,
+            journalEntry: options.entry || null,
+            uploadOptions: options.uploadOptions || (options.entry && options.entry.uploadOptions) || {},
+            controller: null,
+            retryTimer: null
+        };
+
+        this.resetSettled(item);
+        item.journalReady = this.prepareJournal(item);
+
+        this.items.push(item);
+        this.emit(item);
+        this.next();
+        return item;
+    }
+
+    /**
+     * Create a fresh settle promise for an item
+     */
+    resetSettled(item) {
+        item.settled = new Promise(resolve => {
+            item.settle = resolve;
+        });
+    }
+
+    /**
+     * Wait until all given items are done, failed, cancelled or paused
+     * (a resumed item gets a new settle promise)
+     */
+    whenSettled(items) {
+        return Promise.all(items.map(item => item.settled));
+    }
+
+    /**
+     * Load or create the journal entry for an item
+     */
+    async prepareJournal(item) {
+        if (!this.journal) return;
+
+        if (!item.journalEntry) {
+            const key = UploadJournal.getFileKey(item.file, item.path);
+            item.journalEntry = await this.journal.get(key) || UploadJournal.createEntry(item.file, item.path);
+            item.resumeState = item.journalEntry.state;
+        }
+
+        // Keep the duplicate policy so a resumed upload completes the same way
+        item.journalEntry.uploadOptions = item.uploadOptions;
+
+        await this.journal.save(item.journalEntry);
+    }
+
+    /**
+     * Update the journal entry for an item
+     */
+    async updateJournal(item, changes) {
+        if (!this.journal || !item.journalEntry || item.status === 'cancelled') return;
+        Object.assign(item.journalEntry, changes);
+        await this.journal.save(item.journalEntry);
+    }
+
+    /**
+     * Start queued items up to the concurrency limit
+     * (an item resumed before its aborted attempt has unwound waits for that attempt to end)
+     */
+    next() {
+        while (this.activeCount < this.getConcurrency()) {
+            const item = this.items.find(i => i.status === 'queued' && !i.controller);
+            if (!item) break;
+            this.run(item);
+        }
+    }
+
+    /**
+     * Upload a single item
+     */
+    async run(item) {
+        this.activeCount++;
+        item.status = 'uploading';
+        item.attempts++;
+        item.error = null;
+        // This attempt's controller: pause() and cancel() abort it
+        const controller = new AbortController();
+        item.controller = controller;
+        this.emit(item);
+
+        try {
+            await item.journalReady;
+            await this.updateJournal(item, { status: 'uploading', error: null });
+
+            item.result = await this.api.uploadAsset(item.file, item.path, (progress, detail = {}) => {
+                item.progress = progress;
+                item.detail = detail;
+                this.emit(item);
+            }, {
+                ...item.uploadOptions,
+                resumeState: item.resumeState,
+                signal: controller.signal,
+                onCheckpoint: async (state) => {
+                    item.resumeState = state;
+                    await this.updateJournal(item, { state });
+                }
+            });
+
+            item.status = 'done';
+            item.progress = 100;
+            if (this.journal && item.journalEntry) {
+                await this.journal.remove(item.journalEntry.id);
+            }
+            item.settle(item);
+        } catch (error) {
+            await this.handleError(item, error, controller);
+        } finally {
+            item.controller = null;
+            this.activeCount--;
+            this.emit(item);
+            this.next();
+        }
+    }
+
+    /**
+     * Decide what happens after an upload error
+     * @param {AbortController} controller - Controller of the attempt that failed
+     */
+    async handleError(item, error, controller) {
+        // Attempt aborted by pause() or cancel(): the abort error is expected, even if the
+        // item was resumed or retried meanwhile (next() starts it again once this attempt ends)
+        if (controller.signal.aborted) {
+            if (item.status === 'paused') {
+                await this.updateJournal(item, { status: 'paused' });
+            }
+            return;
+        }
+
+        item.error = error.message;
+
+        if (this.isRetryable(error) && item.attempts <= this.getMaxRetries()) {
+            const delay = this.getRetryDelay(item.attempts);
+            console.warn(`[Upload Manager] ${item.file.name} failed (${error.message}), retrying in ${delay}ms`);
+
+            item.status = 'retrying';
+            item.retryTimer = setTimeout(() => {
+                item.retryTimer = null;
+                if (item.status === 'retrying') {
+                    item.status = 'queued';
+                    this.emit(item);
+                    this.next();
+                }
+            }, delay);
+            return;
+        }
+
+        item.status = 'failed';
+        await this.updateJournal(item, { status: 'failed', error: error.message });
+        item.settle(item);
+    }
+
+    /**
+     * Only server (5xx) and network errors are retried automatically
+     */
+    isRetryable(error) {
+        if (error instanceof APIError) {
+            return error.status === 0 || error.status >= 500;
+        }
+        return error.name === 'TypeError';
+    }
+
+    /**
+     * Exponential backoff: retryDelay * 2^(attempt - 1)
+     */
+    getRetryDelay(attempt) {
+        const baseDelay = this.options.retryDelay || 1000;
+        return baseDelay * Math.pow(2, attempt - 1);
+    }
+
+    /**
+     * Get item by ID
+     */
+    get(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    /**
+     * Pause an item (aborts the running XHR; direct uploads keep confirmed parts)
+     */
+    pause(id) {
+        const item = this.get(id);
+        if (!item || !['queued', 'uploading', 'retrying'].includes(item.status)) return;
+
+        const wasUploading = item.status === 'uploading';
+        this.clearRetryTimer(item);
+        item.status = 'paused';
+
+        if (wasUploading && item.controller) {
+            item.controller.abort();
+        } else {
+            this.updateJournal(item, { status: 'paused' });
+        }
+        item.settle(item);
+        this.emit(item);
+    }
+
+    /**
+     * Resume a paused item
+     */
+    resume(id) {
+        const item = this.get(id);
+        if (!item || item.status !== 'paused') return;
+
+        item.status = 'queued';
+        this.resetSettled(item);
+        this.emit(item);
+        this.next();
+    }
+
+    /**
+     * Cancel an item (aborts the running XHR and drops it from the journal)
+     */
+    cancel(id) {
+        const item = this.get(id);
+        if (!item || UPLOAD_TERMINAL_STATUSES.includes(item.status)) return;
+
+        const wasUploading = item.status === 'uploading';
+        this.clearRetryTimer(item);
+        item.status = 'cancelled';
+        item.resumeState = null;
+        if (item.journalEntry) {
+            item.journalEntry.state = null;
+        }
+
+        if (wasUploading && item.controller) {
+            item.controller.abort();
+        }
+        if (this.journal && item.journalEntry) {
+            this.journal.remove(item.journalEntry.id);
+        }
+
+        item.settle(item);
+        this.emit(item);
+    }
+
+    /**
+     * Retry a failed or cancelled item
+     */
+    retry(id) {
+        const item = this.get(id);
+        if (!item || !['failed', 'cancelled'].includes(item.status)) return;
+
+        if (item.status === 'cancelled') {
+            item.journalReady = this.prepareJournal(item);
+        }
+
+        item.status = 'queued';
+        item.attempts = 0;
+        item.error = null;
+        this.resetSettled(item);
+        this.emit(item);
+        this.next();
+    }
+
+    /**
+     * Remove finished items (done/failed/cancelled) from the list
+     */
+    clearFinished() {
+        this.items = this.items.filter(item => !UPLOAD_TERMINAL_STATUSES.includes(item.status));
+        this.emit(null);
+    }
+
+    /**
+     * Check if a journal entry belongs to an item in this queue
+     */
+    isTracking(journalId) {
+        return this.items.some(item => item.journalEntry && item.journalEntry.id === journalId);
+    }
+
+    /**
+     * Clear a pending retry timer
+     */
+    clearRetryTimer(item) {
+        if (item.retryTimer) {
+            clearTimeout(item.retryTimer);
+            item.retryTimer = null;
+        }
+    }
+}
+
+// Export
+window.UploadManager = UploadManager;
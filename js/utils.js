@@ -269,6 +269,27 @@ const Utils = {
         }
     },
 
+    /**
+     * Normalize a file name to a DAM-safe asset name
+     * (lowercase, no spaces or characters AEM rejects/encodes such as % # ? &)
+     */
+    toDamSafeName(filename) {
+        const dotIndex = filename.lastIndexOf('.');
+        const base = dotIndex > 0 ? filename.substring(0, dotIndex) : filename;
+        const ext = dotIndex > 0 ? filename.substring(dotIndex + 1) : '';
+
+        const clean = (value) => value
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/[\s%#*/:[\]\\|{}?&"'<>^;+=,]+/g, '-')
+            .replace(/-{2,}/g, '-')
+            .replace(/^[-.]+|[-.]+$/g, '');
+
+        const safeBase = clean(base) || 'asset';
+        const safeExt = clean(ext);
+        return safeExt ? `${safeBase}.${safeExt}` : safeBase;
+    },
+
     /**
      * Join paths
      */
@@ -424,6 +445,7 @@ const Modal = {
 
         this.titleEl.textContent = options.title || '';
         this.bodyEl.innerHTML = options.body || '';
+        this.onClose = options.onClose || null;
         this.footerEl.innerHTML = '';
 
         if (options.buttons) {
@@ -448,6 +470,11 @@ const Modal = {
             this.element.classList.remove('show');
             document.body.style.overflow = '';
         }
+        if (this.onClose) {
+            const onClose = this.onClose;
+            this.onClose = null;
+            onClose();
+        }
     },
 
     confirm(message, onConfirm, onCancel) {
@@ -7,14 +7,159 @@
 
 const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const zlib = require('zlib');
 
 const PORT = process.env.PORT || 8000;
 const ROOT_DIR = path.join(__dirname, '..');
 const ENV_FILE_PATH = path.join(ROOT_DIR, '.env');
 
+// Environment profiles: "default" uses .env, others .env.<profile>
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+let activeProfile = process.env.ENV_PROFILE || DEFAULT_PROFILE;
+// .env.example is the template, .env.bak the backup written on save
+const RESERVED_PROFILE_NAMES = ['example', 'bak'];
+
+// .env secret encryption: the passphrase comes from ENV_PASSPHRASE or POST /api/vault
+// and is only kept in memory
+const ENCRYPTED_ENV_KEYS = ['CLIENT_SECRET', 'ACCESS_TOKEN', 'PRIVATE_KEY'];
+const ENV_KDF_ITERATIONS = 600000;
+const ENV_CHECK_VALUE = 'aem-asset-vault';
+let envPassphrase = process.env.ENV_PASSPHRASE || null;
+const envKeyCache = new Map();
+
+// .env API access: admin password (X-Admin-Password header) when set, otherwise localhost only
+const ENV_ADMIN_PASSWORD = process.env.ENV_ADMIN_PASSWORD || null;
+// Same-origin only routes: no CORS headers, and changes must carry X-Requested-With
+// (a header cross-site forms and simple requests cannot send)
+const PROTECTED_API_ROUTES = ['/api/env', '/api/vault', '/api/profiles', '/api/jobs'];
+const APP_REQUEST_HEADER_VALUE = 'aem-asset-demo';
+// Routes that add the server's credentials when the caller sends none: no CORS headers either,
+// and withAuthHeaders applies the same-origin check before injecting them
+const SERVER_CREDENTIAL_ROUTES = [
+    '/proxy/aem/api', '/proxy/aem/upload', '/api/download-to-server', '/api/download-to-server/batch',
+    '/api/download-zip', '/api/update-metadata', '/api/thumbnail'
+];
+const LOCAL_HOST_HEADER_PATTERN = /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/i;
+
+// Secrets are returned masked ("********" + last 4 characters) unless ?reveal=1
+const MASKED_SECRET_PREFIX = '********';
+
+// Allowed .env keys for POST /api/env (values are single-line strings)
+const ENV_VALUE_MAX_LENGTH = 8192;
+const ENV_MULTILINE_KEYS = ['PRIVATE_KEY'];
+const ENV_PATH_PATTERN = /^(\/.*)?$/;
+const ENV_SCHEMA = {
+    AEM_HOST: /^(https?:\/\/[a-z0-9.-]+(:\d+)?\/?)?$/i,
+    AEM_DELIVERY_URL: /^(https?:\/\/[a-z0-9.-]+(:\d+)?\/?)?$/i,
+    AEM_REPOSITORY_ID: /^[\w.:-]*$/,
+    CREDENTIAL_TYPE: /^(oauth|jwt)?$/,
+    IMS_ORG: /^([a-z0-9]+@AdobeOrg)?$/i,
+    API_KEY: /^[\w.-]*$/,
+    CLIENT_SECRET: /^\S*$/,
+    SCOPES: /^[\w.,: -]*$/,
+    TECHNICAL_ACCOUNT_ID: /^[\w.@-]*$/,
+    TECHNICAL_ACCOUNT_EMAIL: /^[\w.@-]*$/,
+    IMS_ENDPOINT: /^([a-z0-9-]+(\.[a-z0-9-]+)*\.adobelogin\.com)?$/i,
+    METASCOPES: /^[\w.,:/ -]*$/,
+    PRIVATE_KEY_PATH: /^[\w./ -]*$/,
+    PRIVATE_KEY: /^(-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]+-----END [A-Z ]*PRIVATE KEY-----\s*)?$/,
+    ACCESS_TOKEN: /^\S*$/,
+    BROWSE_PATH: ENV_PATH_PATTERN,
+    UPLOAD_PATH: ENV_PATH_PATTERN,
+    DOWNLOAD_PATH: /^.*$/,
+    SAVE_PATH: ENV_PATH_PATTERN
+};
+
+// Only Adobe IMS hosts (ims-na1.adobelogin.com, ...)
+const IMS_HOST_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*\.adobelogin\.com$/i;
+
+// Generic AEM proxy targets: PROXY_ALLOWED_HOSTS (comma separated, "*.domain" matches subdomains)
+// replaces the default list; the active profile's AEM_HOST is always allowed
+const PROXY_ALLOWED_HOSTS = (process.env.PROXY_ALLOWED_HOSTS || '*.adobeaemcloud.com')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+// Direct binary upload part targets: the blob storage behind the pre-signed upload URIs
+// (PROXY_UPLOAD_HOSTS, same format, only for /proxy/aem/upload-chunk)
+const PROXY_UPLOAD_HOSTS = (process.env.PROXY_UPLOAD_HOSTS || '*.blob.core.windows.net')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+// Methods each proxy route may forward to AEM
+const PROXY_ROUTE_METHODS = {
+    '/proxy/aem/api': ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'COPY', 'MOVE'],
+    '/proxy/aem/upload': ['PUT', 'POST'],
+    '/proxy/aem/upload-chunk': ['PUT']
+};
+
+// Request headers /proxy/aem/api forwards to AEM besides auth and Content-Type (COPY / MOVE)
+const PROXY_FORWARD_HEADERS = ['X-Destination', 'X-Depth', 'X-Overwrite'];
+// Header values Node accepts (no control characters)
+const HEADER_VALUE_PATTERN = /^[\t\x20-\x7e\x80-\xff]*$/;
+
+// Proxy targets must not resolve to these (loopback, private, link-local, metadata, multicast, ...)
+const PROXY_BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => PROXY_BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => PROXY_BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// Blocked proxy requests are appended here as JSON lines
+const PROXY_AUDIT_LOG = process.env.PROXY_AUDIT_LOG || path.join(ROOT_DIR, 'proxy-audit.log');
+
+// Download to server: every destination resolves inside DOWNLOAD_ROOT (absolute paths outside it,
+// like the default /var/downloads, are mapped below it)
+const DOWNLOAD_ROOT = path.resolve(process.env.DOWNLOAD_ROOT || path.join(ROOT_DIR, 'downloads'));
+// Total size of DOWNLOAD_ROOT (DOWNLOAD_QUOTA_MB, 0 = no limit)
+const DOWNLOAD_QUOTA_BYTES = Number(process.env.DOWNLOAD_QUOTA_MB || 5120) * 1024 * 1024;
+// Batch download: conflict policies for existing files, parallel downloads, folder listing page size
+const DOWNLOAD_CONFLICT_POLICIES = ['skip', 'overwrite', 'rename'];
+const BATCH_DOWNLOAD_CONCURRENCY = 3;
+const DAM_LIST_PAGE_SIZE = 100;
+const DAM_ROOT = '/content/dam';
+// Rendition files of the Assets HTTP API (the original is read from jcr:content/renditions/original)
+const ASSET_RENDITION_FILES = {
+    web: 'cq5dam.web.1280.1280.jpeg',
+    thumbnail: 'cq5dam.thumbnail.319.319.png'
+};
+// ZIP download: version 4.5 (ZIP64), flags: data descriptor + UTF-8 names
+const ZIP_VERSION = 45;
+const ZIP_FLAGS = 0x0808;
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+// Windows device names are not valid file names
+const RESERVED_FILENAME_PATTERN = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+// Background jobs: state file (no credentials), jobs running at once, queued jobs accepted,
+// finished jobs kept, log lines kept per job, SSE keep-alive interval
+const JOBS_STATE_FILE = process.env.JOBS_STATE_FILE || path.join(ROOT_DIR, 'jobs-state.json');
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 2);
+const JOB_QUEUE_LIMIT = 20;
+const JOB_HISTORY_LIMIT = 50;
+const JOB_LOG_LIMIT = 500;
+const JOB_EVENTS_HEARTBEAT = 15000;
+// EventSource cannot send the admin password header: it authenticates with a stream ticket
+const JOB_STREAM_TICKET_TTL = 12 * 60 * 60 * 1000;
+
+// Refresh server-side tokens this long before they expire
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// Static files: only the app itself (never .env*, jobs-state.json, logs or DOWNLOAD_ROOT)
+const STATIC_FILES = ['/index.html'];
+const STATIC_DIRS = ['/css/', '/js/'];
+
 // MIME types
 const MIME_TYPES = {
     '.html': 'text/html',
@@ -35,27 +180,42 @@ const MIME_TYPES = {
 
 // Create server
 const server = http.createServer((req, res) => {
-    // Set CORS headers for all responses
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-    res.setHeader('Access-Control-Allow-Headers', '*');
+    // Parse URL
+    const parsedUrl = url.parse(req.url, true);
+    let urlPath = parsedUrl.pathname;
+
+    // Set CORS headers for the API and proxy routes except the same-origin only APIs and the
+    // routes that can use the server credentials (static files get none)
+    if (/^\/(api|proxy|ims)\//.test(urlPath) && !isProtectedRoute(urlPath) && !SERVER_CREDENTIAL_ROUTES.includes(urlPath)) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
+        res.setHeader('Access-Control-Allow-Headers', '*');
+    }
 
-    // Handle preflight
+    // Handle preflight (fails for protected and server credential routes without the CORS headers)
     if (req.method === 'OPTIONS') {
         res.writeHead(200);
         res.end();
         return;
     }
 
-    // Parse URL
-    const parsedUrl = url.parse(req.url, true);
-    let urlPath = parsedUrl.pathname;
-
     console.log(`[Request] ${req.method} ${urlPath}`);
 
     // ENV file API
     if (urlPath === '/api/env') {
-        handleEnvApi(req, res);
+        if (authorizeEnvApi(req, res)) handleEnvApi(req, res, parsedUrl.query);
+        return;
+    }
+
+    // .env encryption (unlock / lock / enable / rekey / disable)
+    if (urlPath === '/api/vault') {
+        if (authorizeEnvApi(req, res)) handleVaultApi(req, res);
+        return;
+    }
+
+    // Environment profiles (.env.<profile>); switching changes the server credentials
+    if (urlPath === '/api/profiles') {
+        if (authorizeEnvApi(req, res)) handleProfilesApi(req, res, parsedUrl.query);
         return;
     }
 
@@ -65,12 +225,30 @@ const server = http.createServer((req, res) => {
         return;
     }
 
+    // IMS OAuth Server-to-Server token proxy (client_credentials)
+    if (urlPath === '/ims/token/v3') {
+        handleIMSTokenProxy(req, res);
+        return;
+    }
+
+    // Server-side credential status (no secrets)
+    if (urlPath === '/api/auth/status') {
+        handleAuthStatus(req, res);
+        return;
+    }
+
     // AEM Upload proxy (AEM Cloud CORS doesn't allow PUT with custom headers)
     if (urlPath === '/proxy/aem/upload') {
         handleAEMUploadProxy(req, res);
         return;
     }
 
+    // Direct binary upload part proxy (streams chunks to pre-signed upload URIs)
+    if (urlPath === '/proxy/aem/upload-chunk') {
+        handleUploadChunkProxy(req, res);
+        return;
+    }
+
     // AEM API proxy for paths blocked by CORS
     if (urlPath === '/proxy/aem/api') {
         handleAEMApiProxy(req, res);
@@ -83,6 +261,24 @@ const server = http.createServer((req, res) => {
         return;
     }
 
+    // Stream assets to the browser as one ZIP archive
+    if (urlPath === '/api/download-zip') {
+        handleZipDownload(req, res);
+        return;
+    }
+
+    // Batch download to server (asset list or DAM folder, mirrored folder structure)
+    if (urlPath === '/api/download-to-server/batch') {
+        handleBatchDownloadToServer(req, res);
+        return;
+    }
+
+    // Background jobs (batch downloads, folder mirroring, bulk metadata) and their SSE progress stream
+    if (urlPath === '/api/jobs' || urlPath.startsWith('/api/jobs/')) {
+        if (authorizeJobsApi(req, res, urlPath, parsedUrl.query)) handleJobsApi(req, res, urlPath);
+        return;
+    }
+
     // AEM Thumbnail proxy (for displaying thumbnails in asset list)
     if (urlPath === '/api/thumbnail') {
         handleThumbnailProxy(req, res, parsedUrl.query);
@@ -100,37 +296,236 @@ const server = http.createServer((req, res) => {
         urlPath = '/index.html';
     }
 
-    // Get file path
-    const filePath = path.join(ROOT_DIR, urlPath);
-
-    // Security check - prevent directory traversal
-    if (!filePath.startsWith(ROOT_DIR)) {
-        res.writeHead(403);
-        res.end('Forbidden');
+    const filePath = resolveStaticPath(urlPath);
+    if (!filePath) {
+        res.writeHead(404);
+        res.end('Not Found');
         return;
     }
 
     // Check if file exists
     fs.stat(filePath, (err, stats) => {
-        if (err) {
+        if (err || !stats.isFile()) {
             res.writeHead(404);
             res.end('Not Found');
             return;
         }
+        serveFile(filePath, res);
+    });
+});
+
+/**
+ * Map a URL path to a file of the app (STATIC_FILES, or below STATIC_DIRS)
+ * @returns {string|null} Absolute path, null for anything else
+ */
+function resolveStaticPath(urlPath) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath);
+    } catch (e) {
+        return null;
+    }
+
+    // Normalized, so /js/../.env cannot reach outside the allowed directories
+    const normalized = path.posix.normalize(decoded);
+    if (normalized.includes('\\') || normalized.includes('\0')) {
+        return null;
+    }
+    // Dotfiles (.env, .env.bak, .env.<profile>, ...) are never served, even if one ends up in js/
+    if (normalized.split('/').some(segment => segment.startsWith('.'))) {
+        return null;
+    }
+    if (!STATIC_FILES.includes(normalized) && !STATIC_DIRS.some(dir => normalized.startsWith(dir))) {
+        return null;
+    }
+    return path.join(ROOT_DIR, normalized);
+}
+
+/**
+ * Check a generic proxy request before forwarding it: route method allowlist, https target,
+ * host allowlist and resolved address (responds 400/403/405/502 and writes an audit entry when blocked)
+ * @param {function} callback - Called with { url, address, family } for an allowed target
+ */
+function guardProxyRequest(req, res, route, targetUrl, method, callback) {
+    const block = (status, reason) => {
+        auditProxyBlock(req, route, method, targetUrl, reason);
+        // Discard an unread upload body
+        req.resume();
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `Proxy request blocked: ${reason}` }));
+    };
+
+    if (!PROXY_ROUTE_METHODS[route].includes(method)) {
+        block(405, `method ${method} is not allowed on ${route}`);
+        return;
+    }
+
+    checkProxyTarget(targetUrl, route, (err, target) => {
+        if (err) {
+            block(err.statusCode, err.message);
+            return;
+        }
+        callback(target);
+    });
+}
+
+/**
+ * Check the aemHost of a download, ZIP, metadata, thumbnail or job request like a proxy target
+ * (https, port 443, host allowlist, public address; responds 400/403/502 and audits when blocked)
+ * @param {function} callback - Called with { url, address, family } for an allowed host
+ */
+function guardAemHost(req, res, route, aemHost, callback) {
+    checkProxyTarget(aemHost, route, (err, target) => {
+        if (err) {
+            auditProxyBlock(req, route, req.method, aemHost, err.message);
+            req.resume();
+            res.writeHead(err.statusCode, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `AEM host blocked: ${err.message}` }));
+            return;
+        }
+        callback(target);
+    });
+}
+
+/**
+ * Check a target URL: https, port 443, host allowlist and resolved addresses
+ * @param {function} callback - Called with (error, { url, address, family }); errors carry statusCode
+ */
+function checkProxyTarget(targetUrl, route, callback) {
+    let target;
+    try {
+        target = new URL(targetUrl);
+    } catch (e) {
+        callback(downloadError(400, 'invalid target URL'));
+        return;
+    }
+    if (target.protocol !== 'https:') {
+        callback(downloadError(403, 'only https targets are allowed'));
+        return;
+    }
+    if (target.port && target.port !== '443') {
+        callback(downloadError(403, `port ${target.port} is not allowed`));
+        return;
+    }
+
+    // URL keeps the brackets of IPv6 literals
+    const hostname = target.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    if (!isAllowedProxyHost(hostname, route)) {
+        callback(downloadError(403, `host ${hostname} is not in the proxy allowlist`));
+        return;
+    }
+
+    dns.lookup(hostname, { all: true }, (err, addresses) => {
+        if (err) {
+            callback(downloadError(502, `cannot resolve ${hostname}`));
+            return;
+        }
+
+        const blocked = findBlockedAddress(addresses);
+        if (blocked) {
+            callback(downloadError(403, `${hostname} resolves to private address ${blocked.address}`));
+            return;
+        }
+
+        callback(null, { url: target, address: addresses[0].address, family: addresses[0].family });
+    });
+}
+
+/**
+ * First address in PROXY_BLOCKED_ADDRESSES (undefined if all are public)
+ * @param {Array} addresses - dns.lookup results ({ address, family })
+ */
+function findBlockedAddress(addresses) {
+    return addresses.find(({ address, family }) =>
+        PROXY_BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+}
+
+/**
+ * Check a hostname against PROXY_ALLOWED_HOSTS and the active profile's AEM_HOST
+ * (plus PROXY_UPLOAD_HOSTS for upload parts)
+ */
+function isAllowedProxyHost(hostname, route) {
+    const allowed = [...PROXY_ALLOWED_HOSTS];
+    if (route === '/proxy/aem/upload-chunk') {
+        allowed.push(...PROXY_UPLOAD_HOSTS);
+    }
+    try {
+        allowed.push(new URL(loadEnvConfig().AEM_HOST).hostname.toLowerCase());
+    } catch (e) {
+        // No AEM_HOST configured
+    }
+
+    return allowed.some(entry => entry.startsWith('*.')
+        ? hostname.endsWith(entry.slice(1))
+        : hostname === entry);
+}
+
+/**
+ * Connect to the address checked by guardProxyRequest, so the host cannot
+ * resolve to a different (private) address between the check and the request
+ */
+function pinnedLookup(target) {
+    return (hostname, options, callback) => {
+        if (options.all) {
+            callback(null, [{ address: target.address, family: target.family }]);
+        } else {
+            callback(null, target.address, target.family);
+        }
+    };
+}
+
+/**
+ * DNS lookup for requests to AEM hosts (and the hosts they redirect to): fails for private
+ * addresses, so the connection goes to the address that was checked, even if the host
+ * resolves differently than when guardAemHost ran (or for a job started later)
+ */
+function publicAddressLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        const blocked = findBlockedAddress(addresses);
+        if (blocked) {
+            console.warn(`[Proxy Audit] Blocked connection to ${hostname}: private address ${blocked.address}`);
+            const error = new Error(`${hostname} resolves to private address ${blocked.address}`);
+            error.code = 'EADDRBLOCKED';
+            callback(error);
+            return;
+        }
 
-        // If directory, try index.html
-        if (stats.isDirectory()) {
-            const indexPath = path.join(filePath, 'index.html');
-            serveFile(indexPath, res);
+        if (options.all) {
+            callback(null, addresses);
         } else {
-            serveFile(filePath, res);
+            callback(null, addresses[0].address, addresses[0].family);
         }
     });
-});
+}
+
+/**
+ * Record a blocked proxy request in the console and PROXY_AUDIT_LOG
+ */
+function auditProxyBlock(req, route, method, targetUrl, reason) {
+    const entry = {
+        time: new Date().toISOString(),
+        client: req.socket.remoteAddress,
+        route,
+        method,
+        target: targetUrl,
+        reason
+    };
+
+    console.warn(`[Proxy Audit] Blocked ${method} ${targetUrl} from ${entry.client}: ${reason}`);
+    fs.appendFile(PROXY_AUDIT_LOG, JSON.stringify(entry) + '\n', (err) => {
+        if (err) console.error('[Proxy Audit] Cannot write audit log:', err.message);
+    });
+}
 
 /**
  * Handle AEM API proxy for requests
  * Supports both header-based (GET) and body-based (POST with method override) requests
+ * Auth headers are injected from the server credentials when the browser sends none
  */
 function handleAEMApiProxy(req, res) {
     // Check if this is a body-based request (POST with JSON body)
@@ -143,7 +538,8 @@ function handleAEMApiProxy(req, res) {
         req.on('end', () => {
             try {
                 const params = JSON.parse(body);
-                const { aemHost, endpoint, method, authorization, apiKey, contentType, body: requestBody } = params;
+                const { endpoint, method, authorization, apiKey, contentType, body: requestBody } = params;
+                const aemHost = params.aemHost || loadEnvConfig().AEM_HOST;
 
                 if (!aemHost || !endpoint) {
                     res.writeHead(400);
@@ -151,60 +547,68 @@ function handleAEMApiProxy(req, res) {
                     return;
                 }
 
-                const targetUrl = `${aemHost}${endpoint}`;
-                console.log(`[AEM API Proxy] ${method || 'GET'} ${targetUrl}`);
-
-                const parsedTarget = new URL(targetUrl);
-
-                const options = {
-                    hostname: parsedTarget.hostname,
-                    port: 443,
-                    path: parsedTarget.pathname + parsedTarget.search,
-                    method: method || 'GET',
-                    headers: {
-                        'Accept': 'application/json'
-                    }
-                };
-
-                if (authorization) {
-                    options.headers['Authorization'] = authorization;
-                }
-                if (apiKey) {
-                    options.headers['x-api-key'] = apiKey;
-                }
-                if (contentType) {
-                    options.headers['Content-Type'] = contentType;
-                }
-                if (requestBody) {
-                    options.headers['Content-Length'] = Buffer.byteLength(requestBody);
+                const forwardHeaders = getForwardHeaders(params.headers || {});
+                if (!forwardHeaders) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ error: `Invalid value for ${PROXY_FORWARD_HEADERS.join(', ')}` }));
+                    return;
                 }
 
-                const proxyReq = https.request(options, (proxyRes) => {
-                    let responseBody = [];
-                    proxyRes.on('data', chunk => {
-                        responseBody.push(chunk);
-                    });
-                    proxyRes.on('end', () => {
-                        const responseData = Buffer.concat(responseBody);
-                        console.log(`[AEM API Proxy] Response: ${proxyRes.statusCode}`);
+                const targetUrl = `${aemHost}${endpoint}`;
+                const proxyMethod = String(method || 'GET').toUpperCase();
+                console.log(`[AEM API Proxy] ${proxyMethod} ${targetUrl}`);
+
+                guardProxyRequest(req, res, '/proxy/aem/api', targetUrl, proxyMethod, (target) => {
+                    withAuthHeaders(req, res, authorization, apiKey, target.url, (authHeaders, onStatus) => {
+                        const options = {
+                            hostname: target.url.hostname,
+                            port: 443,
+                            path: target.url.pathname + target.url.search,
+                            lookup: pinnedLookup(target),
+                            method: proxyMethod,
+                            headers: {
+                                'Accept': 'application/json',
+                                ...forwardHeaders,
+                                ...authHeaders
+                            }
+                        };
+
+                        if (contentType) {
+                            options.headers['Content-Type'] = contentType;
+                        }
+                        if (requestBody) {
+                            options.headers['Content-Length'] = Buffer.byteLength(requestBody);
+                        }
 
-                        res.writeHead(proxyRes.statusCode, {
-                            'Content-Type': proxyRes.headers['content-type'] || 'application/json'
+                        const proxyReq = https.request(options, (proxyRes) => {
+                            let responseBody = [];
+                            proxyRes.on('data', chunk => {
+                                responseBody.push(chunk);
+                            });
+                            proxyRes.on('end', () => {
+                                const responseData = Buffer.concat(responseBody);
+                                console.log(`[AEM API Proxy] Response: ${proxyRes.statusCode}`);
+                                onStatus(proxyRes.statusCode);
+
+                                res.writeHead(proxyRes.statusCode, {
+                                    'Content-Type': proxyRes.headers['content-type'] || 'application/json'
+                                });
+                                res.end(responseData);
+                            });
                         });
-                        res.end(responseData);
-                    });
-                });
 
-                proxyReq.on('error', (err) => {
-                    console.error('[AEM API Proxy Error]', err.message);
-                    res.writeHead(502);
-                    res.end(JSON.stringify({ error: 'AEM proxy error: ' + err.message }));
-                });
+                        proxyReq.on('error', (err) => {
+                            console.error('[AEM API Proxy Error]', err.message);
+                            res.writeHead(502);
+                            res.end(JSON.stringify({ error: 'AEM proxy error: ' + err.message }));
+                        });
 
-                if (requestBody) {
-                    proxyReq.write(requestBody);
-                }
-                proxyReq.end();
+                        if (requestBody) {
+                            proxyReq.write(requestBody);
+                        }
+                        proxyReq.end();
+                    });
+                });
 
             } catch (e) {
                 res.writeHead(400);
@@ -227,48 +631,64 @@ function handleAEMApiProxy(req, res) {
 
     console.log(`[AEM API Proxy] ${req.method} ${targetUrl}`);
 
-    const parsedTarget = new URL(targetUrl);
-
-    const options = {
-        hostname: parsedTarget.hostname,
-        port: 443,
-        path: parsedTarget.pathname + parsedTarget.search,
-        method: req.method,
-        headers: {
-            'Accept': 'application/json'
-        }
-    };
+    guardProxyRequest(req, res, '/proxy/aem/api', targetUrl, req.method, (target) => {
+        withAuthHeaders(req, res, authorization, apiKey, target.url, (authHeaders, onStatus) => {
+            const options = {
+                hostname: target.url.hostname,
+                port: 443,
+                path: target.url.pathname + target.url.search,
+                lookup: pinnedLookup(target),
+                method: req.method,
+                headers: {
+                    'Accept': 'application/json',
+                    ...getForwardHeaders(req.headers),
+                    ...authHeaders
+                }
+            };
 
-    if (authorization) {
-        options.headers['Authorization'] = authorization;
-    }
-    if (apiKey) {
-        options.headers['x-api-key'] = apiKey;
-    }
+            const proxyReq = https.request(options, (proxyRes) => {
+                let responseBody = [];
+                proxyRes.on('data', chunk => {
+                    responseBody.push(chunk);
+                });
+                proxyRes.on('end', () => {
+                    const responseData = Buffer.concat(responseBody);
+                    console.log(`[AEM API Proxy] Response: ${proxyRes.statusCode}`);
+                    onStatus(proxyRes.statusCode);
 
-    const proxyReq = https.request(options, (proxyRes) => {
-        let responseBody = [];
-        proxyRes.on('data', chunk => {
-            responseBody.push(chunk);
-        });
-        proxyRes.on('end', () => {
-            const responseData = Buffer.concat(responseBody);
-            console.log(`[AEM API Proxy] Response: ${proxyRes.statusCode}`);
+                    res.writeHead(proxyRes.statusCode, {
+                        'Content-Type': proxyRes.headers['content-type'] || 'application/json'
+                    });
+                    res.end(responseData);
+                });
+            });
 
-            res.writeHead(proxyRes.statusCode, {
-                'Content-Type': proxyRes.headers['content-type'] || 'application/json'
+            proxyReq.on('error', (err) => {
+                console.error('[AEM API Proxy Error]', err.message);
+                res.writeHead(502);
+                res.end(JSON.stringify({ error: 'AEM proxy error: ' + err.message }));
             });
-            res.end(responseData);
-        });
-    });
 
-    proxyReq.on('error', (err) => {
-        console.error('[AEM API Proxy Error]', err.message);
-        res.writeHead(502);
-        res.end(JSON.stringify({ error: 'AEM proxy error: ' + err.message }));
+            proxyReq.end();
+        });
     });
+}
 
-    proxyReq.end();
+/**
+ * Pick the PROXY_FORWARD_HEADERS from request headers or a JSON object (any letter case)
+ * @returns {object|null} Headers to forward, null if a value is not a valid header value
+ */
+function getForwardHeaders(source) {
+    const headers = {};
+    if (!source || typeof source !== 'object') return null;
+
+    for (const [name, value] of Object.entries(source)) {
+        const forwardName = PROXY_FORWARD_HEADERS.find(header => header.toLowerCase() === name.toLowerCase());
+        if (!forwardName) continue;
+        if (typeof value !== 'string' || !HEADER_VALUE_PATTERN.test(value)) return null;
+        headers[forwardName] = value;
+    }
+    return headers;
 }
 
 /**
@@ -276,12 +696,6 @@ function handleAEMApiProxy(req, res) {
  * (AEM Cloud CORS doesn't properly support PUT with custom headers)
  */
 function handleAEMUploadProxy(req, res) {
-    if (req.method !== 'PUT' && req.method !== 'POST') {
-        res.writeHead(405);
-        res.end(JSON.stringify({ error: 'Method not allowed' }));
-        return;
-    }
-
     // Get target URL and auth headers from request headers
     const targetUrl = req.headers['x-target-url'];
     const authorization = req.headers['authorization'];
@@ -296,125 +710,129 @@ function handleAEMUploadProxy(req, res) {
 
     console.log(`[AEM Upload Proxy] ${req.method} ${targetUrl}`);
 
-    const parsedTarget = new URL(targetUrl);
-    const chunks = [];
-
-    req.on('data', chunk => {
-        chunks.push(chunk);
-    });
-
-    req.on('end', () => {
-        const body = Buffer.concat(chunks);
-
-        const options = {
-            hostname: parsedTarget.hostname,
-            port: 443,
-            path: parsedTarget.pathname + parsedTarget.search,
-            method: req.method,
-            headers: {
-                'Content-Type': contentType || 'application/octet-stream',
-                'Content-Length': body.length
-            }
-        };
+    guardProxyRequest(req, res, '/proxy/aem/upload', targetUrl, req.method, (target) => {
+        const chunks = [];
 
-        if (authorization) {
-            options.headers['Authorization'] = authorization;
-        }
-        if (apiKey) {
-            options.headers['x-api-key'] = apiKey;
-        }
+        req.on('data', chunk => {
+            chunks.push(chunk);
+        });
 
-        const proxyReq = https.request(options, (proxyRes) => {
-            let responseBody = [];
-            proxyRes.on('data', chunk => {
-                responseBody.push(chunk);
-            });
-            proxyRes.on('end', () => {
-                const responseData = Buffer.concat(responseBody);
-                console.log(`[AEM Upload Proxy] Response: ${proxyRes.statusCode}`);
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
 
-                // Forward response headers
-                const responseHeaders = {
-                    'Content-Type': proxyRes.headers['content-type'] || 'application/json'
+            withAuthHeaders(req, res, authorization, apiKey, target.url, (authHeaders, onStatus) => {
+                const options = {
+                    hostname: target.url.hostname,
+                    port: 443,
+                    path: target.url.pathname + target.url.search,
+                    lookup: pinnedLookup(target),
+                    method: req.method,
+                    headers: {
+                        'Content-Type': contentType || 'application/octet-stream',
+                        'Content-Length': body.length,
+                        ...authHeaders
+                    }
                 };
 
-                res.writeHead(proxyRes.statusCode, responseHeaders);
-                res.end(responseData);
-            });
-        });
-
-        proxyReq.on('error', (err) => {
-            console.error('[AEM Upload Proxy Error]', err.message);
-            res.writeHead(502);
-            res.end(JSON.stringify({ error: 'AEM proxy error: ' + err.message }));
-        });
+                const proxyReq = https.request(options, (proxyRes) => {
+                    let responseBody = [];
+                    proxyRes.on('data', chunk => {
+                        responseBody.push(chunk);
+                    });
+                    proxyRes.on('end', () => {
+                        const responseData = Buffer.concat(responseBody);
+                        console.log(`[AEM Upload Proxy] Response: ${proxyRes.statusCode}`);
+                        onStatus(proxyRes.statusCode);
 
-        proxyReq.write(body);
-        proxyReq.end();
-    });
-}
+                        // Forward response headers
+                        const responseHeaders = {
+                            'Content-Type': proxyRes.headers['content-type'] || 'application/json'
+                        };
+
+                        res.writeHead(proxyRes.statusCode, responseHeaders);
+                        res.end(responseData);
+                    });
+                });
+
+                proxyReq.on('error', (err) => {
+                    console.error('[AEM Upload Proxy Error]', err.message);
+                    res.writeHead(502);
+                    res.end(JSON.stringify({ error: 'AEM proxy error: ' + err.message }));
+                });
+
+                proxyReq.write(body);
+                proxyReq.end();
+            });
+        });
+    });
+}
 
 /**
- * Handle IMS token exchange proxy
- * (Adobe IMS doesn't allow CORS, so we need server-side proxy)
+ * Handle direct binary upload part proxy
+ * Pipes the request body straight to the pre-signed upload URI returned by
+ * initiateUpload, so multi-GB files are never buffered in memory.
  */
-function handleIMSProxy(req, res) {
-    if (req.method !== 'POST') {
-        res.writeHead(405);
-        res.end(JSON.stringify({ error: 'Method not allowed' }));
+function handleUploadChunkProxy(req, res) {
+    const targetUrl = req.headers['x-target-url'];
+    const contentLength = req.headers['content-length'];
+
+    if (!targetUrl) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: 'Missing x-target-url header' }));
         return;
     }
 
-    let body = '';
-    req.on('data', chunk => {
-        body += chunk.toString();
-    });
+    if (!contentLength) {
+        res.writeHead(411);
+        res.end(JSON.stringify({ error: 'Content-Length required' }));
+        return;
+    }
 
-    req.on('end', () => {
-        const params = new URLSearchParams(body);
-        const imsEndpoint = params.get('ims_endpoint') || 'ims-na1.adobelogin.com';
+    guardProxyRequest(req, res, '/proxy/aem/upload-chunk', targetUrl, req.method, (target) => {
+        console.log(`[Upload Chunk Proxy] PUT ${target.url.hostname} (${contentLength} bytes)`);
 
         const options = {
-            hostname: imsEndpoint,
+            hostname: target.url.hostname,
             port: 443,
-            path: '/ims/exchange/jwt',
-            method: 'POST',
+            path: target.url.pathname + target.url.search,
+            lookup: pinnedLookup(target),
+            method: 'PUT',
             headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'Content-Length': Buffer.byteLength(body)
+                'Content-Type': req.headers['content-type'] || 'application/octet-stream',
+                'Content-Length': contentLength
             }
         };
 
-        console.log(`[IMS Proxy] Token exchange request to ${imsEndpoint}`);
-
         const proxyReq = https.request(options, (proxyRes) => {
-            let responseBody = '';
-            proxyRes.on('data', chunk => {
-                responseBody += chunk;
-            });
-            proxyRes.on('end', () => {
-                res.writeHead(proxyRes.statusCode, {
-                    'Content-Type': 'application/json'
-                });
-                res.end(responseBody);
+            console.log(`[Upload Chunk Proxy] Response: ${proxyRes.statusCode}`);
+            res.writeHead(proxyRes.statusCode, {
+                'Content-Type': proxyRes.headers['content-type'] || 'application/json'
             });
+            proxyRes.pipe(res);
         });
 
         proxyReq.on('error', (err) => {
-            console.error('[IMS Proxy Error]', err.message);
-            res.writeHead(502);
-            res.end(JSON.stringify({ error: 'IMS proxy error: ' + err.message }));
+            console.error('[Upload Chunk Proxy Error]', err.message);
+            if (!res.headersSent) {
+                res.writeHead(502);
+                res.end(JSON.stringify({ error: 'Upload chunk proxy error: ' + err.message }));
+            }
+        });
+
+        // Abort upstream upload if the browser cancels
+        req.on('aborted', () => {
+            proxyReq.destroy();
         });
 
-        proxyReq.write(body);
-        proxyReq.end();
+        req.pipe(proxyReq);
     });
 }
 
 /**
- * Handle download to server (saves file to server's download directory)
+ * Handle IMS token exchange proxy
+ * (Adobe IMS doesn't allow CORS, so we need server-side proxy)
  */
-function handleDownloadToServer(req, res) {
+function handleIMSProxy(req, res) {
     if (req.method !== 'POST') {
         res.writeHead(405);
         res.end(JSON.stringify({ error: 'Method not allowed' }));
@@ -427,423 +845,2630 @@ function handleDownloadToServer(req, res) {
     });
 
     req.on('end', () => {
-        try {
-            const { assetPath, downloadPath, aemHost, authorization, apiKey, rendition } = JSON.parse(body);
-
-            if (!assetPath || !aemHost) {
-                res.writeHead(400);
-                res.end(JSON.stringify({ error: 'Missing required parameters: assetPath, aemHost' }));
-                return;
-            }
-
-            // Build download URL based on rendition type
-            let downloadUrl;
-            const assetApiPath = assetPath.replace('/content/dam', '');
-
-            if (rendition === 'web') {
-                downloadUrl = `${aemHost}/api/assets${assetApiPath}/renditions/cq5dam.web.1280.1280.jpeg`;
-            } else if (rendition === 'thumbnail') {
-                downloadUrl = `${aemHost}/api/assets${assetApiPath}/renditions/cq5dam.thumbnail.319.319.png`;
-            } else {
-                // Original - use content path directly for binary download
-                downloadUrl = `${aemHost}${assetPath}/jcr:content/renditions/original`;
-            }
-
-            console.log(`[Download to Server] Downloading from: ${downloadUrl}`);
-
-            const parsedUrl = new URL(downloadUrl);
-            const filename = assetPath.split('/').pop();
-
-            // Determine save directory (use provided path or default)
-            const saveDir = downloadPath || path.join(ROOT_DIR, 'downloads');
-
-            // Create directory if it doesn't exist
-            if (!fs.existsSync(saveDir)) {
-                fs.mkdirSync(saveDir, { recursive: true });
-            }
-
-            const savePath = path.join(saveDir, filename);
-
-            const options = {
-                hostname: parsedUrl.hostname,
-                port: 443,
-                path: parsedUrl.pathname + parsedUrl.search,
-                method: 'GET',
-                headers: {}
-            };
-
-            if (authorization) {
-                options.headers['Authorization'] = authorization;
-            }
-            if (apiKey) {
-                options.headers['x-api-key'] = apiKey;
-            }
-
-            const downloadReq = https.request(options, (downloadRes) => {
-                console.log(`[Download to Server] Response status: ${downloadRes.statusCode}`);
-
-                // Handle redirect
-                if (downloadRes.statusCode >= 300 && downloadRes.statusCode < 400 && downloadRes.headers.location) {
-                    console.log(`[Download to Server] Redirecting to: ${downloadRes.headers.location}`);
-                    // Follow redirect
-                    const redirectUrl = new URL(downloadRes.headers.location);
-                    options.hostname = redirectUrl.hostname;
-                    options.path = redirectUrl.pathname + redirectUrl.search;
+        const params = new URLSearchParams(body);
+        const imsEndpoint = params.get('ims_endpoint') || 'ims-na1.adobelogin.com';
 
-                    const redirectReq = https.request(options, (redirectRes) => {
-                        handleDownloadResponse(redirectRes, savePath, filename, res);
-                    });
-                    redirectReq.on('error', (err) => {
-                        console.error('[Download to Server Error]', err.message);
-                        res.writeHead(502);
-                        res.end(JSON.stringify({ error: 'Download error: ' + err.message }));
-                    });
-                    redirectReq.end();
-                    return;
-                }
+        console.log(`[IMS Proxy] Token exchange request to ${imsEndpoint}`);
+        forwardToIMS(res, imsEndpoint, '/ims/exchange/jwt', body);
+    });
+}
 
-                handleDownloadResponse(downloadRes, savePath, filename, res);
-            });
+/**
+ * Handle IMS OAuth Server-to-Server token proxy
+ * POST /ims/token/v3 (grant_type=client_credentials)
+ */
+function handleIMSTokenProxy(req, res) {
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+        return;
+    }
 
-            downloadReq.on('error', (err) => {
-                console.error('[Download to Server Error]', err.message);
-                res.writeHead(502);
-                res.end(JSON.stringify({ error: 'Download error: ' + err.message }));
-            });
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk.toString();
+    });
 
-            downloadReq.end();
+    req.on('end', () => {
+        const params = new URLSearchParams(body);
+        const imsEndpoint = params.get('ims_endpoint') || 'ims-na1.adobelogin.com';
 
-        } catch (e) {
-            console.error('[Download to Server Error]', e.message);
-            res.writeHead(400);
-            res.end(JSON.stringify({ error: 'Invalid request: ' + e.message }));
+        // ims_endpoint is only for the proxy, IMS gets the plain OAuth form
+        params.delete('ims_endpoint');
+        if (!params.get('grant_type')) {
+            params.set('grant_type', 'client_credentials');
         }
+
+        console.log(`[IMS Proxy] OAuth Server-to-Server token request to ${imsEndpoint}`);
+        forwardToIMS(res, imsEndpoint, '/ims/token/v3', params.toString());
     });
 }
 
 /**
- * Handle download response and save to file
+ * Forward a form-encoded request to Adobe IMS and relay the response
  */
-function handleDownloadResponse(downloadRes, savePath, filename, res) {
-    if (downloadRes.statusCode !== 200) {
-        res.writeHead(downloadRes.statusCode);
-        res.end(JSON.stringify({
-            error: `Download failed with status ${downloadRes.statusCode}`,
-            statusCode: downloadRes.statusCode
-        }));
+function forwardToIMS(res, imsEndpoint, imsPath, body) {
+    if (!IMS_HOST_PATTERN.test(imsEndpoint)) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: `Invalid IMS endpoint: ${imsEndpoint}` }));
         return;
     }
 
-    const fileStream = fs.createWriteStream(savePath);
-    let downloadedSize = 0;
+    const options = {
+        hostname: imsEndpoint,
+        port: 443,
+        path: imsPath,
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Content-Length': Buffer.byteLength(body)
+        }
+    };
 
-    downloadRes.on('data', chunk => {
-        downloadedSize += chunk.length;
+    const proxyReq = https.request(options, (proxyRes) => {
+        let responseBody = '';
+        proxyRes.on('data', chunk => {
+            responseBody += chunk;
+        });
+        proxyRes.on('end', () => {
+            res.writeHead(proxyRes.statusCode, {
+                'Content-Type': 'application/json'
+            });
+            res.end(responseBody);
+        });
     });
 
-    downloadRes.pipe(fileStream);
+    proxyReq.on('error', (err) => {
+        console.error('[IMS Proxy Error]', err.message);
+        res.writeHead(502);
+        res.end(JSON.stringify({ error: 'IMS proxy error: ' + err.message }));
+    });
 
-    fileStream.on('finish', () => {
-        fileStream.close();
-        console.log(`[Download to Server] Saved: ${savePath} (${downloadedSize} bytes)`);
+    proxyReq.write(body);
+    proxyReq.end();
+}
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            success: true,
-            filename: filename,
-            path: savePath,
-            size: downloadedSize,
-            contentType: downloadRes.headers['content-type']
-        }));
-    });
+/**
+ * Server-side token manager
+ * Credentials stay in .env; tokens are minted and cached here and injected
+ * into proxied requests that arrive without an Authorization header.
+ */
+const serverToken = {
+    accessToken: null,
+    expiresAt: 0,
+    fingerprint: null,
+    pending: null
+};
 
-    fileStream.on('error', (err) => {
-        console.error('[Download to Server Error]', err.message);
-        res.writeHead(500);
-        res.end(JSON.stringify({ error: 'Failed to save file: ' + err.message }));
-    });
+/**
+ * Check if a profile name is valid (not one of the reserved .env.<name> files)
+ */
+function isValidProfileName(profile) {
+    return PROFILE_NAME_PATTERN.test(profile) && !RESERVED_PROFILE_NAMES.includes(profile);
 }
 
 /**
- * Handle thumbnail proxy (proxy AEM thumbnails to avoid CORS)
+ * Get the .env file of a profile
  */
-function handleThumbnailProxy(req, res, query) {
-    const assetPath = query.path;
+function getEnvFilePath(profile = activeProfile) {
+    return profile === DEFAULT_PROFILE ? ENV_FILE_PATH : path.join(ROOT_DIR, `.env.${profile}`);
+}
 
-    if (!assetPath) {
-        res.writeHead(400);
-        res.end('Missing path parameter');
-        return;
+/**
+ * List profiles that have a .env file
+ */
+function listEnvProfiles() {
+    const profiles = fs.readdirSync(ROOT_DIR)
+        .map(file => (file.match(/^\.env\.(.+)$/) || [])[1])
+        .filter(profile => profile && isValidProfileName(profile));
+    if (fs.existsSync(ENV_FILE_PATH)) {
+        profiles.unshift(DEFAULT_PROFILE);
     }
+    return profiles;
+}
 
-    // Load config from .env
-    let envConfig = {};
+/**
+ * Load the active profile's .env into an object (empty if the file is missing)
+ * Encrypted secrets are decrypted, or empty while the server is locked
+ */
+function loadEnvConfig() {
     try {
-        if (fs.existsSync(ENV_FILE_PATH)) {
-            const envContent = fs.readFileSync(ENV_FILE_PATH, 'utf8');
-            envConfig = parseEnvFile(envContent);
+        const envFilePath = getEnvFilePath();
+        if (fs.existsSync(envFilePath)) {
+            return decryptEnvConfig(parseEnvFile(fs.readFileSync(envFilePath, 'utf8'))).env;
         }
     } catch (e) {
-        console.error('[Thumbnail Proxy] Failed to load .env:', e.message);
+        console.error('[ENV] Failed to load .env:', e.message);
     }
+    return {};
+}
 
-    const aemHost = envConfig.AEM_HOST;
-    const accessToken = envConfig.ACCESS_TOKEN;
-    const apiKey = envConfig.API_KEY;
-
-    if (!aemHost) {
-        res.writeHead(500);
-        res.end('AEM_HOST not configured');
-        return;
-    }
+/**
+ * Derive the .env encryption key of a salt (PBKDF2-SHA256, cached for the server passphrase)
+ */
+function deriveEnvKey(salt, passphrase = envPassphrase) {
+    const cacheable = passphrase === envPassphrase;
+    if (cacheable && envKeyCache.has(salt)) return envKeyCache.get(salt);
 
-    // Build thumbnail URL
-    const assetApiPath = assetPath.replace('/content/dam', '');
-    const thumbnailUrl = `${aemHost}/api/assets${assetApiPath}/renditions/cq5dam.thumbnail.140.100.png`;
+    const key = crypto.pbkdf2Sync(passphrase, Buffer.from(salt, 'base64'), ENV_KDF_ITERATIONS, 32, 'sha256');
+    if (cacheable) envKeyCache.set(salt, key);
+    return key;
+}
 
-    console.log(`[Thumbnail Proxy] Fetching: ${thumbnailUrl}`);
+/**
+ * Encrypt a .env value (enc:<iv>:<ciphertext + GCM tag>, base64)
+ */
+function encryptEnvValue(value, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final(), cipher.getAuthTag()]);
+    return `enc:${iv.toString('base64')}:${data.toString('base64')}`;
+}
 
-    const parsedUrl = new URL(thumbnailUrl);
+/**
+ * Decrypt a value written by encryptEnvValue (throws with the wrong key)
+ */
+function decryptEnvValue(value, key) {
+    const [, iv, data] = value.split(':');
+    const buffer = Buffer.from(data || '', 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv || '', 'base64'));
+    decipher.setAuthTag(buffer.subarray(buffer.length - 16));
+    return Buffer.concat([decipher.update(buffer.subarray(0, buffer.length - 16)), decipher.final()]).toString('utf8');
+}
 
-    const options = {
-        hostname: parsedUrl.hostname,
-        port: 443,
-        path: parsedUrl.pathname,
-        method: 'GET',
-        headers: {}
-    };
+/**
+ * Check if a parsed .env has encrypted secrets
+ */
+function isEncryptedEnv(env) {
+    return Boolean(env.ENV_ENCRYPTION_SALT);
+}
 
-    if (accessToken) {
-        options.headers['Authorization'] = `Bearer ${accessToken}`;
-    }
-    if (apiKey) {
-        options.headers['x-api-key'] = apiKey;
+/**
+ * Check a passphrase against an encrypted .env
+ */
+function checkEnvPassphrase(env, passphrase) {
+    if (!passphrase) return false;
+    try {
+        const key = deriveEnvKey(env.ENV_ENCRYPTION_SALT, passphrase);
+        return decryptEnvValue(env.ENV_ENCRYPTION_CHECK || '', key) === ENV_CHECK_VALUE;
+    } catch (e) {
+        return false;
     }
+}
 
-    const proxyReq = https.request(options, (proxyRes) => {
-        // Set CORS and cache headers
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Cache-Control', 'public, max-age=3600');
-
-        if (proxyRes.statusCode !== 200) {
-            // Return a placeholder or 404
-            res.writeHead(404);
-            res.end();
-            return;
-        }
-
-        res.writeHead(200, {
-            'Content-Type': proxyRes.headers['content-type'] || 'image/png'
-        });
+/**
+ * Decrypt the secrets of a parsed .env (without the passphrase they are left empty)
+ * @returns {object} { env, locked }
+ */
+function decryptEnvConfig(env, passphrase = envPassphrase) {
+    if (!isEncryptedEnv(env)) return { env, locked: false };
 
-        proxyRes.pipe(res);
-    });
+    const unlocked = checkEnvPassphrase(env, passphrase);
+    const decrypted = { ...env };
+    delete decrypted.ENV_ENCRYPTION_SALT;
+    delete decrypted.ENV_ENCRYPTION_CHECK;
 
-    proxyReq.on('error', (err) => {
-        console.error('[Thumbnail Proxy Error]', err.message);
-        res.writeHead(502);
-        res.end('Proxy error');
+    ENCRYPTED_ENV_KEYS.forEach(name => {
+        if (!String(decrypted[name] || '').startsWith('enc:')) return;
+        decrypted[name] = unlocked ? decryptEnvValue(decrypted[name], deriveEnvKey(env.ENV_ENCRYPTION_SALT, passphrase)) : '';
     });
-
-    proxyReq.end();
+    return { env: decrypted, locked: !unlocked };
 }
 
 /**
- * Handle Update Metadata proxy
- * PUT /api/assets/{path} with {"class":"asset", "properties":{...}}
- *
- * Response codes:
- * 200 - OK - Asset updated successfully
- * 404 - NOT FOUND - Asset not found
- * 412 - PRECONDITION FAILED - Root collection not found
- * 500 - INTERNAL SERVER ERROR
+ * Encrypt the secrets of a .env config with the server passphrase
+ * @param {string} salt - Salt of the existing file (a new salt and check value are added otherwise)
  */
-function handleUpdateMetadata(req, res) {
-    if (req.method !== 'PUT') {
-        res.writeHead(405);
-        res.end(JSON.stringify({ error: 'Method not allowed. Use PUT.' }));
-        return;
+function encryptEnvConfig(config, salt = null) {
+    const encrypted = { ...config };
+    if (!salt) {
+        salt = crypto.randomBytes(16).toString('base64');
+        encrypted.ENV_ENCRYPTION_SALT = salt;
+        encrypted.ENV_ENCRYPTION_CHECK = encryptEnvValue(ENV_CHECK_VALUE, deriveEnvKey(salt));
     }
 
-    let body = '';
-    req.on('data', chunk => {
-        body += chunk.toString();
+    const key = deriveEnvKey(salt);
+    ENCRYPTED_ENV_KEYS.forEach(name => {
+        if (encrypted[name]) encrypted[name] = encryptEnvValue(encrypted[name], key);
     });
+    return encrypted;
+}
 
-    req.on('end', () => {
-        try {
-            const { aemHost, assetPath, authorization, apiKey, metadata } = JSON.parse(body);
+/**
+ * Set or clear the server passphrase (cached keys and tokens are dropped)
+ */
+function setEnvPassphrase(passphrase) {
+    envPassphrase = passphrase || null;
+    envKeyCache.clear();
+    invalidateServerToken();
+    serverToken.fingerprint = null;
+}
 
-            if (!aemHost || !assetPath || !metadata) {
-                res.writeHead(400);
-                res.end(JSON.stringify({ error: 'Missing required fields: aemHost, assetPath, metadata' }));
-                return;
-            }
+/**
+ * Re-write every profile's .env with a new passphrase (null = plain text)
+ * All files are read and checked before anything is written
+ * @returns {number} Number of files written
+ */
+function rewriteEnvFiles(passphrase, newPassphrase) {
+    const files = listEnvProfiles().map(profile => {
+        const filePath = getEnvFilePath(profile);
+        const env = parseEnvFile(fs.readFileSync(filePath, 'utf8'));
+        if (isEncryptedEnv(env) && !checkEnvPassphrase(env, passphrase)) {
+            throw new Error(`${path.basename(filePath)} is encrypted with a different passphrase`);
+        }
+        return { filePath, env: decryptEnvConfig(env, passphrase).env };
+    });
 
-            const parsedHostUrl = new URL(aemHost);
+    setEnvPassphrase(newPassphrase);
+    files.forEach(({ filePath, env }) => {
+        const values = envPassphrase
+            ? encryptEnvConfig(env)
+            : { ...env, ENV_ENCRYPTION_SALT: null, ENV_ENCRYPTION_CHECK: null };
+        saveEnvFile(filePath, values);
+    });
+    return files.length;
+}
 
-            // Step 1: Get CSRF token first
-            console.log(`[Update Metadata] Getting CSRF token from ${aemHost}`);
+/**
+ * Read the JWT private key (PRIVATE_KEY_PATH file or PRIVATE_KEY with \n escapes)
+ */
+function loadPrivateKey(env) {
+    if (env.PRIVATE_KEY_PATH) {
+        return fs.readFileSync(path.resolve(ROOT_DIR, env.PRIVATE_KEY_PATH), 'utf8');
+    }
+    return (env.PRIVATE_KEY || '').replace(/\\n/g, '\n');
+}
 
-            const csrfOptions = {
-                hostname: parsedHostUrl.hostname,
-                port: 443,
-                path: '/libs/granite/csrf/token.json',
-                method: 'GET',
-                headers: {}
-            };
+/**
+ * Check if .env holds credentials the server can mint tokens with
+ */
+function hasServerCredentials(env) {
+    if (!env.API_KEY || !env.CLIENT_SECRET) return false;
+    if ((env.CREDENTIAL_TYPE || 'oauth') === 'jwt') {
+        return Boolean(env.TECHNICAL_ACCOUNT_ID && env.IMS_ORG && (env.PRIVATE_KEY_PATH || env.PRIVATE_KEY));
+    }
+    return true;
+}
+
+/**
+ * POST a form to Adobe IMS and resolve with the parsed JSON response
+ */
+function requestIMSToken(imsEndpoint, imsPath, form) {
+    return new Promise((resolve, reject) => {
+        const body = new URLSearchParams(form).toString();
+        const imsReq = https.request({
+            hostname: imsEndpoint,
+            port: 443,
+            path: imsPath,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Content-Length': Buffer.byteLength(body)
+            }
+        }, (imsRes) => {
+            let responseBody = '';
+            imsRes.on('data', chunk => {
+                responseBody += chunk;
+            });
+            imsRes.on('end', () => {
+                let data = {};
+                try {
+                    data = JSON.parse(responseBody);
+                } catch (e) {}
+
+                if (imsRes.statusCode !== 200 || data.error || !data.access_token) {
+                    reject(new Error(`IMS ${imsPath} failed (${imsRes.statusCode}): ${data.error_description || data.error || responseBody}`));
+                    return;
+                }
+                resolve(data);
+            });
+        });
+
+        imsReq.on('error', reject);
+        imsReq.write(body);
+        imsReq.end();
+    });
+}
+
+/**
+ * Build and sign a Service Account JWT (RS256)
+ */
+function signServiceAccountJWT(env) {
+    const imsEndpoint = env.IMS_ENDPOINT || 'ims-na1.adobelogin.com';
+    const payload = {
+        exp: Math.floor(Date.now() / 1000) + (24 * 60 * 60),
+        iss: env.IMS_ORG,
+        sub: env.TECHNICAL_ACCOUNT_ID,
+        aud: `https://${imsEndpoint}/c/${env.API_KEY}`
+    };
+    (env.METASCOPES || 'ent_aem_cloud_api').split(',').map(s => s.trim()).filter(Boolean).forEach(scope => {
+        payload[`https://${imsEndpoint}/s/${scope}`] = true;
+    });
+
+    const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(payload)}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(loadPrivateKey(env), 'base64url');
+    return `${unsigned}.${signature}`;
+}
+
+/**
+ * Mint a new token with the .env credentials
+ * @returns {Promise<{accessToken, expiresAt}>}
+ */
+async function mintServerToken(env) {
+    const imsEndpoint = env.IMS_ENDPOINT || 'ims-na1.adobelogin.com';
+    if (!IMS_HOST_PATTERN.test(imsEndpoint)) {
+        throw new Error(`Invalid IMS endpoint: ${imsEndpoint}`);
+    }
+
+    if ((env.CREDENTIAL_TYPE || 'oauth') === 'jwt') {
+        const data = await requestIMSToken(imsEndpoint, '/ims/exchange/jwt', {
+            client_id: env.API_KEY,
+            client_secret: env.CLIENT_SECRET,
+            jwt_token: signServiceAccountJWT(env)
+        });
+        // JWT exchange expires_in is in milliseconds
+        return { accessToken: data.access_token, expiresAt: Date.now() + Number(data.expires_in) };
+    }
+
+    const data = await requestIMSToken(imsEndpoint, '/ims/token/v3', {
+        grant_type: 'client_credentials',
+        client_id: env.API_KEY,
+        client_secret: env.CLIENT_SECRET,
+        scope: env.SCOPES || 'openid,AdobeID,read_organizations,additional_info.projectedProductContext,ent_aem_cloud_api'
+    });
+    // OAuth expires_in is in seconds
+    return { accessToken: data.access_token, expiresAt: Date.now() + Number(data.expires_in) * 1000 };
+}
+
+/**
+ * Get a server-side access token (cached until shortly before expiry)
+ * Falls back to ACCESS_TOKEN from .env when no credentials are configured
+ * @returns {Promise<string|null>}
+ */
+function getServerAccessToken() {
+    const env = loadEnvConfig();
+
+    if (!hasServerCredentials(env)) {
+        return Promise.resolve(env.ACCESS_TOKEN || null);
+    }
+
+    // Credentials changed (e.g. Settings saved): drop the cached token
+    const fingerprint = crypto.createHash('sha256')
+        .update([env.CREDENTIAL_TYPE, env.API_KEY, env.CLIENT_SECRET, env.SCOPES, env.TECHNICAL_ACCOUNT_ID, env.IMS_ENDPOINT].join('|'))
+        .digest('hex');
+    if (fingerprint !== serverToken.fingerprint) {
+        invalidateServerToken();
+        serverToken.fingerprint = fingerprint;
+    }
+
+    if (serverToken.accessToken && Date.now() < serverToken.expiresAt - TOKEN_REFRESH_MARGIN) {
+        return Promise.resolve(serverToken.accessToken);
+    }
+
+    if (!serverToken.pending) {
+        console.log(`[Token Manager] Minting ${env.CREDENTIAL_TYPE || 'oauth'} access token`);
+        serverToken.pending = mintServerToken(env)
+            .then(({ accessToken, expiresAt }) => {
+                serverToken.accessToken = accessToken;
+                serverToken.expiresAt = expiresAt;
+                console.log(`[Token Manager] Token valid until ${new Date(expiresAt).toISOString()}`);
+                return accessToken;
+            })
+            .finally(() => {
+                serverToken.pending = null;
+            });
+    }
+    return serverToken.pending;
+}
+
+/**
+ * Forget the cached token (e.g. after AEM answered 401)
+ */
+function invalidateServerToken() {
+    serverToken.accessToken = null;
+    serverToken.expiresAt = 0;
+}
+
+/**
+ * Resolve auth headers for a proxied request
+ * Headers sent by the browser win; otherwise the server injects its own credentials,
+ * but only into requests to the profile's AEM_HOST (never to a host named by the caller)
+ * @param {string|URL} target - URL the headers will be sent to
+ * @returns {Promise<{headers: object, injected: boolean}>} Rejects with statusCode 403 for other hosts
+ */
+async function resolveAuthHeaders(authorization, apiKey, target) {
+    if (hasClientAuthorization(authorization)) {
+        const headers = { 'Authorization': authorization };
+        if (apiKey) headers['x-api-key'] = apiKey;
+        return { headers, injected: false };
+    }
+
+    const env = loadEnvConfig();
+
+    // Nothing of the server's would be sent
+    if (!hasServerCredentials(env) && !env.ACCESS_TOKEN && !env.API_KEY) {
+        return { headers: apiKey ? { 'x-api-key': apiKey } : {}, injected: false };
+    }
+
+    if (!isServerCredentialTarget(target, env)) {
+        const error = new Error(`Server credentials are only sent to AEM_HOST (${env.AEM_HOST || 'not configured'}); send an Authorization header for other hosts`);
+        error.statusCode = 403;
+        throw error;
+    }
+
+    const accessToken = await getServerAccessToken();
+    const headers = {};
+    if (accessToken) headers['Authorization'] = `Bearer ${accessToken}`;
+    if (apiKey || env.API_KEY) headers['x-api-key'] = apiKey || env.API_KEY;
+    return { headers, injected: Boolean(accessToken) };
+}
+
+function hasClientAuthorization(authorization) {
+    return Boolean(authorization) && !/^Bearer\s*(undefined|null)?$/i.test(authorization.trim());
+}
+
+/**
+ * Check that a URL is on the profile's AEM_HOST (https, same host and port)
+ */
+function isServerCredentialTarget(target, env = loadEnvConfig()) {
+    try {
+        const aemUrl = new URL(env.AEM_HOST);
+        const targetUrl = new URL(target);
+        return targetUrl.protocol === 'https:' && aemUrl.protocol === 'https:' && targetUrl.host === aemUrl.host;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Run a proxy handler with resolved auth headers
+ * (403 for a cross-site caller without its own Authorization or if server credentials would go
+ * to another host, 502 if no token could be minted)
+ */
+function withAuthHeaders(req, res, authorization, apiKey, target, callback) {
+    // Any site could otherwise make the browser act on the DAM with the server credentials
+    if (!hasClientAuthorization(authorization)) {
+        const originError = checkSameOrigin(req);
+        if (originError) {
+            console.warn(`[Token Manager] Refused server credentials: ${originError}`);
+            req.resume();
+            res.writeHead(403, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: originError }));
+            return;
+        }
+    }
 
-            if (authorization) {
-                csrfOptions.headers['Authorization'] = authorization;
+    resolveAuthHeaders(authorization, apiKey, target)
+        .then(({ headers, injected }) => callback(headers, (statusCode) => {
+            // Server token rejected: mint a new one for the next request
+            if (injected && statusCode === 401) invalidateServerToken();
+        }))
+        .catch((err) => {
+            if (err.statusCode) {
+                console.warn(`[Token Manager] Refused server credentials for ${target}`);
+            } else {
+                console.error('[Token Manager Error]', err.message);
             }
-            if (apiKey) {
-                csrfOptions.headers['x-api-key'] = apiKey;
+            if (!res.headersSent) {
+                res.writeHead(err.statusCode || 502, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: err.statusCode ? err.message : 'Server token error: ' + err.message }));
             }
+        });
+}
 
-            const csrfReq = https.request(csrfOptions, (csrfRes) => {
-                let csrfBody = '';
-                csrfRes.on('data', chunk => {
-                    csrfBody += chunk.toString();
-                });
+/**
+ * Handle server credential status (GET /api/auth/status)
+ * Never returns secrets or the token itself
+ */
+function handleAuthStatus(req, res) {
+    if (req.method !== 'GET') {
+        res.writeHead(405);
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+        return;
+    }
+
+    const env = loadEnvConfig();
+    const configured = hasServerCredentials(env);
+
+    const respond = (extra) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            configured,
+            credentialType: env.CREDENTIAL_TYPE || 'oauth',
+            aemHost: env.AEM_HOST || '',
+            ...extra
+        }));
+    };
+
+    if (!configured) {
+        respond({ tokenAvailable: Boolean(env.ACCESS_TOKEN) });
+        return;
+    }
+
+    getServerAccessToken()
+        .then(() => respond({ tokenAvailable: true, expiresAt: new Date(serverToken.expiresAt).toISOString() }))
+        .catch((err) => respond({ tokenAvailable: false, error: err.message }));
+}
+
+/**
+ * Handle download to server (saves file to server's download directory)
+ */
+function handleDownloadToServer(req, res) {
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk.toString();
+    });
+
+    req.on('end', () => {
+        try {
+            const params = JSON.parse(body);
+            const { assetPath, downloadPath, authorization, apiKey, rendition } = params;
+            const aemHost = params.aemHost || loadEnvConfig().AEM_HOST;
 
-                csrfRes.on('end', () => {
-                    let csrfToken = '';
+            if (!assetPath || !aemHost) {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Missing required parameters: assetPath, aemHost' }));
+                return;
+            }
+
+            const filename = sanitizeDownloadFilename(assetPath.split('/').pop());
+
+            // Save directory inside DOWNLOAD_ROOT (created if it doesn't exist)
+            const saveDir = resolveDownloadDir(downloadPath);
+            if (!saveDir) {
+                sendDownloadPathError(res, downloadPath);
+                return;
+            }
+
+            const savePath = path.join(saveDir, filename);
 
-                    if (csrfRes.statusCode === 200) {
-                        try {
-                            const csrfData = JSON.parse(csrfBody);
-                            csrfToken = csrfData.token;
-                            console.log(`[Update Metadata] Got CSRF token: ${csrfToken.substring(0, 20)}...`);
-                        } catch (e) {
-                            console.log(`[Update Metadata] Failed to parse CSRF token, continuing without it`);
+            guardAemHost(req, res, '/api/download-to-server', aemHost, () => {
+                withAuthHeaders(req, res, authorization, apiKey, aemHost, (authHeaders, onStatus) => {
+                    downloadAssetToFile(aemHost, assetPath, rendition, authHeaders, onStatus, savePath, (err, result) => {
+                        if (err) {
+                            res.writeHead(err.statusCode, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({ error: err.message, statusCode: err.statusCode }));
+                            return;
                         }
-                    } else {
-                        console.log(`[Update Metadata] CSRF token request returned ${csrfRes.statusCode}, continuing without it`);
-                    }
 
-                    // Step 2: Now update the metadata
-                    updateAssetMetadata(aemHost, assetPath, authorization, apiKey, metadata, csrfToken, res);
+                        res.writeHead(200, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({
+                            success: true,
+                            filename: filename,
+                            path: savePath,
+                            size: result.size,
+                            contentType: result.contentType
+                        }));
+                    });
                 });
             });
 
-            csrfReq.on('error', (err) => {
-                console.error('[Update Metadata] CSRF token error:', err.message);
-                // Continue without CSRF token
-                updateAssetMetadata(aemHost, assetPath, authorization, apiKey, metadata, '', res);
-            });
+        } catch (e) {
+            console.error('[Download to Server Error]', e.message);
+            res.writeHead(400);
+            res.end(JSON.stringify({ error: 'Invalid request: ' + e.message }));
+        }
+    });
+}
+
+/**
+ * Handle batch download to server (POST /api/download-to-server/batch)
+ * Downloads a list of assets and/or a DAM folder, mirroring the /content/dam hierarchy
+ * below the download path, and returns a manifest entry per file
+ */
+function handleBatchDownloadToServer(req, res) {
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk.toString();
+    });
+
+    req.on('end', () => {
+        let params;
+        try {
+            params = JSON.parse(body);
+        } catch (e) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ error: 'Invalid JSON: ' + e.message }));
+            return;
+        }
+
+        const { folderPath, downloadPath, authorization, apiKey, rendition } = params;
+        const assetPaths = params.assetPaths || [];
+        const conflict = params.conflict || 'skip';
+        const recursive = params.recursive !== false;
+        const aemHost = params.aemHost || loadEnvConfig().AEM_HOST;
 
-            csrfReq.end();
+        const error = validateBatchDownload(aemHost, assetPaths, folderPath, conflict);
+        if (error) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ error }));
+            return;
+        }
 
+        let saveDir;
+        try {
+            saveDir = resolveDownloadDir(downloadPath);
         } catch (e) {
-            console.error('[Update Metadata Error]', e.message);
+            // e.g. the path names an existing file
             res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Invalid request: ' + e.message }));
+            res.end(JSON.stringify({ error: `Cannot use download path ${downloadPath}: ${e.message}` }));
+            return;
+        }
+        if (!saveDir) {
+            sendDownloadPathError(res, downloadPath);
+            return;
+        }
+
+        guardAemHost(req, res, '/api/download-to-server/batch', aemHost, () => {
+            withAuthHeaders(req, res, authorization, apiKey, aemHost, (authHeaders, onStatus) => {
+                const collect = folderPath
+                    ? (callback) => listDamFolderAssets(aemHost, folderPath, recursive, authHeaders, onStatus, () => false, callback)
+                    : (callback) => callback(null, []);
+
+                collect((err, folderAssets) => {
+                    if (err) {
+                        res.writeHead(err.statusCode, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ error: `Failed to list ${folderPath}: ${err.message}` }));
+                        return;
+                    }
+
+                    const paths = [...new Set([...assetPaths, ...folderAssets])];
+                    console.log(`[Batch Download] ${paths.length} assets to ${saveDir} (conflict: ${conflict})`);
+
+                    downloadAssetBatch(aemHost, paths, rendition, conflict, saveDir, authHeaders, onStatus, {}, (files) => {
+                        const summary = summarizeDownloadBatch(files);
+                        console.log(`[Batch Download] Done: ${JSON.stringify(summary)}`);
+
+                        res.writeHead(200, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({
+                            success: summary.failed === 0,
+                            downloadPath: saveDir,
+                            conflict,
+                            summary,
+                            files
+                        }));
+                    });
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Check batch download parameters
+ * @returns {string|null} Error message
+ */
+function validateBatchDownload(aemHost, assetPaths, folderPath, conflict) {
+    if (!aemHost) {
+        return 'Missing required parameter: aemHost';
+    }
+    if (!Array.isArray(assetPaths) || (assetPaths.length === 0 && !folderPath)) {
+        return 'Provide assetPaths (array) and/or folderPath';
+    }
+    if (!assetPaths.every(isDamPath)) {
+        return `assetPaths must be asset paths below ${DAM_ROOT}`;
+    }
+    if (folderPath && !isDamPath(folderPath)) {
+        return `folderPath must be a folder below ${DAM_ROOT}`;
+    }
+    if (!DOWNLOAD_CONFLICT_POLICIES.includes(conflict)) {
+        return `conflict must be one of ${DOWNLOAD_CONFLICT_POLICIES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Count batch manifest entries by status
+ */
+function summarizeDownloadBatch(files) {
+    const count = (status) => files.filter(file => file.status === status).length;
+    return {
+        total: files.length,
+        downloaded: files.length - count('skipped') - count('failed') - count('cancelled'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+        cancelled: count('cancelled')
+    };
+}
+
+/**
+ * Download assets into their mirrored DAM folders (BATCH_DOWNLOAD_CONCURRENCY at a time)
+ * @param {object} hooks - isCancelled() stops starting new downloads, onFile(entry) after each asset
+ * @param {function} callback - Called with the manifest: [{ assetPath, status, path, size, error }]
+ *   status: downloaded | overwritten | renamed | skipped | failed | cancelled
+ */
+function downloadAssetBatch(aemHost, assetPaths, rendition, conflict, saveDir, authHeaders, onStatus, hooks, callback) {
+    const files = new Array(assetPaths.length);
+    // Targets chosen by this batch (two assets can sanitize to the same name)
+    const reserved = new Set();
+    const isCancelled = hooks.isCancelled || (() => false);
+    let next = 0;
+    let active = 0;
+    let finished = false;
+
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        for (let index = 0; index < assetPaths.length; index++) {
+            if (!files[index]) files[index] = { assetPath: assetPaths[index], status: 'cancelled' };
+        }
+        callback(files);
+    };
+
+    const record = (index, entry) => {
+        files[index] = { assetPath: assetPaths[index], ...entry };
+        if (hooks.onFile) hooks.onFile(files[index]);
+        active--;
+        if (next < assetPaths.length && !isCancelled()) {
+            start();
+        } else if (active === 0) {
+            finish();
+        }
+    };
+
+    const start = () => {
+        const index = next++;
+        const assetPath = assetPaths[index];
+        active++;
+
+        // /content/dam/a/b/c.jpg -> <saveDir>/a/b/c.jpg
+        const segments = assetPath.slice(DAM_ROOT.length + 1).split('/').filter(Boolean).map(sanitizeDownloadFilename);
+        let dir;
+        try {
+            dir = resolveDownloadDir(path.join(saveDir, ...segments.slice(0, -1)));
+        } catch (e) {
+            // A file is in the way of the mirrored folder
+            record(index, { status: 'failed', error: `Cannot create folder: ${e.message}` });
+            return;
+        }
+        if (!dir) {
+            record(index, { status: 'failed', error: 'Path is outside the server download root' });
+            return;
+        }
+
+        const target = resolveDownloadConflict(path.join(dir, segments[segments.length - 1]), conflict, reserved);
+        if (!target) {
+            record(index, { status: 'skipped', path: path.join(dir, segments[segments.length - 1]) });
+            return;
+        }
+
+        downloadAssetToFile(aemHost, assetPath, rendition, authHeaders, onStatus, target.path, (err, result) => {
+            if (err) {
+                reserved.delete(target.path);
+                record(index, { status: 'failed', path: target.path, error: err.message });
+                return;
+            }
+            record(index, { status: target.status, path: target.path, size: result.size });
+        });
+    };
+
+    while (next < assetPaths.length && active < BATCH_DOWNLOAD_CONCURRENCY && !isCancelled()) {
+        start();
+    }
+    if (active === 0) {
+        finish();
+    }
+}
+
+function isDamPath(value) {
+    return typeof value === 'string' && value.startsWith(`${DAM_ROOT}/`);
+}
+
+/**
+ * Apply the conflict policy to a target file
+ * @returns {object|null} { path, status } or null to skip
+ */
+function resolveDownloadConflict(filePath, conflict, reserved) {
+    const taken = (candidate) => reserved.has(candidate) || fs.existsSync(candidate);
+    let target = { path: filePath, status: 'downloaded' };
+
+    if (taken(filePath)) {
+        if (conflict === 'skip') {
+            return null;
+        }
+        if (conflict === 'overwrite') {
+            target.status = 'overwritten';
+        } else {
+            // photo.jpg -> photo (1).jpg, photo (2).jpg, ...
+            const ext = path.extname(filePath);
+            const base = filePath.slice(0, filePath.length - ext.length);
+            let n = 1;
+            while (taken(`${base} (${n})${ext}`)) n++;
+            target = { path: `${base} (${n})${ext}`, status: 'renamed' };
+        }
+    }
+
+    reserved.add(target.path);
+    return target;
+}
+
+/**
+ * List the assets of a DAM folder with the Assets HTTP API (all pages, subfolders when recursive)
+ * @param {function} isCancelled - Checked before each page; when true, calls back with the assets so far
+ * @param {function} callback - Called with (error, assetPaths)
+ */
+function listDamFolderAssets(aemHost, folderPath, recursive, authHeaders, onStatus, isCancelled, callback) {
+    const folder = folderPath.replace(/\/+$/, '');
+    const apiPath = folder.slice(DAM_ROOT.length).split('/').map(encodeURIComponent).join('/');
+    const assets = [];
+    const folders = [];
+
+    const listPage = (offset) => {
+        if (isCancelled()) {
+            callback(null, assets);
+            return;
+        }
+
+        const endpoint = `/api/assets${apiPath}.json?limit=${DAM_LIST_PAGE_SIZE}&offset=${offset}`;
+        fetchAemJson(aemHost, endpoint, authHeaders, onStatus, (err, data) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            const entities = data.entities || [];
+            entities.forEach(entity => {
+                const name = entity.properties?.name;
+                if (!name) return;
+                if ((entity.class || []).includes('assets/folder')) {
+                    folders.push(`${folder}/${name}`);
+                } else if ((entity.class || []).includes('assets/asset')) {
+                    assets.push(`${folder}/${name}`);
+                }
+            });
+
+            const total = data.properties?.['srn:paging']?.total || 0;
+            if (entities.length > 0 && offset + entities.length < total) {
+                listPage(offset + entities.length);
+            } else {
+                listSubfolders(0);
+            }
+        });
+    };
+
+    const listSubfolders = (index) => {
+        if (!recursive || index >= folders.length || isCancelled()) {
+            callback(null, assets);
+            return;
+        }
+        listDamFolderAssets(aemHost, folders[index], true, authHeaders, onStatus, isCancelled, (err, subAssets) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            assets.push(...subAssets);
+            listSubfolders(index + 1);
+        });
+    };
+
+    listPage(0);
+}
+
+/**
+ * GET a JSON resource from AEM
+ * @param {function} callback - Called with (error, data); errors carry statusCode
+ */
+function fetchAemJson(aemHost, endpoint, authHeaders, onStatus, callback) {
+    const target = new URL(`${aemHost}${endpoint}`);
+    const options = {
+        hostname: target.hostname,
+        port: 443,
+        path: target.pathname + target.search,
+        lookup: publicAddressLookup,
+        method: 'GET',
+        headers: { 'Accept': 'application/json', ...authHeaders }
+    };
+
+    const aemReq = https.request(options, (aemRes) => {
+        const chunks = [];
+        aemRes.on('data', chunk => chunks.push(chunk));
+        aemRes.on('end', () => {
+            onStatus(aemRes.statusCode);
+            if (aemRes.statusCode !== 200) {
+                callback(downloadError(aemRes.statusCode, `AEM returned ${aemRes.statusCode}`));
+                return;
+            }
+            try {
+                callback(null, JSON.parse(Buffer.concat(chunks).toString()));
+            } catch (e) {
+                callback(downloadError(502, 'Invalid JSON from AEM'));
+            }
+        });
+    });
+
+    aemReq.on('error', (err) => callback(downloadError(502, 'AEM request error: ' + err.message)));
+    aemReq.end();
+}
+
+/**
+ * Download one asset rendition from AEM into savePath
+ * @param {function} callback - Called with (error, { size, contentType }); errors carry statusCode
+ */
+function downloadAssetToFile(aemHost, assetPath, rendition, authHeaders, onStatus, savePath, callback) {
+    requestAssetRendition(aemHost, assetPath, rendition, authHeaders, onStatus, (err, downloadRes) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        saveDownloadResponse(downloadRes, savePath, callback);
+    });
+}
+
+/**
+ * Request an asset rendition from AEM (follows one redirect)
+ * @param {function} callback - Called with (error, response); the response may have any status
+ */
+function requestAssetRendition(aemHost, assetPath, rendition, authHeaders, onStatus, callback) {
+    // Build download URL based on rendition type
+    let downloadUrl;
+    const assetApiPath = assetPath.replace(DAM_ROOT, '');
+
+    if (ASSET_RENDITION_FILES[rendition]) {
+        downloadUrl = `${aemHost}/api/assets${assetApiPath}/renditions/${ASSET_RENDITION_FILES[rendition]}`;
+    } else {
+        // Original - use content path directly for binary download
+        downloadUrl = `${aemHost}${assetPath}/jcr:content/renditions/original`;
+    }
+
+    console.log(`[Asset Download] Downloading from: ${downloadUrl}`);
+
+    const parsedUrl = new URL(downloadUrl);
+    const options = {
+        hostname: parsedUrl.hostname,
+        port: 443,
+        path: parsedUrl.pathname + parsedUrl.search,
+        lookup: publicAddressLookup,
+        method: 'GET',
+        headers: { ...authHeaders }
+    };
+    const onError = (err) => {
+        console.error('[Asset Download Error]', err.message);
+        callback(downloadError(502, 'Download error: ' + err.message));
+    };
+
+    const downloadReq = https.request(options, (downloadRes) => {
+        console.log(`[Asset Download] Response status: ${downloadRes.statusCode}`);
+        onStatus(downloadRes.statusCode);
+
+        // Handle redirect
+        if (downloadRes.statusCode >= 300 && downloadRes.statusCode < 400 && downloadRes.headers.location) {
+            console.log(`[Asset Download] Redirecting to: ${downloadRes.headers.location}`);
+            downloadRes.resume();
+            // Follow redirect
+            const redirectUrl = new URL(downloadRes.headers.location, downloadUrl);
+            if (redirectUrl.protocol !== 'https:' && redirectUrl.protocol !== 'http:') {
+                callback(downloadError(502, `Unsupported redirect to ${redirectUrl.protocol}`));
+                return;
+            }
+
+            const redirectOptions = {
+                hostname: redirectUrl.hostname,
+                port: redirectUrl.port || (redirectUrl.protocol === 'https:' ? 443 : 80),
+                path: redirectUrl.pathname + redirectUrl.search,
+                lookup: publicAddressLookup,
+                method: 'GET',
+                headers: { ...authHeaders }
+            };
+            // Pre-signed blob URLs and other hosts never get the AEM credentials
+            if (redirectUrl.origin !== parsedUrl.origin) {
+                delete redirectOptions.headers['Authorization'];
+                delete redirectOptions.headers['x-api-key'];
+            }
+
+            const client = redirectUrl.protocol === 'https:' ? https : http;
+            const redirectReq = client.request(redirectOptions, (redirectRes) => callback(null, redirectRes));
+            redirectReq.on('error', onError);
+            redirectReq.end();
+            return;
+        }
+
+        callback(null, downloadRes);
+    });
+
+    downloadReq.on('error', onError);
+    downloadReq.end();
+}
+
+/**
+ * Save a download response to a file
+ * (written to a temporary .part file and renamed when complete, within the download quota)
+ * @param {function} callback - Called with (error, { size, contentType }); errors carry statusCode
+ */
+function saveDownloadResponse(downloadRes, savePath, callback) {
+    if (downloadRes.statusCode !== 200) {
+        downloadRes.resume();
+        callback(downloadError(downloadRes.statusCode, `Download failed with status ${downloadRes.statusCode}`));
+        return;
+    }
+
+    const contentLength = parseInt(downloadRes.headers['content-length'], 10) || 0;
+    const spaceError = checkDownloadSpace(path.dirname(savePath), contentLength);
+    if (spaceError) {
+        downloadRes.resume();
+        callback(downloadError(507, spaceError));
+        return;
+    }
+
+    // Random name with 'wx' so an existing file or symlink is never written through
+    const partPath = `${savePath}.${crypto.randomBytes(6).toString('hex')}.part`;
+    const fileStream = fs.createWriteStream(partPath, { flags: 'wx', mode: 0o644 });
+    // Bytes held in the quota for this file until it is renamed or removed
+    let reserved = contentLength;
+    downloadUsage.reserved += reserved;
+    let downloadedSize = 0;
+    let failed = false;
+
+    const release = () => {
+        downloadUsage.reserved -= reserved;
+        reserved = 0;
+    };
+
+    const fail = (status, message) => {
+        if (failed) return;
+        failed = true;
+        release();
+        downloadRes.unpipe(fileStream);
+        downloadRes.destroy();
+        fileStream.destroy();
+        fs.unlink(partPath, () => {});
+        console.error('[Download to Server Error]', message);
+        callback(downloadError(status, message));
+    };
+
+    downloadRes.on('data', chunk => {
+        downloadedSize += chunk.length;
+        if (downloadedSize <= reserved) return;
+
+        // Larger than announced (or no Content-Length): grow the reservation
+        const extra = downloadedSize - reserved;
+        if (DOWNLOAD_QUOTA_BYTES > 0 && getDownloadUsage() + extra > DOWNLOAD_QUOTA_BYTES) {
+            fail(507, `Download quota of ${formatBytes(DOWNLOAD_QUOTA_BYTES)} exceeded`);
+            return;
+        }
+        downloadUsage.reserved += extra;
+        reserved = downloadedSize;
+    });
+
+    downloadRes.on('aborted', () => fail(502, 'Download error: connection to AEM closed'));
+
+    downloadRes.pipe(fileStream);
+
+    fileStream.on('finish', () => {
+        if (failed) return;
+        // An overwritten file no longer counts
+        fs.lstat(savePath, (statErr, replaced) => {
+            const replacedSize = !statErr && replaced.isFile() ? replaced.size : 0;
+            fs.rename(partPath, savePath, (err) => {
+                if (err) {
+                    fail(500, 'Failed to save file: ' + err.message);
+                    return;
+                }
+                release();
+                downloadUsage.used += downloadedSize - replacedSize;
+                console.log(`[Download to Server] Saved: ${savePath} (${downloadedSize} bytes)`);
+                callback(null, { size: downloadedSize, contentType: downloadRes.headers['content-type'] });
+            });
+        });
+    });
+
+    fileStream.on('error', (err) => {
+        fail(500, 'Failed to save file: ' + err.message);
+    });
+}
+
+function downloadError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function sendDownloadPathError(res, downloadPath) {
+    console.warn(`[Download to Server] Rejected download path: ${downloadPath}`);
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Download path ${downloadPath} is outside the server download root` }));
+}
+
+/**
+ * Handle ZIP download (POST /api/download-zip)
+ * Streams the chosen renditions of a list of assets to the browser as one ZIP archive,
+ * optionally with a manifest.json of their metadata. Parameter errors are answered with
+ * 400/403 JSON before the archive starts
+ */
+function handleZipDownload(req, res) {
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk.toString();
+    });
+
+    req.on('end', () => {
+        let params;
+        try {
+            params = JSON.parse(body);
+        } catch (e) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ error: 'Invalid JSON: ' + e.message }));
+            return;
+        }
+
+        const { authorization, apiKey } = params;
+        const renditions = params.renditions || ['original'];
+        const aemHost = params.aemHost || loadEnvConfig().AEM_HOST;
+
+        const error = validateZipDownload(aemHost, params.assetPaths, renditions);
+        if (error) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ error }));
+            return;
+        }
+
+        const assetPaths = [...new Set(params.assetPaths)];
+        const filename = sanitizeDownloadFilename(params.filename || 'aem-assets.zip').replace(/(\.zip)?$/i, '.zip');
+
+        guardAemHost(req, res, '/api/download-zip', aemHost, () => {
+            withAuthHeaders(req, res, authorization, apiKey, aemHost, (authHeaders, onStatus) => {
+                console.log(`[ZIP Download] ${assetPaths.length} assets (${renditions.join(', ')}) as ${filename}`);
+                res.writeHead(200, {
+                    'Content-Type': 'application/zip',
+                    // ASCII fallback plus the UTF-8 name (RFC 6266)
+                    'Content-Disposition': `attachment; filename="${filename.replace(/[^\x20-\x7e]/g, '_')}"; ` +
+                        `filename*=UTF-8''${encodeURIComponent(filename)}`
+                });
+
+                const zip = createZipWriter(res);
+                const manifest = [];
+                // Entry names already used (two assets can sanitize to the same name)
+                const names = new Set();
+                let current = null;
+                let closed = false;
+
+                // Browser cancelled the download
+                res.on('close', () => {
+                    closed = true;
+                    if (current) current.destroy();
+                });
+
+                const addAsset = (index) => {
+                    if (closed) return;
+                    if (index >= assetPaths.length) {
+                        if (params.includeManifest) {
+                            zip.addBuffer('manifest.json', Buffer.from(JSON.stringify({
+                                created: new Date().toISOString(),
+                                aemHost,
+                                renditions,
+                                assets: manifest
+                            }, null, 2)));
+                        }
+                        zip.finish();
+                        console.log(`[ZIP Download] Finished ${filename} (${zip.size()} bytes)`);
+                        return;
+                    }
+
+                    const assetPath = assetPaths[index];
+                    const entry = { path: assetPath, files: [] };
+                    manifest.push(entry);
+
+                    const addRendition = (renditionIndex) => {
+                        if (closed) return;
+                        if (renditionIndex >= renditions.length) {
+                            addAsset(index + 1);
+                            return;
+                        }
+
+                        const rendition = renditions[renditionIndex];
+                        requestAssetRendition(aemHost, assetPath, rendition, authHeaders, onStatus, (err, downloadRes) => {
+                            if (err || downloadRes.statusCode !== 200) {
+                                if (downloadRes) downloadRes.resume();
+                                entry.files.push({ rendition, error: err ? err.message : `AEM returned ${downloadRes.statusCode}` });
+                                addRendition(renditionIndex + 1);
+                                return;
+                            }
+
+                            const name = getZipEntryName(assetPath, rendition, names);
+                            current = downloadRes;
+                            zip.addStream(name, downloadRes, (streamErr, result) => {
+                                current = null;
+                                entry.files.push({
+                                    rendition,
+                                    name,
+                                    size: result.size,
+                                    crc32: result.crc32.toString(16).padStart(8, '0'),
+                                    ...(streamErr ? { error: `Incomplete: ${streamErr.message}` } : {})
+                                });
+                                addRendition(renditionIndex + 1);
+                            });
+                        });
+                    };
+
+                    if (!params.includeManifest) {
+                        addRendition(0);
+                        return;
+                    }
+
+                    const apiPath = assetPath.slice(DAM_ROOT.length).split('/').map(encodeURIComponent).join('/');
+                    fetchAemJson(aemHost, `/api/assets${apiPath}.json`, authHeaders, onStatus, (err, data) => {
+                        if (err) {
+                            entry.metadataError = err.message;
+                        } else {
+                            entry.metadata = data.properties || {};
+                        }
+                        addRendition(0);
+                    });
+                };
+
+                addAsset(0);
+            });
+        });
+    });
+}
+
+/**
+ * Check ZIP download parameters
+ * @returns {string|null} Error message
+ */
+function validateZipDownload(aemHost, assetPaths, renditions) {
+    if (!aemHost) {
+        return 'Missing required parameter: aemHost';
+    }
+    if (!Array.isArray(assetPaths) || assetPaths.length === 0 || !assetPaths.every(isDamPath)) {
+        return `assetPaths must be a list of asset paths below ${DAM_ROOT}`;
+    }
+    const names = ['original', ...Object.keys(ASSET_RENDITION_FILES)];
+    if (!Array.isArray(renditions) || renditions.length === 0 || !renditions.every(name => names.includes(name))) {
+        return `renditions must be a list of ${names.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * ZIP entry name for an asset rendition: the DAM path below /content/dam
+ * (folder/photo.jpg, folder/photo.web.jpeg, folder/photo.thumbnail.png)
+ */
+function getZipEntryName(assetPath, rendition, names) {
+    const segments = assetPath.slice(DAM_ROOT.length + 1).split('/').filter(Boolean).map(sanitizeDownloadFilename);
+    let filename = segments.pop();
+    if (ASSET_RENDITION_FILES[rendition]) {
+        const base = filename.slice(0, filename.length - path.extname(filename).length) || filename;
+        filename = `${base}.${rendition}${path.extname(ASSET_RENDITION_FILES[rendition])}`;
+    }
+
+    const ext = path.extname(filename);
+    const base = [...segments, filename.slice(0, filename.length - ext.length)].join('/');
+    let name = `${base}${ext}`;
+    for (let n = 1; names.has(name); n++) {
+        name = `${base} (${n})${ext}`;
+    }
+    names.add(name);
+    return name;
+}
+
+/**
+ * Streaming ZIP64 writer: entries are stored (assets are mostly compressed already) and
+ * written as they arrive, with sizes and CRCs in data descriptors, so nothing is buffered
+ * or written to disk. All size and offset fields use ZIP64, so entries and archives may exceed 4 GB
+ * @param {stream.Writable} output
+ */
+function createZipWriter(output) {
+    const entries = [];
+    let offset = 0;
+
+    const write = (buffer) => {
+        offset += buffer.length;
+        return output.write(buffer);
+    };
+
+    const writeLocalHeader = (entry) => {
+        const header = Buffer.alloc(30 + entry.name.length + 20);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(ZIP_VERSION, 4);
+        header.writeUInt16LE(ZIP_FLAGS, 6);
+        header.writeUInt16LE(0, 8); // stored
+        header.writeUInt16LE(entry.time, 10);
+        header.writeUInt16LE(entry.date, 12);
+        // CRC and sizes follow in the data descriptor
+        header.writeUInt32LE(0, 14);
+        header.writeUInt32LE(0xffffffff, 18);
+        header.writeUInt32LE(0xffffffff, 22);
+        header.writeUInt16LE(entry.name.length, 26);
+        header.writeUInt16LE(20, 28);
+        entry.name.copy(header, 30);
+
+        // ZIP64 extra field (sizes are in the data descriptor)
+        const extra = 30 + entry.name.length;
+        header.writeUInt16LE(0x0001, extra);
+        header.writeUInt16LE(16, extra + 2);
+        write(header);
+    };
+
+    const writeDataDescriptor = (entry) => {
+        const descriptor = Buffer.alloc(24);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc32, 4);
+        descriptor.writeBigUInt64LE(BigInt(entry.size), 8);
+        descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+        write(descriptor);
+    };
+
+    const startEntry = (name) => {
+        const now = new Date();
+        const entry = {
+            name: Buffer.from(name, 'utf8'),
+            offset,
+            size: 0,
+            crc32: 0,
+            time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+            date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+        };
+        writeLocalHeader(entry);
+        return entry;
+    };
+
+    const endEntry = (entry) => {
+        writeDataDescriptor(entry);
+        entries.push(entry);
+    };
+
+    return {
+        /**
+         * Add an entry from a readable stream (waits for the output to drain)
+         * @param {function} callback - Called with (error, { size, crc32 }) once the entry is closed;
+         *   after a source error the entry holds the data received so far
+         */
+        addStream(name, source, callback) {
+            const entry = startEntry(name);
+            let done = false;
+
+            const finish = (err) => {
+                if (done) return;
+                done = true;
+                endEntry(entry);
+                callback(err || null, { size: entry.size, crc32: entry.crc32 });
+            };
+
+            source.on('data', (chunk) => {
+                entry.crc32 = crc32(chunk, entry.crc32);
+                entry.size += chunk.length;
+                if (!write(chunk)) {
+                    source.pause();
+                    output.once('drain', () => source.resume());
+                }
+            });
+            source.on('end', () => finish());
+            source.on('error', (err) => finish(err));
+            source.on('close', () => finish(new Error('stream closed')));
+        },
+
+        addBuffer(name, buffer) {
+            const entry = startEntry(name);
+            entry.crc32 = crc32(buffer);
+            entry.size = buffer.length;
+            write(buffer);
+            endEntry(entry);
+        },
+
+        /**
+         * Write the central directory and end records, then end the output
+         */
+        finish() {
+            const centralOffset = offset;
+            entries.forEach(entry => {
+                const header = Buffer.alloc(46 + entry.name.length + 28);
+                header.writeUInt32LE(0x02014b50, 0);
+                header.writeUInt16LE(ZIP_VERSION, 4);
+                header.writeUInt16LE(ZIP_VERSION, 6);
+                header.writeUInt16LE(ZIP_FLAGS, 8);
+                header.writeUInt16LE(0, 10);
+                header.writeUInt16LE(entry.time, 12);
+                header.writeUInt16LE(entry.date, 14);
+                header.writeUInt32LE(entry.crc32, 16);
+                header.writeUInt32LE(0xffffffff, 20);
+                header.writeUInt32LE(0xffffffff, 24);
+                header.writeUInt16LE(entry.name.length, 28);
+                header.writeUInt16LE(28, 30);
+                // Comment length, disk, internal/external attributes stay 0
+                header.writeUInt32LE(0xffffffff, 42);
+                entry.name.copy(header, 46);
+
+                const extra = 46 + entry.name.length;
+                header.writeUInt16LE(0x0001, extra);
+                header.writeUInt16LE(24, extra + 2);
+                header.writeBigUInt64LE(BigInt(entry.size), extra + 4);
+                header.writeBigUInt64LE(BigInt(entry.size), extra + 12);
+                header.writeBigUInt64LE(BigInt(entry.offset), extra + 20);
+                write(header);
+            });
+
+            const centralSize = offset - centralOffset;
+            const zip64EndOffset = offset;
+            const end = Buffer.alloc(56 + 20 + 22);
+
+            // ZIP64 end of central directory record
+            end.writeUInt32LE(0x06064b50, 0);
+            end.writeBigUInt64LE(44n, 4);
+            end.writeUInt16LE(ZIP_VERSION, 12);
+            end.writeUInt16LE(ZIP_VERSION, 14);
+            end.writeBigUInt64LE(BigInt(entries.length), 24);
+            end.writeBigUInt64LE(BigInt(entries.length), 32);
+            end.writeBigUInt64LE(BigInt(centralSize), 40);
+            end.writeBigUInt64LE(BigInt(centralOffset), 48);
+
+            // ZIP64 end of central directory locator
+            end.writeUInt32LE(0x07064b50, 56);
+            end.writeBigUInt64LE(BigInt(zip64EndOffset), 64);
+            end.writeUInt32LE(1, 72);
+
+            // End of central directory record (values that don't fit point to the ZIP64 record)
+            end.writeUInt32LE(0x06054b50, 76);
+            end.writeUInt16LE(Math.min(entries.length, 0xffff), 84);
+            end.writeUInt16LE(Math.min(entries.length, 0xffff), 86);
+            end.writeUInt32LE(Math.min(centralSize, 0xffffffff), 88);
+            end.writeUInt32LE(Math.min(centralOffset, 0xffffffff), 92);
+            write(end);
+            output.end();
+        },
+
+        size() {
+            return offset;
+        }
+    };
+}
+
+/**
+ * CRC-32 (zlib.crc32 where available, Node.js 20.15+)
+ */
+function crc32(buffer, value = 0) {
+    if (zlib.crc32) {
+        return zlib.crc32(buffer, value);
+    }
+
+    let crc = value ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Resolve a requested download directory inside DOWNLOAD_ROOT and create it
+ * Relative paths and absolute paths outside the root (/var/downloads) are placed below the root
+ * @returns {string|null} Absolute directory, or null if it escapes the root (.., symlinks)
+ */
+function resolveDownloadDir(downloadPath) {
+    const requested = typeof downloadPath === 'string' ? downloadPath.trim() : '';
+    if (requested.includes('\0')) {
+        return null;
+    }
+
+    const dir = path.isAbsolute(requested) && isInsideDir(path.resolve(requested), DOWNLOAD_ROOT)
+        ? path.resolve(requested)
+        : path.resolve(DOWNLOAD_ROOT, requested.replace(/^[/\\]+/, ''));
+    if (!isInsideDir(dir, DOWNLOAD_ROOT)) {
+        return null;
+    }
+
+    // Symlinks in the existing part of the path must not lead outside the root
+    fs.mkdirSync(DOWNLOAD_ROOT, { recursive: true });
+    const realRoot = fs.realpathSync(DOWNLOAD_ROOT);
+    let existing = dir;
+    while (!fs.existsSync(existing)) {
+        existing = path.dirname(existing);
+    }
+    if (!isInsideDir(fs.realpathSync(existing), realRoot)) {
+        return null;
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+function isInsideDir(target, dir) {
+    const relative = path.relative(dir, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Make an asset name safe as a file name (no separators, control or reserved characters,
+ * leading dots or device names; at most 255 bytes)
+ */
+function sanitizeDownloadFilename(name) {
+    let filename = String(name || '');
+    try {
+        filename = decodeURIComponent(filename);
+    } catch (e) {
+        // Keep names that are not URI encoded
+    }
+
+    filename = filename
+        .replace(/[\x00-\x1f\x7f<>:"/\\|?*]/g, '_')
+        .replace(/^[.\s]+/, '')
+        .replace(/[.\s]+$/, '');
+    if (RESERVED_FILENAME_PATTERN.test(filename)) {
+        filename = `_${filename}`;
+    }
+
+    // Trim the base name, keeping a short extension
+    const ext = path.extname(filename).length <= 16 ? path.extname(filename) : '';
+    while (Buffer.byteLength(filename) > 255) {
+        const base = filename.slice(0, filename.length - ext.length);
+        filename = base.slice(0, -1) + ext;
+    }
+
+    return filename || 'download';
+}
+
+/**
+ * Size of DOWNLOAD_ROOT: measured from disk once (and again when the quota runs out, at most
+ * once a minute, to pick up files removed by hand), then tracked as downloads are saved.
+ * reserved holds the bytes of downloads still in flight
+ */
+const DOWNLOAD_USAGE_RESCAN_INTERVAL = 60 * 1000;
+const downloadUsage = { used: null, reserved: 0, measuredAt: 0 };
+
+/**
+ * Bytes used and reserved in DOWNLOAD_ROOT
+ */
+function getDownloadUsage() {
+    if (downloadUsage.used === null) {
+        measureDownloadUsage();
+    }
+    return downloadUsage.used + downloadUsage.reserved;
+}
+
+function measureDownloadUsage() {
+    downloadUsage.used = getDirectorySize(DOWNLOAD_ROOT);
+    downloadUsage.measuredAt = Date.now();
+}
+
+/**
+ * Total size of the files below a directory (temporary .part files are reserved instead)
+ */
+function getDirectorySize(dir) {
+    let total = 0;
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+        return 0;
+    }
+
+    entries.forEach(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            total += getDirectorySize(entryPath);
+        } else if (entry.isFile() && !entry.name.endsWith('.part')) {
+            total += fs.statSync(entryPath).size;
+        }
+    });
+    return total;
+}
+
+/**
+ * Check the download quota and free disk space for a file of the given size
+ * @returns {string|null} Error message
+ */
+function checkDownloadSpace(dir, size) {
+    let used = getDownloadUsage();
+    if (DOWNLOAD_QUOTA_BYTES > 0 && used + size > DOWNLOAD_QUOTA_BYTES &&
+        Date.now() - downloadUsage.measuredAt > DOWNLOAD_USAGE_RESCAN_INTERVAL) {
+        measureDownloadUsage();
+        used = getDownloadUsage();
+    }
+    if (DOWNLOAD_QUOTA_BYTES > 0 && used + size > DOWNLOAD_QUOTA_BYTES) {
+        return `Download quota of ${formatBytes(DOWNLOAD_QUOTA_BYTES)} exceeded ` +
+            `(${formatBytes(used)} used, file is ${formatBytes(size)})`;
+    }
+
+    const stats = fs.statfsSync(dir);
+    if (size > stats.bavail * stats.bsize) {
+        return `Not enough disk space for ${formatBytes(size)}`;
+    }
+    return null;
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${bytes} bytes`;
+}
+
+/**
+ * Handle thumbnail proxy (proxy AEM thumbnails to avoid CORS)
+ */
+function handleThumbnailProxy(req, res, query) {
+    const assetPath = query.path;
+
+    if (!assetPath) {
+        res.writeHead(400);
+        res.end('Missing path parameter');
+        return;
+    }
+
+    // AEM host from .env, auth from the server token manager
+    const aemHost = loadEnvConfig().AEM_HOST;
+
+    if (!aemHost) {
+        res.writeHead(500);
+        res.end('AEM_HOST not configured');
+        return;
+    }
+
+    // Build thumbnail URL
+    const assetApiPath = assetPath.replace('/content/dam', '');
+    const thumbnailUrl = `${aemHost}/api/assets${assetApiPath}/renditions/cq5dam.thumbnail.140.100.png`;
+
+    console.log(`[Thumbnail Proxy] Fetching: ${thumbnailUrl}`);
+
+    const parsedUrl = new URL(thumbnailUrl);
+
+    guardAemHost(req, res, '/api/thumbnail', aemHost, () => {
+        withAuthHeaders(req, res, null, null, aemHost, (authHeaders, onStatus) => {
+            const options = {
+                hostname: parsedUrl.hostname,
+                port: 443,
+                path: parsedUrl.pathname,
+                lookup: publicAddressLookup,
+                method: 'GET',
+                headers: { ...authHeaders }
+            };
+
+            const proxyReq = https.request(options, (proxyRes) => {
+                onStatus(proxyRes.statusCode);
+
+                // Cache headers (private: the image was fetched with the server credentials)
+                res.setHeader('Cache-Control', 'private, max-age=3600');
+
+                if (proxyRes.statusCode !== 200) {
+                    // Return a placeholder or 404
+                    res.writeHead(404);
+                    res.end();
+                    return;
+                }
+
+                res.writeHead(200, {
+                    'Content-Type': proxyRes.headers['content-type'] || 'image/png'
+                });
+
+                proxyRes.pipe(res);
+            });
+
+            proxyReq.on('error', (err) => {
+                console.error('[Thumbnail Proxy Error]', err.message);
+                res.writeHead(502);
+                res.end('Proxy error');
+            });
+
+            proxyReq.end();
+        });
+    });
+}
+
+/**
+ * Handle Update Metadata proxy
+ * PUT /api/assets/{path} with {"class":"asset", "properties":{...}}
+ *
+ * Response codes:
+ * 200 - OK - Asset updated successfully
+ * 404 - NOT FOUND - Asset not found
+ * 412 - PRECONDITION FAILED - Root collection not found
+ * 500 - INTERNAL SERVER ERROR
+ */
+function handleUpdateMetadata(req, res) {
+    if (req.method !== 'PUT') {
+        res.writeHead(405);
+        res.end(JSON.stringify({ error: 'Method not allowed. Use PUT.' }));
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk.toString();
+    });
+
+    req.on('end', () => {
+        try {
+            const params = JSON.parse(body);
+            const { assetPath, authorization, apiKey, metadata } = params;
+            const aemHost = params.aemHost || loadEnvConfig().AEM_HOST;
+
+            if (!aemHost || !assetPath || !metadata) {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Missing required fields: aemHost, assetPath, metadata' }));
+                return;
+            }
+
+            // Invalid host -> 400 below
+            new URL(aemHost);
+
+            guardAemHost(req, res, '/api/update-metadata', aemHost, () => {
+                withAuthHeaders(req, res, authorization, apiKey, aemHost, (authHeaders, onStatus) => {
+                    // Step 1: Get CSRF token first, step 2: update the metadata
+                    fetchCsrfToken(aemHost, authHeaders, (csrfToken) => {
+                        updateAssetMetadata(aemHost, assetPath, authHeaders, metadata, csrfToken, res, onStatus);
+                    });
+                });
+            });
+
+        } catch (e) {
+            console.error('[Update Metadata Error]', e.message);
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Invalid request: ' + e.message }));
+        }
+    });
+}
+
+/**
+ * Get a CSRF token for AEM write requests (calls back with '' when none could be fetched)
+ */
+function fetchCsrfToken(aemHost, authHeaders, callback) {
+    console.log(`[Update Metadata] Getting CSRF token from ${aemHost}`);
+
+    const csrfOptions = {
+        hostname: new URL(aemHost).hostname,
+        port: 443,
+        path: '/libs/granite/csrf/token.json',
+        lookup: publicAddressLookup,
+        method: 'GET',
+        headers: { ...authHeaders }
+    };
+
+    const csrfReq = https.request(csrfOptions, (csrfRes) => {
+        let csrfBody = '';
+        csrfRes.on('data', chunk => {
+            csrfBody += chunk.toString();
+        });
+
+        csrfRes.on('end', () => {
+            let csrfToken = '';
+
+            if (csrfRes.statusCode === 200) {
+                try {
+                    const csrfData = JSON.parse(csrfBody);
+                    csrfToken = csrfData.token;
+                    console.log(`[Update Metadata] Got CSRF token: ${csrfToken.substring(0, 20)}...`);
+                } catch (e) {
+                    console.log(`[Update Metadata] Failed to parse CSRF token, continuing without it`);
+                }
+            } else {
+                console.log(`[Update Metadata] CSRF token request returned ${csrfRes.statusCode}, continuing without it`);
+            }
+
+            callback(csrfToken);
+        });
+    });
+
+    csrfReq.on('error', (err) => {
+        console.error('[Update Metadata] CSRF token error:', err.message);
+        // Continue without CSRF token
+        callback('');
+    });
+
+    csrfReq.end();
+}
+
+/**
+ * Update asset metadata with optional CSRF token
+ */
+function updateAssetMetadata(aemHost, assetPath, authHeaders, metadata, csrfToken, res, onStatus) {
+    putAssetMetadata(aemHost, assetPath, authHeaders, metadata, csrfToken, onStatus, (err, result) => {
+        if (err) {
+            res.writeHead(502, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Proxy error: ' + err.message }));
+            return;
+        }
+
+        // Handle response based on status code
+        if (result.statusCode === 200) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            let parsedData = null;
+            try {
+                parsedData = result.body ? JSON.parse(result.body) : null;
+            } catch (e) {}
+            res.end(JSON.stringify({
+                success: true,
+                message: 'Metadata updated successfully',
+                data: parsedData
+            }));
+            return;
+        }
+
+        const response = {
+            error: getMetadataUpdateError(result.statusCode),
+            statusCode: result.statusCode
+        };
+        if (result.statusCode !== 404 && result.statusCode !== 412) {
+            response.response = result.body;
+        }
+        res.writeHead(result.statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+    });
+}
+
+/**
+ * PUT asset properties with the Assets HTTP API
+ * @param {string} assetPath - API path (/folder/asset.jpg, without /content/dam)
+ * @param {function} callback - Called with (error, { statusCode, body })
+ */
+function putAssetMetadata(aemHost, assetPath, authHeaders, metadata, csrfToken, onStatus, callback) {
+    const aemUrl = `${aemHost}/api/assets${assetPath}`;
+    console.log(`[Update Metadata] PUT ${aemUrl}`);
+
+    const parsedUrl = new URL(aemUrl);
+
+    // Request body as per AEM API spec
+    const requestBody = JSON.stringify({
+        class: 'asset',
+        properties: metadata
+    });
+
+    const options = {
+        hostname: parsedUrl.hostname,
+        port: 443,
+        path: parsedUrl.pathname,
+        lookup: publicAddressLookup,
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(requestBody),
+            ...authHeaders
+        }
+    };
+
+    if (csrfToken) {
+        options.headers['CSRF-Token'] = csrfToken;
+    }
+
+    console.log(`[Update Metadata] Request body: ${requestBody}`);
+    console.log(`[Update Metadata] Headers: ${JSON.stringify(Object.keys(options.headers))}`);
+
+    const proxyReq = https.request(options, (proxyRes) => {
+        let responseBody = [];
+        proxyRes.on('data', chunk => {
+            responseBody.push(chunk);
+        });
+
+        proxyRes.on('end', () => {
+            const responseData = Buffer.concat(responseBody).toString();
+            console.log(`[Update Metadata] Response: ${proxyRes.statusCode}`);
+            console.log(`[Update Metadata] Response body: ${responseData}`);
+            onStatus(proxyRes.statusCode);
+            callback(null, { statusCode: proxyRes.statusCode, body: responseData });
+        });
+    });
+
+    proxyReq.on('error', (err) => {
+        console.error('[Update Metadata Error]', err.message);
+        callback(err);
+    });
+
+    proxyReq.write(requestBody);
+    proxyReq.end();
+}
+
+/**
+ * Error message for a failed metadata update
+ */
+function getMetadataUpdateError(statusCode) {
+    if (statusCode === 404) return 'Asset not found at the provided path';
+    if (statusCode === 412) return 'Root collection cannot be found or accessed';
+    return `Update failed with status ${statusCode}`;
+}
+
+/**
+ * Background jobs
+ * jobs holds the public state (persisted to JOBS_STATE_FILE); jobControls holds what must
+ * stay in memory: the caller's credentials and the cancel flag
+ */
+const jobs = new Map();
+const jobControls = new Map();
+const jobEventStreams = new Set();
+// Stream ticket -> expiry time
+const jobStreamTickets = new Map();
+let jobsSaveTimer = null;
+
+/**
+ * Job types: prepare(params) validates and normalizes the request body,
+ * run(options, context, callback) does the work and calls back with (error, result)
+ */
+const JOB_TYPES = {
+    download: { prepare: prepareDownloadJob, run: runDownloadJob },
+    metadata: { prepare: prepareMetadataJob, run: runMetadataJob }
+};
+
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+/**
+ * Handle the jobs API
+ * GET    /api/jobs             - List jobs (without logs)
+ * POST   /api/jobs             - Queue a job: { type, ...params, aemHost, authorization, apiKey }
+ * POST   /api/jobs/stream-ticket - Ticket for the event stream ({ ticket }, valid for 12 hours)
+ * GET    /api/jobs/events      - Server-Sent Events: snapshot, job, log, removed (?ticket=)
+ * GET    /api/jobs/:id         - Job with its log
+ * POST   /api/jobs/:id/cancel  - Cancel a queued or running job
+ * DELETE /api/jobs/:id         - Remove a finished job
+ */
+function handleJobsApi(req, res, urlPath) {
+    const [id, action, ...rest] = urlPath.slice('/api/jobs'.length).split('/').filter(Boolean);
+
+    if (!id) {
+        if (req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jobs: [...jobs.values()].map(summarizeJob) }));
+        } else if (req.method === 'POST') {
+            handleCreateJob(req, res);
+        } else {
+            res.writeHead(405);
+            res.end(JSON.stringify({ error: 'Method not allowed' }));
+        }
+        return;
+    }
+
+    if (id === 'stream-ticket' && !action) {
+        if (req.method !== 'POST') {
+            res.writeHead(405);
+            res.end(JSON.stringify({ error: 'Method not allowed' }));
+            return;
+        }
+        const ticket = crypto.randomBytes(24).toString('hex');
+        jobStreamTickets.set(ticket, Date.now() + JOB_STREAM_TICKET_TTL);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ticket }));
+        return;
+    }
+
+    if (id === 'events' && !action) {
+        if (req.method !== 'GET') {
+            res.writeHead(405);
+            res.end(JSON.stringify({ error: 'Method not allowed' }));
+            return;
+        }
+        handleJobEvents(req, res);
+        return;
+    }
+
+    const job = jobs.get(id);
+    if (!job || rest.length > 0 || (action && action !== 'cancel')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Job not found' }));
+        return;
+    }
+
+    if (action === 'cancel') {
+        if (req.method !== 'POST') {
+            res.writeHead(405);
+            res.end(JSON.stringify({ error: 'Method not allowed' }));
+            return;
+        }
+        if (FINISHED_JOB_STATUSES.includes(job.status)) {
+            res.writeHead(409, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Job is already ${job.status}` }));
+            return;
+        }
+        cancelJob(job);
+        res.writeHead(202, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, job: summarizeJob(job) }));
+        return;
+    }
+
+    if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(job));
+    } else if (req.method === 'DELETE') {
+        if (!FINISHED_JOB_STATUSES.includes(job.status)) {
+            res.writeHead(409, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Cancel the job before removing it' }));
+            return;
+        }
+        removeJob(job);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true }));
+    } else {
+        res.writeHead(405);
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+    }
+}
+
+/**
+ * Check access to the jobs API: same rules as the .env API (jobs can run with the
+ * server credentials), except that the event stream may present a stream ticket
+ */
+function authorizeJobsApi(req, res, urlPath, query) {
+    if (urlPath === '/api/jobs/events' && query.ticket && !checkSameOrigin(req)) {
+        const now = Date.now();
+        for (const [ticket, expiresAt] of jobStreamTickets) {
+            if (expiresAt <= now) jobStreamTickets.delete(ticket);
+        }
+        if (jobStreamTickets.has(String(query.ticket))) {
+            return true;
+        }
+    }
+    return authorizeEnvApi(req, res);
+}
+
+/**
+ * Queue a job (POST /api/jobs), responds 202 with the job
+ */
+function handleCreateJob(req, res) {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk.toString();
+    });
+
+    req.on('end', () => {
+        let params;
+        try {
+            params = JSON.parse(body);
+        } catch (e) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ error: 'Invalid JSON: ' + e.message }));
+            return;
+        }
+
+        const jobType = JOB_TYPES[params.type];
+        if (!jobType) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ error: `type must be one of ${Object.keys(JOB_TYPES).join(', ')}` }));
+            return;
+        }
+
+        const queued = [...jobs.values()].filter(job => job.status === 'queued').length;
+        if (queued >= JOB_QUEUE_LIMIT) {
+            res.writeHead(429, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Too many queued jobs (${JOB_QUEUE_LIMIT}), try again later` }));
+            return;
+        }
+
+        const aemHost = params.aemHost || loadEnvConfig().AEM_HOST;
+        if (!aemHost || !/^https:\/\/[^/]+\/?$/i.test(aemHost)) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ error: 'aemHost must be an https URL without a path' }));
+            return;
+        }
+
+        // Jobs without a browser token run with the server credentials: AEM_HOST only
+        if (!hasClientAuthorization(params.authorization) && !isServerCredentialTarget(aemHost)) {
+            res.writeHead(403, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Server credentials are only sent to AEM_HOST; send an Authorization header for other hosts' }));
+            return;
+        }
+
+        guardAemHost(req, res, '/api/jobs', aemHost, () => {
+            const prepared = jobType.prepare({ ...params, aemHost: aemHost.replace(/\/$/, '') });
+            if (prepared.error) {
+                res.writeHead(prepared.statusCode || 400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: prepared.error }));
+                return;
+            }
+
+            const job = createJob(params.type, prepared.title, prepared.options, {
+                authorization: params.authorization,
+                apiKey: params.apiKey
+            });
+            res.writeHead(202, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, job: summarizeJob(job) }));
+        });
+    });
+}
+
+/**
+ * Stream job changes as Server-Sent Events (GET /api/jobs/events)
+ * Starts with a snapshot of all jobs, then sends job, log and removed events
+ */
+function handleJobEvents(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    // Reconnect after 5 seconds if the connection drops
+    res.write('retry: 5000\n\n');
+    res.write(`event: snapshot\ndata: ${JSON.stringify([...jobs.values()].map(summarizeJob))}\n\n`);
+
+    jobEventStreams.add(res);
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), JOB_EVENTS_HEARTBEAT);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        jobEventStreams.delete(res);
+    });
+}
+
+/**
+ * Add a queued job and start it when a slot is free
+ * @param {object} options - Normalized parameters (persisted, no credentials)
+ * @param {object} credentials - { authorization, apiKey } (memory only)
+ */
+function createJob(type, title, options, credentials) {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        title,
+        status: 'queued',
+        params: options,
+        progress: { done: 0, total: 0 },
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null,
+        log: []
+    };
+
+    jobs.set(job.id, job);
+    jobControls.set(job.id, { credentials, cancelled: false });
+    jobLog(job, 'info', `Queued: ${title}`);
+    publishJob(job);
+    scheduleJobs();
+    return job;
+}
+
+/**
+ * Start queued jobs (oldest first) up to JOB_CONCURRENCY
+ */
+function scheduleJobs() {
+    let running = [...jobs.values()].filter(job => job.status === 'running').length;
+
+    for (const job of jobs.values()) {
+        if (running >= JOB_CONCURRENCY) break;
+        if (job.status === 'queued') {
+            running++;
+            startJob(job);
+        }
+    }
+}
+
+function startJob(job) {
+    const control = jobControls.get(job.id);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    jobLog(job, 'info', 'Started');
+    publishJob(job);
+
+    resolveAuthHeaders(control.credentials.authorization, control.credentials.apiKey, job.params.aemHost)
+        .then(({ headers, injected }) => {
+            const context = {
+                authHeaders: headers,
+                onStatus: (statusCode) => {
+                    // Server token rejected: mint a new one for the next request
+                    if (injected && statusCode === 401) invalidateServerToken();
+                },
+                isCancelled: () => control.cancelled,
+                log: (level, message) => jobLog(job, level, message),
+                progress: (done, total) => {
+                    job.progress = { done, total };
+                    publishJob(job);
+                }
+            };
+
+            JOB_TYPES[job.type].run(job.params, context, (err, result) => {
+                if (err) {
+                    finishJob(job, 'failed', result, err.message);
+                } else {
+                    finishJob(job, control.cancelled ? 'cancelled' : 'completed', result);
+                }
+            });
+        })
+        .catch((err) => finishJob(job, 'failed', null, err.statusCode ? err.message : 'Server token error: ' + err.message));
+}
+
+/**
+ * Cancel a job: queued jobs stop at once, running jobs finish the items already in flight
+ */
+function cancelJob(job) {
+    if (job.status === 'queued') {
+        finishJob(job, 'cancelled');
+        return;
+    }
+
+    const control = jobControls.get(job.id);
+    if (control && !control.cancelled) {
+        control.cancelled = true;
+        jobLog(job, 'warn', 'Cancelling after the items in progress');
+    }
+}
+
+function finishJob(job, status, result = null, error = null) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    jobControls.delete(job.id);
+
+    const level = status === 'completed' ? 'info' : status === 'cancelled' ? 'warn' : 'error';
+    jobLog(job, level, error ? `${status}: ${error}` : status.charAt(0).toUpperCase() + status.slice(1));
+    publishJob(job);
+    pruneJobs();
+    scheduleJobs();
+}
+
+function removeJob(job) {
+    jobs.delete(job.id);
+    sendJobEvent('removed', { id: job.id });
+    saveJobs();
+}
+
+/**
+ * Drop the oldest finished jobs beyond JOB_HISTORY_LIMIT
+ */
+function pruneJobs() {
+    const finished = [...jobs.values()].filter(job => FINISHED_JOB_STATUSES.includes(job.status));
+    finished.slice(0, Math.max(0, finished.length - JOB_HISTORY_LIMIT)).forEach(removeJob);
+}
+
+function jobLog(job, level, message) {
+    const entry = { time: new Date().toISOString(), level, message };
+    job.log.push(entry);
+    if (job.log.length > JOB_LOG_LIMIT) {
+        job.log.splice(0, job.log.length - JOB_LOG_LIMIT);
+    }
+
+    console.log(`[Job ${job.id.slice(0, 8)}] ${message}`);
+    sendJobEvent('log', { id: job.id, entry });
+    saveJobs();
+}
+
+function publishJob(job) {
+    sendJobEvent('job', summarizeJob(job));
+    saveJobs();
+}
+
+/**
+ * Job without its log (the log is sent line by line)
+ */
+function summarizeJob(job) {
+    const { log, ...summary } = job;
+    return { ...summary, logSize: log.length };
+}
+
+function sendJobEvent(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    jobEventStreams.forEach(stream => stream.write(message));
+}
+
+/**
+ * Write the job state file (batched, atomic rename)
+ */
+function saveJobs() {
+    if (jobsSaveTimer) return;
+
+    jobsSaveTimer = setTimeout(() => {
+        jobsSaveTimer = null;
+        const tempPath = `${JOBS_STATE_FILE}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify({ version: 1, jobs: [...jobs.values()] }, null, 2));
+            fs.renameSync(tempPath, JOBS_STATE_FILE);
+        } catch (e) {
+            console.error('[Jobs] Failed to save job state:', e.message);
+        }
+    }, 500);
+}
+
+/**
+ * Load the job state file on startup
+ * Credentials are never persisted, so jobs cut off by a restart are marked interrupted
+ */
+function loadJobs() {
+    if (!fs.existsSync(JOBS_STATE_FILE)) return;
+
+    try {
+        const state = JSON.parse(fs.readFileSync(JOBS_STATE_FILE, 'utf-8'));
+        (state.jobs || []).forEach((job) => {
+            jobs.set(job.id, job);
+            if (!FINISHED_JOB_STATUSES.includes(job.status)) {
+                job.status = 'interrupted';
+                job.finishedAt = new Date().toISOString();
+                jobLog(job, 'error', 'Interrupted: the server stopped before the job finished');
+            }
+        });
+        pruneJobs();
+        console.log(`[Jobs] Loaded ${jobs.size} jobs from ${JOBS_STATE_FILE}`);
+    } catch (e) {
+        console.error('[Jobs] Failed to load job state:', e.message);
+    }
+}
+
+/**
+ * Download job: same parameters as POST /api/download-to-server/batch
+ */
+function prepareDownloadJob(params) {
+    const assetPaths = params.assetPaths || [];
+    const conflict = params.conflict || 'skip';
+
+    const error = validateBatchDownload(params.aemHost, assetPaths, params.folderPath, conflict);
+    if (error) {
+        return { error };
+    }
+
+    let saveDir;
+    try {
+        saveDir = resolveDownloadDir(params.downloadPath);
+    } catch (e) {
+        // e.g. the path names an existing file
+        return { error: `Cannot use download path ${params.downloadPath}: ${e.message}` };
+    }
+    if (!saveDir) {
+        console.warn(`[Download to Server] Rejected download path: ${params.downloadPath}`);
+        return { error: `Download path ${params.downloadPath} is outside the server download root`, statusCode: 403 };
+    }
+
+    const recursive = params.recursive !== false;
+    const parts = [];
+    if (params.folderPath) parts.push(`${params.folderPath}${recursive ? ' (recursive)' : ''}`);
+    if (assetPaths.length > 0) parts.push(`${assetPaths.length} asset${assetPaths.length === 1 ? '' : 's'}`);
+
+    return {
+        title: `Download ${parts.join(' + ')}`,
+        options: {
+            aemHost: params.aemHost,
+            assetPaths,
+            folderPath: params.folderPath || null,
+            recursive,
+            rendition: params.rendition || 'original',
+            conflict,
+            saveDir
+        }
+    };
+}
+
+function runDownloadJob(options, context, callback) {
+    const { aemHost, folderPath, recursive, rendition, conflict, saveDir } = options;
+
+    const collect = folderPath
+        ? (done) => {
+            context.log('info', `Listing ${folderPath}`);
+            listDamFolderAssets(aemHost, folderPath, recursive, context.authHeaders, context.onStatus, context.isCancelled, done);
+        }
+        : (done) => done(null, []);
+
+    collect((err, folderAssets) => {
+        if (err) {
+            callback(new Error(`Failed to list ${folderPath}: ${err.message}`));
+            return;
+        }
+        if (context.isCancelled()) {
+            context.log('warn', `Cancelled while listing ${folderPath} (${folderAssets.length} assets found)`);
+            callback(null, null);
+            return;
+        }
+
+        const paths = [...new Set([...options.assetPaths, ...folderAssets])];
+        context.log('info', `${paths.length} assets to ${saveDir} (conflict: ${conflict})`);
+        context.progress(0, paths.length);
+
+        let done = 0;
+        const hooks = {
+            isCancelled: context.isCancelled,
+            onFile: (file) => {
+                const detail = file.error ? ` (${file.error})` : '';
+                context.log(file.status === 'failed' ? 'error' : 'info', `${file.status}: ${file.assetPath}${detail}`);
+                context.progress(++done, paths.length);
+            }
+        };
+
+        downloadAssetBatch(aemHost, paths, rendition, conflict, saveDir, context.authHeaders, context.onStatus, hooks, (files) => {
+            const summary = summarizeDownloadBatch(files);
+            context.log(summary.failed > 0 ? 'warn' : 'info', `Summary: ${JSON.stringify(summary)}`);
+            callback(null, { downloadPath: saveDir, conflict, summary, files });
+        });
+    });
+}
+
+/**
+ * Metadata job: { assetPaths, metadata } sets the same properties on every asset,
+ * { items: [{ assetPath, metadata }] } sets different ones (DAM paths)
+ */
+function prepareMetadataJob(params) {
+    if (!Array.isArray(params.items) && !Array.isArray(params.assetPaths)) {
+        return { error: 'Provide assetPaths (array) with metadata, or items: [{ assetPath, metadata }]' };
+    }
+
+    const items = Array.isArray(params.items)
+        ? params.items
+        : params.assetPaths.map(assetPath => ({ assetPath, metadata: params.metadata }));
+    if (items.length === 0) {
+        return { error: 'No assets to update' };
+    }
+
+    const invalid = items.find(item => !item || !isDamPath(item.assetPath)
+        || !item.metadata || typeof item.metadata !== 'object' || Array.isArray(item.metadata)
+        || Object.keys(item.metadata).length === 0);
+    if (invalid) {
+        return { error: `Every item needs an asset path below ${DAM_ROOT} and a metadata object` };
+    }
+
+    return {
+        title: `Update metadata of ${items.length} asset${items.length === 1 ? '' : 's'}`,
+        options: {
+            aemHost: params.aemHost,
+            items: items.map(item => ({ assetPath: item.assetPath, metadata: item.metadata }))
         }
-    });
+    };
 }
 
 /**
- * Update asset metadata with optional CSRF token
+ * Update the assets one at a time with a single CSRF token
  */
-function updateAssetMetadata(aemHost, assetPath, authorization, apiKey, metadata, csrfToken, res) {
-    const aemUrl = `${aemHost}/api/assets${assetPath}`;
-    console.log(`[Update Metadata] PUT ${aemUrl}`);
+function runMetadataJob(options, context, callback) {
+    const { aemHost, items } = options;
+    const results = [];
+    context.progress(0, items.length);
+
+    fetchCsrfToken(aemHost, context.authHeaders, (csrfToken) => {
+        const next = () => {
+            if (results.length === items.length || context.isCancelled()) {
+                items.slice(results.length).forEach(item => results.push({ assetPath: item.assetPath, status: 'cancelled' }));
+
+                const count = (status) => results.filter(result => result.status === status).length;
+                const summary = {
+                    total: results.length,
+                    updated: count('updated'),
+                    failed: count('failed'),
+                    cancelled: count('cancelled')
+                };
+                context.log(summary.failed > 0 ? 'warn' : 'info', `Summary: ${JSON.stringify(summary)}`);
+                callback(null, { summary, items: results });
+                return;
+            }
 
-    const parsedUrl = new URL(aemUrl);
+            const item = items[results.length];
+            const apiPath = item.assetPath.slice(DAM_ROOT.length);
+
+            putAssetMetadata(aemHost, apiPath, context.authHeaders, item.metadata, csrfToken, context.onStatus, (err, response) => {
+                const result = { assetPath: item.assetPath, status: 'updated' };
+                if (err) {
+                    result.status = 'failed';
+                    result.error = 'Request error: ' + err.message;
+                } else if (response.statusCode !== 200) {
+                    result.status = 'failed';
+                    result.error = getMetadataUpdateError(response.statusCode);
+                }
 
-    // Request body as per AEM API spec
-    const requestBody = JSON.stringify({
-        class: 'asset',
-        properties: metadata
+                results.push(result);
+                context.log(result.error ? 'error' : 'info', `${result.status}: ${item.assetPath}${result.error ? ` (${result.error})` : ''}`);
+                context.progress(results.length, items.length);
+                next();
+            });
+        };
+
+        next();
     });
+}
 
-    const options = {
-        hostname: parsedUrl.hostname,
-        port: 443,
-        path: parsedUrl.pathname,
-        method: 'PUT',
-        headers: {
-            'Content-Type': 'application/json',
-            'Content-Length': Buffer.byteLength(requestBody)
-        }
-    };
+function isProtectedRoute(urlPath) {
+    return PROTECTED_API_ROUTES.some(route => urlPath === route || urlPath.startsWith(`${route}/`));
+}
 
-    if (authorization) {
-        options.headers['Authorization'] = authorization;
+/**
+ * Check access to the .env APIs (responds 401/403 when denied):
+ * requests from the app's own pages only (see checkSameOrigin), then the admin password
+ * when ENV_ADMIN_PASSWORD is set, otherwise requests from this machine addressed to localhost
+ * (a DNS name rebound to 127.0.0.1 carries its own Host header and is rejected)
+ */
+function authorizeEnvApi(req, res) {
+    const crossSite = checkSameOrigin(req);
+    if (crossSite) {
+        console.warn(`[ENV API] Denied ${req.method} ${req.url}: ${crossSite}`);
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: crossSite }));
+        return false;
     }
-    if (apiKey) {
-        options.headers['x-api-key'] = apiKey;
+
+    if (ENV_ADMIN_PASSWORD) {
+        // Compare digests so the check takes the same time for any input
+        const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+        if (crypto.timingSafeEqual(digest(req.headers['x-admin-password'] || ''), digest(ENV_ADMIN_PASSWORD))) {
+            return true;
+        }
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Admin password required', adminPassword: true }));
+        return false;
     }
-    if (csrfToken) {
-        options.headers['CSRF-Token'] = csrfToken;
+
+    const address = req.socket.remoteAddress || '';
+    if ((address === '::1' || /^(::ffff:)?127\./.test(address)) && LOCAL_HOST_HEADER_PATTERN.test(req.headers.host || '')) {
+        return true;
     }
+    console.warn(`[ENV API] Denied request from ${address}`);
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: '.env API is only available from localhost (set ENV_ADMIN_PASSWORD to allow remote access)' }));
+    return false;
+}
 
-    console.log(`[Update Metadata] Request body: ${requestBody}`);
-    console.log(`[Update Metadata] Headers: ${JSON.stringify(Object.keys(options.headers))}`);
+/**
+ * Reject requests made by other sites: a foreign Origin or Sec-Fetch-Site, and changes
+ * (anything but GET/HEAD) without the X-Requested-With header the app sends
+ * @returns {string|null} Reason when the request is not from the app's own pages
+ */
+function checkSameOrigin(req) {
+    const origin = req.headers.origin;
+    if (origin) {
+        let originHost = null;
+        try {
+            originHost = new URL(origin).host;
+        } catch (e) {}
+        if (originHost !== req.headers.host) {
+            return `Cross-origin request from ${origin} is not allowed`;
+        }
+    }
 
-    const proxyReq = https.request(options, (proxyRes) => {
-        let responseBody = [];
-        proxyRes.on('data', chunk => {
-            responseBody.push(chunk);
-        });
+    const site = req.headers['sec-fetch-site'];
+    if (site && site !== 'same-origin' && site !== 'none') {
+        return `Cross-site request (${site}) is not allowed`;
+    }
 
-        proxyRes.on('end', () => {
-            const responseData = Buffer.concat(responseBody).toString();
-            console.log(`[Update Metadata] Response: ${proxyRes.statusCode}`);
-            console.log(`[Update Metadata] Response body: ${responseData}`);
+    if (req.method !== 'GET' && req.method !== 'HEAD' && req.headers['x-requested-with'] !== APP_REQUEST_HEADER_VALUE) {
+        return `Missing X-Requested-With: ${APP_REQUEST_HEADER_VALUE} header`;
+    }
+    return null;
+}
 
-            // Handle response based on status code
-            if (proxyRes.statusCode === 200) {
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                let parsedData = null;
-                try {
-                    parsedData = responseData ? JSON.parse(responseData) : null;
-                } catch (e) {}
-                res.end(JSON.stringify({
-                    success: true,
-                    message: 'Metadata updated successfully',
-                    data: parsedData
-                }));
-            } else if (proxyRes.statusCode === 404) {
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    error: 'Asset not found at the provided path',
-                    statusCode: 404
-                }));
-            } else if (proxyRes.statusCode === 412) {
-                res.writeHead(412, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    error: 'Root collection cannot be found or accessed',
-                    statusCode: 412
-                }));
-            } else {
-                res.writeHead(proxyRes.statusCode, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    error: `Update failed with status ${proxyRes.statusCode}`,
-                    statusCode: proxyRes.statusCode,
-                    response: responseData
-                }));
-            }
-        });
-    });
+/**
+ * Mask a secret (keeps the last 4 characters of long values)
+ */
+function maskSecret(value) {
+    if (!value) return '';
+    return MASKED_SECRET_PREFIX + (value.length > 12 ? value.slice(-4) : '');
+}
 
-    proxyReq.on('error', (err) => {
-        console.error('[Update Metadata Error]', err.message);
-        res.writeHead(502, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Proxy error: ' + err.message }));
-    });
+/**
+ * Validate a .env config posted by the browser against ENV_SCHEMA
+ * @returns {string[]} Errors (empty if valid)
+ */
+function validateEnvConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['Body must be a JSON object'];
+    }
 
-    proxyReq.write(requestBody);
-    proxyReq.end();
+    const errors = [];
+    for (const [key, value] of Object.entries(config)) {
+        if (!ENV_SCHEMA[key]) {
+            errors.push(`${key}: unknown key`);
+        } else if (typeof value !== 'string') {
+            errors.push(`${key}: must be a string`);
+        } else if (/[\r\n]/.test(value) && !ENV_MULTILINE_KEYS.includes(key)) {
+            errors.push(`${key}: must be a single line`);
+        } else if (value.length > ENV_VALUE_MAX_LENGTH) {
+            errors.push(`${key}: longer than ${ENV_VALUE_MAX_LENGTH} characters`);
+        } else if (!value.startsWith(MASKED_SECRET_PREFIX) && !ENV_SCHEMA[key].test(value)) {
+            errors.push(`${key}: invalid value`);
+        }
+    }
+    return errors;
 }
 
 /**
  * Handle ENV file API (read/write .env file)
+ * ?profile=<name> selects .env.<name> (default: the active profile)
+ * GET returns secrets masked unless ?reveal=1; POST keeps secrets sent back masked
  */
-function handleEnvApi(req, res) {
+function handleEnvApi(req, res, query = {}) {
+    const profile = query.profile || activeProfile;
+    if (!isValidProfileName(profile)) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: `Invalid profile name: ${profile}` }));
+        return;
+    }
+    const envFilePath = getEnvFilePath(profile);
+
     if (req.method === 'GET') {
         // Read .env file
-        fs.readFile(ENV_FILE_PATH, 'utf8', (err, data) => {
+        fs.readFile(envFilePath, 'utf8', (err, data) => {
             if (err) {
                 if (err.code === 'ENOENT') {
                     // File doesn't exist, return empty config
@@ -856,10 +3481,19 @@ function handleEnvApi(req, res) {
                 return;
             }
 
-            // Parse .env file
-            const config = parseEnvFile(data);
+            // Parse .env file (secrets are decrypted, or empty while locked)
+            const parsed = parseEnvFile(data);
+            const { env: config, locked } = decryptEnvConfig(parsed);
+            const reveal = query.reveal === '1' || query.reveal === 'true';
+            if (reveal) {
+                console.log(`[ENV API] Secrets of ${path.basename(envFilePath)} revealed`);
+            } else {
+                ENCRYPTED_ENV_KEYS.forEach(key => {
+                    if (config[key]) config[key] = maskSecret(config[key]);
+                });
+            }
             res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ exists: true, config }));
+            res.end(JSON.stringify({ exists: true, config, encrypted: isEncryptedEnv(parsed), locked }));
         });
     } else if (req.method === 'POST') {
         // Write .env file
@@ -869,24 +3503,61 @@ function handleEnvApi(req, res) {
         });
 
         req.on('end', () => {
+            let config;
+            try {
+                config = JSON.parse(body);
+            } catch (e) {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Invalid JSON' }));
+                return;
+            }
+
             try {
-                const config = JSON.parse(body);
-                const envContent = generateEnvFile(config);
+                const errors = validateEnvConfig(config);
+                if (errors.length > 0) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: `Invalid .env values: ${errors.join('; ')}`, errors }));
+                    return;
+                }
 
-                fs.writeFile(ENV_FILE_PATH, envContent, 'utf8', (err) => {
-                    if (err) {
-                        res.writeHead(500);
-                        res.end(JSON.stringify({ error: 'Failed to write .env file' }));
-                        return;
+                // Overwriting an encrypted .env while locked would drop its secrets
+                const existing = fs.existsSync(envFilePath) ? parseEnvFile(fs.readFileSync(envFilePath, 'utf8')) : {};
+                const { env: current, locked } = decryptEnvConfig(existing);
+                if (locked) {
+                    res.writeHead(423, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: `${path.basename(envFilePath)} is encrypted, unlock it with the passphrase first`, locked: true }));
+                    return;
+                }
+
+                // Secrets sent back masked are unchanged
+                ENCRYPTED_ENV_KEYS.forEach(key => {
+                    if (String(config[key] || '').startsWith(MASKED_SECRET_PREFIX)) {
+                        config[key] = current[key] || '';
                     }
+                });
 
-                    console.log('[ENV API] .env file saved');
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: true }));
+                // Only changed keys are written
+                const values = {};
+                Object.keys(config).forEach(key => {
+                    if (config[key] !== (current[key] || '')) values[key] = config[key];
                 });
+
+                // First write with a passphrase: encrypt the secrets already in the file too
+                if (envPassphrase && !isEncryptedEnv(existing)) {
+                    ENCRYPTED_ENV_KEYS.forEach(key => {
+                        if (current[key] && !(key in values)) values[key] = current[key];
+                    });
+                }
+
+                saveEnvFile(envFilePath, envPassphrase ? encryptEnvConfig(values, existing.ENV_ENCRYPTION_SALT) : values);
+
+                console.log(`[ENV API] ${path.basename(envFilePath)} saved (${Object.keys(values).length} changed)`);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true }));
             } catch (e) {
-                res.writeHead(400);
-                res.end(JSON.stringify({ error: 'Invalid JSON' }));
+                console.error('[ENV API]', e.message);
+                res.writeHead(500);
+                res.end(JSON.stringify({ error: 'Failed to write .env file' }));
             }
         });
     } else {
@@ -896,88 +3567,359 @@ function handleEnvApi(req, res) {
 }
 
 /**
- * Parse .env file content to object
- * Supports multiline values (lines starting with whitespace are continuations)
+ * Handle environment profiles API
+ * GET: list profiles with a .env file, POST {active}: switch the server's active
+ * profile (used for server-side credentials), DELETE ?profile=: remove .env.<profile>
  */
-function parseEnvFile(content) {
-    const config = {};
-    const lines = content.split('\n');
-    let currentKey = null;
-    let currentValue = '';
-
-    for (const line of lines) {
-        // Check if this is a continuation line (starts with whitespace and we have a current key)
-        if (currentKey && line.match(/^\s+\S/)) {
-            // This is a continuation of the previous value
-            currentValue += line.trim();
-            continue;
+function handleProfilesApi(req, res, query = {}) {
+    if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ active: activeProfile, profiles: listEnvProfiles() }));
+        return;
+    }
+
+    if (req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+        });
+
+        req.on('end', () => {
+            let active;
+            try {
+                active = JSON.parse(body).active;
+            } catch (e) {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Invalid JSON' }));
+                return;
+            }
+
+            if (!active || !isValidProfileName(active)) {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: `Invalid profile name: ${active}` }));
+                return;
+            }
+
+            if (active !== activeProfile) {
+                activeProfile = active;
+                invalidateServerToken();
+                console.log(`[Profiles] Active profile: ${activeProfile}`);
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, active: activeProfile, exists: fs.existsSync(getEnvFilePath()) }));
+        });
+        return;
+    }
+
+    if (req.method === 'DELETE') {
+        const profile = query.profile;
+        if (!profile || !isValidProfileName(profile) || profile === DEFAULT_PROFILE || profile === activeProfile) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ error: 'Cannot delete the default or the active profile' }));
+            return;
+        }
+
+        fs.unlink(getEnvFilePath(profile), (err) => {
+            if (err && err.code !== 'ENOENT') {
+                res.writeHead(500);
+                res.end(JSON.stringify({ error: `Failed to delete .env.${profile}` }));
+                return;
+            }
+            console.log(`[Profiles] Deleted .env.${profile}`);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true }));
+        });
+        return;
+    }
+
+    res.writeHead(405);
+    res.end(JSON.stringify({ error: 'Method not allowed' }));
+}
+
+/**
+ * Handle .env encryption API
+ * GET: { encrypted, unlocked } of the active profile's .env
+ * POST { action, passphrase, newPassphrase }:
+ *   unlock / lock the server, enable (encrypt all .env files), rekey, disable (plain text again)
+ */
+function handleVaultApi(req, res) {
+    const readActiveEnv = () => {
+        const envFilePath = getEnvFilePath();
+        return fs.existsSync(envFilePath) ? parseEnvFile(fs.readFileSync(envFilePath, 'utf8')) : {};
+    };
+    const respond = (statusCode, data) => {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    };
+
+    if (req.method === 'GET') {
+        const env = readActiveEnv();
+        respond(200, {
+            encrypted: isEncryptedEnv(env),
+            unlocked: Boolean(envPassphrase) && !decryptEnvConfig(env).locked
+        });
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        respond(405, { error: 'Method not allowed' });
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk.toString();
+    });
+
+    req.on('end', () => {
+        let request;
+        try {
+            request = JSON.parse(body);
+        } catch (e) {
+            respond(400, { error: 'Invalid JSON' });
+            return;
+        }
+
+        const { action, passphrase, newPassphrase } = request;
+        const requireLength = (value) => typeof value === 'string' && value.length >= 8;
+
+        try {
+            if (action === 'unlock') {
+                const env = readActiveEnv();
+                if (isEncryptedEnv(env) ? !checkEnvPassphrase(env, passphrase) : !requireLength(passphrase)) {
+                    respond(401, { error: 'Wrong passphrase' });
+                    return;
+                }
+                setEnvPassphrase(passphrase);
+            } else if (action === 'lock') {
+                setEnvPassphrase(null);
+            } else if (action === 'enable') {
+                if (!requireLength(passphrase)) {
+                    respond(400, { error: 'Passphrase must be at least 8 characters' });
+                    return;
+                }
+                rewriteEnvFiles(passphrase, passphrase);
+            } else if (action === 'rekey') {
+                if (!requireLength(newPassphrase)) {
+                    respond(400, { error: 'New passphrase must be at least 8 characters' });
+                    return;
+                }
+                rewriteEnvFiles(passphrase, newPassphrase);
+            } else if (action === 'disable') {
+                rewriteEnvFiles(passphrase, null);
+            } else {
+                respond(400, { error: `Unknown action: ${action}` });
+                return;
+            }
+        } catch (e) {
+            console.error('[Vault]', e.message);
+            respond(409, { error: e.message });
+            return;
         }
 
-        // Save previous key-value if exists
-        if (currentKey) {
-            config[currentKey] = currentValue;
-            currentKey = null;
-            currentValue = '';
+        console.log(`[Vault] ${action}`);
+        respond(200, { success: true, unlocked: Boolean(envPassphrase) });
+    });
+}
+
+/**
+ * Parse .env content into entries that can be written back unchanged
+ * Supports "double" (with \n, \" and \\ escapes, may span lines) and 'single' quoted values,
+ * and unquoted values continued on lines starting with whitespace
+ * @returns {Array<{key, value, raw}>} key is null for comments and blank lines; raw is the original text
+ */
+function parseEnvLines(content) {
+    const lines = content.split(/\r?\n/);
+    const entries = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const start = i;
+        const match = lines[i].trim().match(/^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/);
+        if (!match || lines[i].trim().startsWith('#')) {
+            entries.push({ key: null, value: null, raw: lines[i] });
+            continue;
         }
 
-        const trimmed = line.trim();
-        // Skip empty lines and comments
-        if (!trimmed || trimmed.startsWith('#')) continue;
+        const key = match[1];
+        let value = match[2];
+        const quote = value[0];
+        let quoted = false;
+
+        if (quote === '"' || quote === "'") {
+            // Read up to the closing quote, across lines if needed
+            let text = value.slice(1);
+            let end = findClosingQuote(text, quote);
+            while (end < 0 && i + 1 < lines.length) {
+                text += '\n' + lines[++i];
+                end = findClosingQuote(text, quote);
+            }
 
-        const equalIndex = trimmed.indexOf('=');
-        if (equalIndex > 0) {
-            currentKey = trimmed.substring(0, equalIndex).trim();
-            currentValue = trimmed.substring(equalIndex + 1).trim();
+            if (end >= 0) {
+                quoted = true;
+                value = text.slice(0, end);
+                if (quote === '"') {
+                    value = value.replace(/\\(["\\n])/g, (m, c) => (c === 'n' ? '\n' : c));
+                }
+            } else {
+                // Unclosed quote: keep the line as a plain value
+                i = start;
+            }
+        }
 
-            // Remove quotes if present
-            if ((currentValue.startsWith('"') && currentValue.endsWith('"')) ||
-                (currentValue.startsWith("'") && currentValue.endsWith("'"))) {
-                currentValue = currentValue.slice(1, -1);
+        if (!quoted) {
+            // Unquoted value: lines starting with whitespace continue it
+            while (i + 1 < lines.length && /^\s+\S/.test(lines[i + 1])) {
+                value += lines[++i].trim();
             }
         }
+
+        entries.push({ key, value, raw: lines.slice(start, i + 1).join('\n') });
     }
 
-    // Save last key-value if exists
-    if (currentKey) {
-        config[currentKey] = currentValue;
+    return entries;
+}
+
+/**
+ * Index of the closing quote in text (-1 if there is none); \ escapes in double quotes
+ */
+function findClosingQuote(text, quote) {
+    for (let i = 0; i < text.length; i++) {
+        if (quote === '"' && text[i] === '\\') {
+            i++;
+        } else if (text[i] === quote) {
+            return i;
+        }
     }
+    return -1;
+}
 
+/**
+ * Parse .env file content to object
+ */
+function parseEnvFile(content) {
+    const config = {};
+    parseEnvLines(content).forEach(entry => {
+        if (entry.key) config[entry.key] = entry.value;
+    });
     return config;
 }
 
 /**
- * Generate .env file content from object
+ * Format a .env value (double-quoted when it has line breaks, quotes, # or edge whitespace)
+ */
+function formatEnvValue(value) {
+    const text = String(value);
+    if (!/[\n"'#\\]|^\s|\s$/.test(text)) return text;
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Apply values to .env content, keeping comments, order and unknown keys
+ * Only entries whose value changed are rewritten; null removes a key; new keys are appended
+ */
+function updateEnvContent(content, values) {
+    const pending = { ...values };
+    const lines = [];
+
+    parseEnvLines(content).forEach(entry => {
+        if (!entry.key || !(entry.key in pending)) {
+            lines.push(entry.raw);
+            return;
+        }
+
+        const value = pending[entry.key];
+        delete pending[entry.key];
+        if (value === null || value === undefined) return;
+        lines.push(String(value) === entry.value ? entry.raw : `${entry.key}=${formatEnvValue(value)}`);
+    });
+
+    const added = Object.entries(pending)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}=${formatEnvValue(value)}`);
+
+    // Append before the trailing blank lines
+    let end = lines.length;
+    while (end > 0 && lines[end - 1].trim() === '') end--;
+    lines.splice(end, 0, ...added);
+
+    return lines.join('\n');
+}
+
+/**
+ * Save values to a .env file: updates an existing file in place (see updateEnvContent)
+ * or creates it from the template. Written to a temp file and renamed, so readers never see
+ * a partial file; the previous file is kept as <file>.bak
+ */
+function saveEnvFile(filePath, values) {
+    const exists = fs.existsSync(filePath);
+    const content = exists ? updateEnvContent(fs.readFileSync(filePath, 'utf8'), values) : generateEnvFile(values);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.writeFileSync(tempPath, content, { encoding: 'utf8', mode: 0o600 });
+    try {
+        if (exists) {
+            // The backup holds the same (possibly plain text) secrets: owner-only like the file
+            fs.copyFileSync(filePath, `${filePath}.bak`);
+            fs.chmodSync(`${filePath}.bak`, 0o600);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (e) {
+        fs.rmSync(tempPath, { force: true });
+        throw e;
+    }
+}
+
+/**
+ * Generate .env file content from object (template for new files)
  */
 function generateEnvFile(config) {
+    const entry = (key, defaultValue = '') => `${key}=${formatEnvValue(config[key] || defaultValue)}`;
+
     const lines = [
         '# AEM Cloud Configuration',
         '# Auto-generated by AEM Asset Demo',
         '',
         '# Server Configuration',
-        `AEM_HOST=${config.AEM_HOST || ''}`,
-        `AEM_DELIVERY_URL=${config.AEM_DELIVERY_URL || ''}`,
-        `AEM_REPOSITORY_ID=${config.AEM_REPOSITORY_ID || ''}`,
+        entry('AEM_HOST'),
+        entry('AEM_DELIVERY_URL'),
+        entry('AEM_REPOSITORY_ID'),
         '',
-        '# Authentication',
-        `IMS_ORG=${config.IMS_ORG || ''}`,
-        `API_KEY=${config.API_KEY || ''}`,
-        `CLIENT_SECRET=${config.CLIENT_SECRET || ''}`,
-        `TECHNICAL_ACCOUNT_ID=${config.TECHNICAL_ACCOUNT_ID || ''}`,
-        `TECHNICAL_ACCOUNT_EMAIL=${config.TECHNICAL_ACCOUNT_EMAIL || ''}`,
-        `IMS_ENDPOINT=${config.IMS_ENDPOINT || 'ims-na1.adobelogin.com'}`,
-        `METASCOPES=${config.METASCOPES || 'ent_aem_cloud_api'}`,
+        '# Authentication (CREDENTIAL_TYPE: oauth = OAuth Server-to-Server, jwt = Service Account (JWT, deprecated))',
+        entry('CREDENTIAL_TYPE', 'oauth'),
+        entry('IMS_ORG'),
+        entry('API_KEY'),
+        entry('CLIENT_SECRET'),
+        entry('SCOPES'),
+        entry('TECHNICAL_ACCOUNT_ID'),
+        entry('TECHNICAL_ACCOUNT_EMAIL'),
+        entry('IMS_ENDPOINT', 'ims-na1.adobelogin.com'),
+        entry('METASCOPES', 'ent_aem_cloud_api'),
+        '# JWT private key: PEM file (PRIVATE_KEY_PATH) or the key itself (PRIVATE_KEY, quoted multiline)',
+        entry('PRIVATE_KEY_PATH'),
+        entry('PRIVATE_KEY'),
         '',
         '# Access Token (for local testing)',
-        `ACCESS_TOKEN=${config.ACCESS_TOKEN || ''}`,
+        entry('ACCESS_TOKEN'),
         '',
         '# Paths',
-        `BROWSE_PATH=${config.BROWSE_PATH || '/content/dam'}`,
-        `UPLOAD_PATH=${config.UPLOAD_PATH || '/content/dam/uploads'}`,
-        `DOWNLOAD_PATH=${config.DOWNLOAD_PATH || '/var/downloads'}`,
-        `SAVE_PATH=${config.SAVE_PATH || '/content/dam/selected'}`,
+        entry('BROWSE_PATH', '/content/dam'),
+        entry('UPLOAD_PATH', '/content/dam/uploads'),
+        '# Server folder, always inside DOWNLOAD_ROOT (default ./downloads)',
+        entry('DOWNLOAD_PATH', '/var/downloads'),
+        entry('SAVE_PATH', '/content/dam/selected'),
         ''
     ];
 
+    if (config.ENV_ENCRYPTION_SALT) {
+        lines.push(
+            '# Encryption (CLIENT_SECRET / ACCESS_TOKEN / PRIVATE_KEY are AES-256-GCM encrypted with a passphrase)',
+            entry('ENV_ENCRYPTION_SALT'),
+            entry('ENV_ENCRYPTION_CHECK'),
+            ''
+        );
+    }
+
     return lines.join('\n');
 }
 
@@ -993,19 +3935,19 @@ function serveFile(filePath, res) {
             return;
         }
 
-        // Set CORS headers for development
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', '*');
-
         res.writeHead(200, { 'Content-Type': contentType });
         res.end(data);
     });
 }
 
-// Start server
-server.listen(PORT, () => {
-    console.log(`
+// Started with node (the tests require this file for its helpers)
+if (require.main === module) {
+    // Restore finished jobs from the last run
+    loadJobs();
+
+    // Start server
+    server.listen(PORT, () => {
+        console.log(`
 ╔═══════════════════════════════════════════════════════╗
 ║  AEM Asset Selector & HTTP API Demo Server            ║
 ╠═══════════════════════════════════════════════════════╣
@@ -1014,4 +3956,26 @@ server.listen(PORT, () => {
 ║  Press Ctrl+C to stop                                 ║
 ╚═══════════════════════════════════════════════════════╝
     `);
-});
+    });
+}
+
+module.exports = {
+    // .env encryption
+    parseEnvFile,
+    saveEnvFile,
+    encryptEnvConfig,
+    decryptEnvConfig,
+    checkEnvPassphrase,
+    // Proxy targets
+    checkProxyTarget,
+    findBlockedAddress,
+    isAllowedProxyHost,
+    publicAddressLookup,
+    // Download to server
+    resolveDownloadDir,
+    saveDownloadResponse,
+    getDownloadUsage,
+    // ZIP download
+    createZipWriter,
+    crc32
+};
@@ -0,0 +1,124 @@
+/**
+ * Config schema (browser script, run in a sandbox): version 1 data migrates to the current
+ * version and invalid settings are reported by field
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ window: {}, URL });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'config-schema.js'), 'utf8'), context);
+const { ConfigSchema } = context.window;
+
+// Values from the sandbox have its own prototypes: compare them as JSON
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('version 1 config is migrated', () => {
+    const { config, errors, fromVersion } = ConfigSchema.upgrade({
+        server: { host: 'author-p1-e1.adobeaemcloud.com/', deliveryUrl: 'https://delivery-p1-e1.adobeaemcloud.com' },
+        auth: { apiKey: 'client-id', technicalAccountId: 'abc@techacct.adobe.com' },
+        upload: { allowedMimeTypes: 'image/jpeg, image/png,', allowedExtensions: 'jpg,png' }
+    });
+
+    assert.strictEqual(fromVersion, 1);
+    assert.deepStrictEqual(plain(errors), []);
+    assert.strictEqual(config.version, 2);
+    assert.strictEqual(config.server.host, 'https://author-p1-e1.adobeaemcloud.com');
+    assert.strictEqual(config.server.deliveryUrl, 'https://delivery-p1-e1.adobeaemcloud.com');
+    // Version 1 only had JWT
+    assert.strictEqual(config.auth.credentialType, 'jwt');
+    assert.deepStrictEqual(plain(config.upload.allowedMimeTypes), ['image/jpeg', 'image/png']);
+    assert.deepStrictEqual(plain(config.upload.allowedExtensions), ['jpg', 'png']);
+});
+
+test('version 1 config without JWT fields becomes OAuth', () => {
+    const { config } = ConfigSchema.upgrade({ auth: { apiKey: 'client-id', clientSecret: 'secret' } });
+
+    assert.strictEqual(config.auth.credentialType, 'oauth');
+});
+
+test('migration does not change the input', () => {
+    const data = { server: { host: 'author-p1-e1.adobeaemcloud.com' } };
+    ConfigSchema.upgrade(data);
+
+    assert.deepStrictEqual(data, { server: { host: 'author-p1-e1.adobeaemcloud.com' } });
+});
+
+test('current config is only validated', () => {
+    const data = {
+        version: 2,
+        server: { host: 'https://author-p1-e1.adobeaemcloud.com' },
+        auth: { credentialType: 'oauth', apiKey: 'client-id' }
+    };
+    const { config, errors, fromVersion } = ConfigSchema.upgrade(data);
+
+    assert.strictEqual(fromVersion, 2);
+    assert.deepStrictEqual(plain(errors), []);
+    assert.deepStrictEqual(plain(config), data);
+});
+
+test('unsupported versions are refused', () => {
+    [
+        [{ version: 3 }, /newer/],
+        [{ version: 0 }, /positive integer/],
+        [{ version: '2' }, /positive integer/]
+    ].forEach(([data, message]) => {
+        const { config, errors } = ConfigSchema.upgrade(data);
+        assert.strictEqual(config, null);
+        assert.strictEqual(errors[0].field, 'version');
+        assert.match(errors[0].message, message);
+    });
+
+    assert.strictEqual(ConfigSchema.upgrade([]).config, null);
+    assert.strictEqual(ConfigSchema.upgrade(null).config, null);
+});
+
+test('invalid settings are reported by field', () => {
+    const errors = ConfigSchema.validate({
+        version: 2,
+        server: { host: 'https://evil.example.com' },
+        auth: { credentialType: 'saml', serverCredentials: 'yes' },
+        paths: { uploadPath: '/tmp/uploads' },
+        api: { timeout: 10, uploadConcurrency: 1.5 },
+        upload: { allowedExtensions: [1] },
+        extra: {}
+    });
+
+    assert.deepStrictEqual(plain(errors).map(error => error.field).sort(), [
+        'api.timeout',
+        'api.uploadConcurrency',
+        'auth.credentialType',
+        'auth.serverCredentials',
+        'extra',
+        'paths.uploadPath',
+        'server.host',
+        'upload.allowedExtensions'
+    ]);
+});
+
+test('required fields are checked only when asked', () => {
+    assert.deepStrictEqual(plain(ConfigSchema.validate({ server: {}, auth: {} })), []);
+
+    const errors = ConfigSchema.validate({ server: {}, auth: {} }, { checkRequired: true });
+    assert.deepStrictEqual(plain(errors).map(error => error.field), ['server.host', 'auth.apiKey']);
+});
+
+test('AEM URLs must be Cloud hosts over https or the local SDK', () => {
+    [
+        'https://author-p12345-e67890.adobeaemcloud.com',
+        'https://publish-p1-e2-cmstg.adobeaemcloud.com',
+        'http://localhost:4502',
+        'https://127.0.0.1:4502'
+    ].forEach(url => assert.strictEqual(ConfigSchema.checkAemUrl(url), null, url));
+
+    [
+        'author-p1-e1.adobeaemcloud.com',
+        'http://author-p1-e1.adobeaemcloud.com',
+        'https://author-p1-e1.adobeaemcloud.com/content/dam',
+        'https://author-p1-e1.adobeaemcloud.com.evil.com',
+        'ftp://localhost'
+    ].forEach(url => assert.ok(ConfigSchema.checkAemUrl(url), url));
+});
@@ -0,0 +1,175 @@
+/**
+ * Download to server: destinations stay inside DOWNLOAD_ROOT and saved, replaced, refused
+ * and failed downloads are counted against the quota correctly
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+const KB = 1024;
+const DOWNLOAD_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'aem-downloads-'));
+
+// Set before the server module reads them
+process.env.DOWNLOAD_ROOT = DOWNLOAD_ROOT;
+process.env.DOWNLOAD_QUOTA_MB = '1';
+
+const { resolveDownloadDir, saveDownloadResponse, getDownloadUsage } = require('../server/server');
+
+// Already in the root before the first measurement: the file counts, the .part file doesn't
+fs.writeFileSync(path.join(DOWNLOAD_ROOT, 'existing.bin'), Buffer.alloc(100 * KB));
+fs.writeFileSync(path.join(DOWNLOAD_ROOT, 'stale.bin.0a1b2c.part'), Buffer.alloc(300 * KB));
+
+test.after(() => fs.rmSync(DOWNLOAD_ROOT, { recursive: true, force: true }));
+
+/**
+ * Fake AEM response for saveDownloadResponse
+ * @returns {object} { res, done } - done resolves with the error (or null) and the result
+ */
+function download(savePath, { statusCode = 200, contentLength = null } = {}) {
+    const res = new PassThrough();
+    res.statusCode = statusCode;
+    res.headers = { 'content-type': 'application/octet-stream' };
+    if (contentLength !== null) res.headers['content-length'] = String(contentLength);
+
+    const done = new Promise(resolve => {
+        saveDownloadResponse(res, savePath, (err, result) => resolve({ err, result }));
+    });
+    return { res, done };
+}
+
+/**
+ * Wait for the asynchronous removal of a failed download's .part file
+ */
+async function partFiles() {
+    for (let i = 0; i < 50; i++) {
+        const parts = fs.readdirSync(DOWNLOAD_ROOT).filter(name => name.endsWith('.part') && !name.startsWith('stale'));
+        if (parts.length === 0) return parts;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return fs.readdirSync(DOWNLOAD_ROOT).filter(name => name.endsWith('.part') && !name.startsWith('stale'));
+}
+
+test('usage is measured from the files in the root', () => {
+    assert.strictEqual(getDownloadUsage(), 100 * KB);
+});
+
+test('a download is reserved while it runs and counted once saved', async () => {
+    const savePath = path.join(DOWNLOAD_ROOT, 'a.bin');
+    const { res, done } = download(savePath, { contentLength: 200 * KB });
+
+    assert.strictEqual(getDownloadUsage(), 300 * KB);
+    res.write(Buffer.alloc(100 * KB));
+    res.end(Buffer.alloc(100 * KB));
+
+    const { err, result } = await done;
+    assert.ifError(err);
+    assert.strictEqual(result.size, 200 * KB);
+    assert.strictEqual(fs.statSync(savePath).size, 200 * KB);
+    assert.strictEqual(getDownloadUsage(), 300 * KB);
+});
+
+test('an overwritten file no longer counts', async () => {
+    const { res, done } = download(path.join(DOWNLOAD_ROOT, 'a.bin'), { contentLength: 50 * KB });
+    res.end(Buffer.alloc(50 * KB));
+
+    const { err } = await done;
+    assert.ifError(err);
+    assert.strictEqual(getDownloadUsage(), 150 * KB);
+});
+
+test('a download announced larger than the quota is refused up front', async () => {
+    const savePath = path.join(DOWNLOAD_ROOT, 'big.bin');
+    const { done } = download(savePath, { contentLength: 1024 * KB });
+
+    const { err } = await done;
+    assert.strictEqual(err.statusCode, 507);
+    assert.match(err.message, /quota/);
+    assert.ok(!fs.existsSync(savePath));
+    assert.strictEqual(getDownloadUsage(), 150 * KB);
+});
+
+test('a download without Content-Length stops when it passes the quota', async () => {
+    const savePath = path.join(DOWNLOAD_ROOT, 'unknown.bin');
+    const { res, done } = download(savePath);
+
+    // 1.2 MB in total; the write that passes the quota destroys the response
+    for (let i = 0; i < 12 && !res.destroyed; i++) {
+        res.write(Buffer.alloc(100 * KB));
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const { err } = await done;
+    assert.strictEqual(err.statusCode, 507);
+    assert.ok(!fs.existsSync(savePath));
+    assert.deepStrictEqual(await partFiles(), []);
+    assert.strictEqual(getDownloadUsage(), 150 * KB);
+});
+
+test('a download larger than announced grows its reservation', async () => {
+    const savePath = path.join(DOWNLOAD_ROOT, 'grown.bin');
+    const { res, done } = download(savePath, { contentLength: 10 * KB });
+
+    res.write(Buffer.alloc(60 * KB));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(getDownloadUsage(), 210 * KB);
+    res.end();
+
+    const { err } = await done;
+    assert.ifError(err);
+    assert.strictEqual(getDownloadUsage(), 210 * KB);
+});
+
+test('a dropped connection releases the reservation', async () => {
+    const savePath = path.join(DOWNLOAD_ROOT, 'dropped.bin');
+    const { res, done } = download(savePath, { contentLength: 300 * KB });
+
+    res.write(Buffer.alloc(100 * KB));
+    await new Promise(resolve => setImmediate(resolve));
+    res.emit('aborted');
+
+    const { err } = await done;
+    assert.strictEqual(err.statusCode, 502);
+    assert.ok(!fs.existsSync(savePath));
+    assert.deepStrictEqual(await partFiles(), []);
+    assert.strictEqual(getDownloadUsage(), 210 * KB);
+});
+
+test('an AEM error status saves nothing', async () => {
+    const savePath = path.join(DOWNLOAD_ROOT, 'missing.bin');
+    const { done } = download(savePath, { statusCode: 404 });
+
+    const { err } = await done;
+    assert.strictEqual(err.statusCode, 404);
+    assert.ok(!fs.existsSync(savePath));
+    assert.strictEqual(getDownloadUsage(), 210 * KB);
+});
+
+test('download directories stay inside the root', () => {
+    assert.strictEqual(resolveDownloadDir(''), DOWNLOAD_ROOT);
+    assert.strictEqual(resolveDownloadDir('reports/2024'), path.join(DOWNLOAD_ROOT, 'reports', '2024'));
+    // Absolute paths outside the root are placed below it
+    assert.strictEqual(resolveDownloadDir('/var/downloads'), path.join(DOWNLOAD_ROOT, 'var', 'downloads'));
+    assert.strictEqual(resolveDownloadDir(path.join(DOWNLOAD_ROOT, 'inside')), path.join(DOWNLOAD_ROOT, 'inside'));
+
+    assert.strictEqual(resolveDownloadDir('../outside'), null);
+    assert.strictEqual(resolveDownloadDir('reports/../../outside'), null);
+    assert.strictEqual(resolveDownloadDir('reports\0'), null);
+});
+
+test('a symlink out of the root is refused', (t) => {
+    if (process.platform === 'win32') {
+        t.skip('symlinks need extra rights on Windows');
+        return;
+    }
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'aem-outside-'));
+    t.after(() => fs.rmSync(outside, { recursive: true, force: true }));
+    fs.symlinkSync(outside, path.join(DOWNLOAD_ROOT, 'link'));
+
+    assert.strictEqual(resolveDownloadDir('link'), null);
+    assert.strictEqual(resolveDownloadDir('link/nested'), null);
+    assert.ok(!fs.existsSync(path.join(outside, 'nested')));
+});
@@ -0,0 +1,148 @@
+/**
+ * Proxy target checks: host allowlist, https on 443, and no private or metadata addresses
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+
+// Set before the server module reads them; the profile has no .env file (no AEM_HOST)
+process.env.ENV_PROFILE = 'node-test';
+process.env.PROXY_ALLOWED_HOSTS = '*.adobeaemcloud.com';
+
+const {
+    checkProxyTarget,
+    findBlockedAddress,
+    isAllowedProxyHost,
+    publicAddressLookup
+} = require('../server/server');
+
+const AEM_URL = 'https://author-p1-e1.adobeaemcloud.com/api/assets.json';
+
+/**
+ * Make every host resolve to the given addresses
+ */
+function resolveTo(t, ...addresses) {
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+    });
+}
+
+function checkTarget(url, route = '/proxy/aem/api') {
+    return new Promise(resolve => {
+        checkProxyTarget(url, route, (err, target) => resolve({ err, target }));
+    });
+}
+
+test('private, loopback, link-local and multicast addresses are blocked', () => {
+    [
+        '0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255',
+        '192.0.0.170', '192.168.1.1', '198.18.0.1', '224.0.0.1', '255.255.255.255'
+    ].forEach(address => {
+        assert.ok(findBlockedAddress([{ address, family: 4 }]), address);
+    });
+    ['::', '::1', '64:ff9b::a9fe:a9fe', 'fd00::1', 'fe80::1', 'ff02::1'].forEach(address => {
+        assert.ok(findBlockedAddress([{ address, family: 6 }]), address);
+    });
+});
+
+test('public addresses pass', () => {
+    ['20.0.0.1', '8.8.8.8', '172.32.0.1', '192.169.0.1'].forEach(address => {
+        assert.strictEqual(findBlockedAddress([{ address, family: 4 }]), undefined, address);
+    });
+    assert.strictEqual(findBlockedAddress([{ address: '2001:4860:4860::8888', family: 6 }]), undefined);
+});
+
+test('one private address among public ones is found', () => {
+    const blocked = findBlockedAddress([
+        { address: '20.0.0.1', family: 4 },
+        { address: '10.0.0.5', family: 4 }
+    ]);
+    assert.strictEqual(blocked.address, '10.0.0.5');
+});
+
+test('hosts outside the allowlist are refused', () => {
+    assert.ok(isAllowedProxyHost('author-p1-e1.adobeaemcloud.com', '/proxy/aem/api'));
+    assert.ok(!isAllowedProxyHost('adobeaemcloud.com', '/proxy/aem/api'));
+    assert.ok(!isAllowedProxyHost('evil-adobeaemcloud.com', '/proxy/aem/api'));
+    assert.ok(!isAllowedProxyHost('adobeaemcloud.com.evil.com', '/proxy/aem/api'));
+
+    // Upload parts also go to blob storage, other routes don't
+    assert.ok(isAllowedProxyHost('store.blob.core.windows.net', '/proxy/aem/upload-chunk'));
+    assert.ok(!isAllowedProxyHost('store.blob.core.windows.net', '/proxy/aem/api'));
+});
+
+test('an allowed host resolving to a public address is accepted', async (t) => {
+    resolveTo(t, '20.0.0.1');
+
+    const { err, target } = await checkTarget(AEM_URL);
+    assert.ifError(err);
+    assert.strictEqual(target.address, '20.0.0.1');
+    assert.strictEqual(target.family, 4);
+    assert.strictEqual(target.url.hostname, 'author-p1-e1.adobeaemcloud.com');
+});
+
+test('an allowed host resolving to a private address is refused', async (t) => {
+    for (const address of ['169.254.169.254', '10.0.0.5', '::1']) {
+        resolveTo(t, '20.0.0.1', address);
+
+        const { err } = await checkTarget(AEM_URL);
+        assert.strictEqual(err.statusCode, 403, address);
+        assert.match(err.message, /private address/);
+        t.mock.restoreAll();
+    }
+});
+
+test('scheme, port and host are checked before resolving', async (t) => {
+    const lookup = t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        callback(null, [{ address: '20.0.0.1', family: 4 }]);
+    });
+
+    const cases = [
+        ['not a url', 400],
+        ['http://author-p1-e1.adobeaemcloud.com/', 403],
+        ['https://author-p1-e1.adobeaemcloud.com:8443/', 403],
+        ['https://10.0.0.5/', 403],
+        ['https://[::1]/', 403],
+        ['https://example.com/', 403]
+    ];
+    for (const [url, status] of cases) {
+        const { err } = await checkTarget(url);
+        assert.strictEqual(err && err.statusCode, status, url);
+    }
+    assert.strictEqual(lookup.mock.callCount(), 0);
+});
+
+test('an unresolvable host is a 502', async (t) => {
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        callback(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+    });
+
+    const { err } = await checkTarget(AEM_URL);
+    assert.strictEqual(err.statusCode, 502);
+});
+
+test('the connection lookup fails for private addresses', async (t) => {
+    resolveTo(t, '169.254.169.254');
+
+    const err = await new Promise(resolve => {
+        publicAddressLookup('author-p1-e1.adobeaemcloud.com', {}, err => resolve(err));
+    });
+    assert.strictEqual(err.code, 'EADDRBLOCKED');
+});
+
+test('the connection lookup answers in the form the caller asked for', async (t) => {
+    resolveTo(t, '20.0.0.1', '20.0.0.2');
+
+    const single = await new Promise(resolve => {
+        publicAddressLookup('author-p1-e1.adobeaemcloud.com', {}, (err, address, family) => {
+            resolve({ err, address, family });
+        });
+    });
+    assert.deepStrictEqual(single, { err: null, address: '20.0.0.1', family: 4 });
+
+    const all = await new Promise(resolve => {
+        publicAddressLookup('author-p1-e1.adobeaemcloud.com', { all: true }, (err, addresses) => resolve(addresses));
+    });
+    assert.deepStrictEqual(all.map(entry => entry.address), ['20.0.0.1', '20.0.0.2']);
+});
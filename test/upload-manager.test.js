@@ -0,0 +1,220 @@
+/**
+ * Upload queue (browser scripts, run in a sandbox): concurrency, retries, pause/resume/cancel
+ * and the resume journal, against a fake API client and an in-memory journal
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let nextId = 0;
+const context = vm.createContext({
+    window: {},
+    console,
+    setTimeout,
+    clearTimeout,
+    AbortController,
+    Utils: { generateId: () => `id_${nextId++}` },
+    configManager: { get: () => undefined }
+});
+['api-client.js', 'upload-journal.js', 'upload-manager.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'), context, { filename: file });
+});
+const { APIError, UploadManager } = context.window;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * UploadJournal stand-in (same interface, kept in memory instead of IndexedDB)
+ */
+class MemoryJournal {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(id) {
+        const entry = this.entries.get(id);
+        return entry ? { ...entry } : null;
+    }
+
+    async save(entry) {
+        this.entries.set(entry.id, { ...entry });
+    }
+
+    async remove(id) {
+        this.entries.delete(id);
+    }
+}
+
+/**
+ * API client whose uploads run `upload(call)`; an aborted upload rejects a little later,
+ * like an XHR unwinding
+ */
+function fakeApi(upload = () => delay(10).then(() => ({ ok: true }))) {
+    const api = {
+        calls: [],
+        inFlight: 0,
+        maxInFlight: 0,
+        async uploadAsset(file, destinationPath, onProgress, options) {
+            const call = { file, options, number: api.calls.length };
+            api.calls.push(call);
+            api.inFlight++;
+            api.maxInFlight = Math.max(api.maxInFlight, api.inFlight);
+
+            const aborted = new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => {
+                    setTimeout(() => reject(new APIError('Upload cancelled', 0)), 20);
+                });
+            });
+            try {
+                return await Promise.race([upload(call), aborted]);
+            } finally {
+                api.inFlight--;
+            }
+        }
+    };
+    return api;
+}
+
+function file(name, size = 1024) {
+    return { name, size, lastModified: 1700000000000, type: 'image/jpeg' };
+}
+
+const STATE = { uploadURIs: ['https://blob/part'], parts: [{ start: 0, end: 512 }, { start: 512, end: 1024 }], completedParts: [0] };
+
+test('uploads run at most the concurrency limit at a time', async () => {
+    const api = fakeApi();
+    const journal = new MemoryJournal();
+    const manager = new UploadManager(api, { journal, concurrency: 2 });
+
+    const items = ['a', 'b', 'c', 'd', 'e'].map(name => manager.add(file(`${name}.jpg`), '/content/dam/uploads'));
+    await manager.whenSettled(items);
+
+    assert.deepStrictEqual(items.map(item => item.status), ['done', 'done', 'done', 'done', 'done']);
+    assert.strictEqual(api.maxInFlight, 2);
+    assert.strictEqual(manager.activeCount, 0);
+    // Finished uploads leave the journal
+    assert.strictEqual(journal.entries.size, 0);
+});
+
+test('checkpoints are journaled and passed back when the upload is resumed', async () => {
+    const journal = new MemoryJournal();
+    const failing = fakeApi(async ({ options }) => {
+        await options.onCheckpoint(STATE);
+        throw new APIError('Bad request', 400);
+    });
+    const first = new UploadManager(failing, { journal, concurrency: 1 });
+    const item = first.add(file('big.jpg'), '/content/dam/uploads', { uploadOptions: { replace: true } });
+    await first.whenSettled([item]);
+
+    assert.strictEqual(item.status, 'failed');
+    const [entry] = journal.entries.values();
+    assert.strictEqual(entry.status, 'failed');
+    assert.deepStrictEqual(entry.state, STATE);
+    assert.deepStrictEqual({ ...entry.uploadOptions }, { replace: true });
+
+    // After a reload: the entry brings the confirmed parts and the duplicate policy
+    const api = fakeApi();
+    const second = new UploadManager(api, { journal, concurrency: 1 });
+    const resumed = second.add(file('big.jpg'), '/content/dam/uploads', { entry: await journal.get(entry.id) });
+    await second.whenSettled([resumed]);
+
+    assert.strictEqual(resumed.status, 'done');
+    assert.deepStrictEqual(api.calls[0].options.resumeState, STATE);
+    assert.strictEqual(api.calls[0].options.replace, true);
+    assert.strictEqual(journal.entries.size, 0);
+});
+
+test('a paused upload settles as paused and stays in the journal', async () => {
+    const api = fakeApi(() => new Promise(() => {}));
+    const journal = new MemoryJournal();
+    const manager = new UploadManager(api, { journal, concurrency: 1, retryDelay: 1 });
+    const item = manager.add(file('a.jpg'), '/content/dam/uploads');
+
+    await delay(5);
+    manager.pause(item.id);
+    const [settled] = await manager.whenSettled([item]);
+    assert.strictEqual(settled.status, 'paused');
+
+    // The abort error of the paused attempt is expected: no failure, no retry
+    await delay(50);
+    assert.strictEqual(item.status, 'paused');
+    assert.strictEqual(item.error, null);
+    assert.strictEqual(item.retryTimer, null);
+    assert.strictEqual(api.calls.length, 1);
+    assert.strictEqual([...journal.entries.values()][0].status, 'paused');
+});
+
+test('resuming before the aborted attempt has ended does not run the upload twice', async () => {
+    const api = fakeApi(({ number }) => number === 0 ? new Promise(() => {}) : delay(10).then(() => ({ ok: true })));
+    // A free slot must not start the item while its first attempt is still unwinding
+    const manager = new UploadManager(api, { journal: new MemoryJournal(), concurrency: 2, retryDelay: 1 });
+    const item = manager.add(file('a.jpg'), '/content/dam/uploads');
+
+    await delay(5);
+    manager.pause(item.id);
+    manager.resume(item.id);
+    await manager.whenSettled([item]);
+
+    assert.strictEqual(item.status, 'done');
+    assert.strictEqual(item.error, null);
+    assert.strictEqual(api.calls.length, 2);
+    assert.strictEqual(api.maxInFlight, 1);
+});
+
+test('server and network errors are retried, client errors are not', async () => {
+    const flaky = fakeApi(async ({ number }) => {
+        if (number < 2) throw new APIError('Service unavailable', 503);
+        return { ok: true };
+    });
+    const manager = new UploadManager(flaky, { concurrency: 1, maxRetries: 3, retryDelay: 1 });
+    const item = manager.add(file('a.jpg'), '/content/dam/uploads');
+    await manager.whenSettled([item]);
+
+    assert.strictEqual(item.status, 'done');
+    assert.strictEqual(item.attempts, 3);
+
+    const rejected = fakeApi(async () => {
+        throw new APIError('Forbidden', 403);
+    });
+    const other = new UploadManager(rejected, { concurrency: 1, maxRetries: 3, retryDelay: 1 });
+    const failed = other.add(file('b.jpg'), '/content/dam/uploads');
+    await other.whenSettled([failed]);
+
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.attempts, 1);
+    assert.strictEqual(failed.error, 'Forbidden');
+});
+
+test('retries stop after maxRetries', async () => {
+    const api = fakeApi(async () => {
+        throw new TypeError('Failed to fetch');
+    });
+    const manager = new UploadManager(api, { concurrency: 1, maxRetries: 2, retryDelay: 1 });
+    const item = manager.add(file('a.jpg'), '/content/dam/uploads');
+    await manager.whenSettled([item]);
+
+    assert.strictEqual(item.status, 'failed');
+    assert.strictEqual(item.attempts, 3);
+    assert.strictEqual(item.error, 'Failed to fetch');
+});
+
+test('a cancelled upload leaves the journal and is not reported as failed', async () => {
+    const api = fakeApi(() => new Promise(() => {}));
+    const journal = new MemoryJournal();
+    const manager = new UploadManager(api, { journal, concurrency: 1 });
+    const item = manager.add(file('a.jpg'), '/content/dam/uploads');
+
+    await delay(5);
+    manager.cancel(item.id);
+    const [settled] = await manager.whenSettled([item]);
+    assert.strictEqual(settled.status, 'cancelled');
+
+    await delay(50);
+    assert.strictEqual(item.status, 'cancelled');
+    assert.strictEqual(item.error, null);
+    assert.strictEqual(journal.entries.size, 0);
+    assert.strictEqual(manager.activeCount, 0);
+});
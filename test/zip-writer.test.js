@@ -0,0 +1,178 @@
+/**
+ * Streaming ZIP64 writer: every record points at the right offset and carries the
+ * sizes and CRCs of the data actually written
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough, Readable } = require('stream');
+
+const { createZipWriter, crc32 } = require('../server/server');
+
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const ZIP64_END = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const END = 0x06054b50;
+
+/**
+ * Run a writer over an in-memory output
+ * @param {function} build - Called with the writer; resolves when all entries are added
+ * @returns {Promise<object>} { zip, size } - archive bytes and the writer's own size()
+ */
+async function writeZip(build) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const ended = new Promise(resolve => output.on('end', resolve));
+
+    const writer = createZipWriter(output);
+    await build(writer);
+    writer.finish();
+    await ended;
+    return { zip: Buffer.concat(chunks), size: writer.size() };
+}
+
+function addStream(writer, name, source) {
+    return new Promise(resolve => {
+        writer.addStream(name, source, (err, result) => resolve({ err, result }));
+    });
+}
+
+/**
+ * Read the archive the way an unzip tool does: from the end records to the central directory,
+ * then to each local header, data and data descriptor
+ */
+function readZip(zip) {
+    const end = zip.length - 22;
+    assert.strictEqual(zip.readUInt32LE(end), END);
+
+    const locator = end - 20;
+    assert.strictEqual(zip.readUInt32LE(locator), ZIP64_LOCATOR);
+    assert.strictEqual(zip.readUInt32LE(locator + 16), 1);
+    const zip64End = Number(zip.readBigUInt64LE(locator + 8));
+    assert.strictEqual(zip64End, locator - 56);
+
+    assert.strictEqual(zip.readUInt32LE(zip64End), ZIP64_END);
+    assert.strictEqual(zip.readBigUInt64LE(zip64End + 4), 44n);
+    const count = Number(zip.readBigUInt64LE(zip64End + 32));
+    assert.strictEqual(Number(zip.readBigUInt64LE(zip64End + 24)), count);
+    const centralSize = Number(zip.readBigUInt64LE(zip64End + 40));
+    const centralOffset = Number(zip.readBigUInt64LE(zip64End + 48));
+    assert.strictEqual(centralOffset + centralSize, zip64End);
+
+    // The classic record holds the same values while they fit
+    assert.strictEqual(zip.readUInt16LE(end + 10), count);
+    assert.strictEqual(zip.readUInt32LE(end + 12), centralSize);
+    assert.strictEqual(zip.readUInt32LE(end + 16), centralOffset);
+
+    const entries = [];
+    let position = centralOffset;
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(zip.readUInt32LE(position), CENTRAL_HEADER);
+        assert.strictEqual(zip.readUInt32LE(position + 20), 0xffffffff);
+        assert.strictEqual(zip.readUInt32LE(position + 24), 0xffffffff);
+        assert.strictEqual(zip.readUInt32LE(position + 42), 0xffffffff);
+        const nameLength = zip.readUInt16LE(position + 28);
+        const extraLength = zip.readUInt16LE(position + 30);
+        const name = zip.toString('utf8', position + 46, position + 46 + nameLength);
+
+        const extra = position + 46 + nameLength;
+        assert.strictEqual(zip.readUInt16LE(extra), 0x0001);
+        assert.strictEqual(zip.readUInt16LE(extra + 2), 24);
+        const entry = {
+            name,
+            crc32: zip.readUInt32LE(position + 16),
+            size: Number(zip.readBigUInt64LE(extra + 4)),
+            compressedSize: Number(zip.readBigUInt64LE(extra + 12)),
+            offset: Number(zip.readBigUInt64LE(extra + 20))
+        };
+
+        // Local header at the recorded offset, data right after it, then the descriptor
+        assert.strictEqual(zip.readUInt32LE(entry.offset), LOCAL_HEADER, `${name} local header`);
+        const localNameLength = zip.readUInt16LE(entry.offset + 26);
+        const localExtraLength = zip.readUInt16LE(entry.offset + 28);
+        assert.strictEqual(zip.toString('utf8', entry.offset + 30, entry.offset + 30 + localNameLength), name);
+        assert.strictEqual(zip.readUInt16LE(entry.offset + 30 + localNameLength), 0x0001);
+
+        const dataStart = entry.offset + 30 + localNameLength + localExtraLength;
+        entry.data = zip.subarray(dataStart, dataStart + entry.compressedSize);
+
+        const descriptor = dataStart + entry.compressedSize;
+        assert.strictEqual(zip.readUInt32LE(descriptor), DATA_DESCRIPTOR, `${name} data descriptor`);
+        assert.strictEqual(zip.readUInt32LE(descriptor + 4), entry.crc32);
+        assert.strictEqual(Number(zip.readBigUInt64LE(descriptor + 8)), entry.compressedSize);
+        assert.strictEqual(Number(zip.readBigUInt64LE(descriptor + 16)), entry.size);
+
+        entries.push(entry);
+        position = extra + extraLength;
+    }
+    assert.strictEqual(position, zip64End);
+    return entries;
+}
+
+test('crc32 matches the standard check values', () => {
+    assert.strictEqual(crc32(Buffer.alloc(0)), 0);
+    assert.strictEqual(crc32(Buffer.from('hello world')), 0x0d4a1185);
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+    // Continued over chunks
+    assert.strictEqual(crc32(Buffer.from('world'), crc32(Buffer.from('hello '))), 0x0d4a1185);
+});
+
+test('entries, offsets and sizes are readable from the end records', async () => {
+    const photo = Buffer.alloc(200 * 1024, 7);
+    const { zip, size } = await writeZip(async (writer) => {
+        writer.addBuffer('manifest.csv', Buffer.from('path,size\n'));
+        const { err, result } = await addStream(writer, 'photos/photo.jpg', Readable.from([photo.subarray(0, 1000), photo.subarray(1000)]));
+        assert.ifError(err);
+        assert.strictEqual(result.size, photo.length);
+        await addStream(writer, 'empty.txt', Readable.from([]));
+        writer.addBuffer('한글 이름.txt', Buffer.from('hello world'));
+    });
+
+    assert.strictEqual(size, zip.length);
+    const entries = readZip(zip);
+
+    assert.deepStrictEqual(entries.map(entry => entry.name), ['manifest.csv', 'photos/photo.jpg', 'empty.txt', '한글 이름.txt']);
+    assert.strictEqual(entries[0].offset, 0);
+    assert.ok(entries[1].data.equals(photo));
+    assert.strictEqual(entries[1].crc32, crc32(photo));
+    assert.strictEqual(entries[2].size, 0);
+    assert.strictEqual(entries[3].data.toString(), 'hello world');
+    assert.strictEqual(entries[3].crc32, 0x0d4a1185);
+    entries.forEach(entry => {
+        assert.strictEqual(entry.size, entry.compressedSize);
+        assert.strictEqual(entry.size, entry.data.length);
+    });
+
+    // UTF-8 names are flagged
+    assert.strictEqual(zip.readUInt16LE(entries[3].offset + 6) & 0x0800, 0x0800);
+});
+
+test('an empty archive has only the end records', async () => {
+    const { zip } = await writeZip(async () => {});
+
+    assert.strictEqual(zip.length, 56 + 20 + 22);
+    assert.deepStrictEqual(readZip(zip), []);
+});
+
+test('a failed source closes its entry with the data received so far', async () => {
+    const { zip } = await writeZip(async (writer) => {
+        const source = new PassThrough();
+        const added = addStream(writer, 'broken.bin', source);
+        source.write(Buffer.from('partial'));
+        await new Promise(resolve => setImmediate(resolve));
+        source.destroy(new Error('connection reset'));
+
+        const { err, result } = await added;
+        assert.strictEqual(err.message, 'connection reset');
+        assert.strictEqual(result.size, 7);
+        writer.addBuffer('after.txt', Buffer.from('next'));
+    });
+
+    const entries = readZip(zip);
+    assert.deepStrictEqual(entries.map(entry => entry.name), ['broken.bin', 'after.txt']);
+    assert.strictEqual(entries[0].data.toString(), 'partial');
+    assert.strictEqual(entries[1].data.toString(), 'next');
+});